@@ -8,10 +8,11 @@ export const CONFIG = {
 
   // Configurações AES-256-GCM
   CRYPTO: {
-    ALGORITHM: 'aes-256-gcm',
+    ALGORITHM: 'aes-256-gcm', // Padrão; alternativa: 'chacha20-poly1305' (ver FORMAT.CIPHERS)
     KEY_LENGTH: 32,      // 256 bits
     IV_LENGTH: 12,       // 96 bits (recomendado para GCM)
-    AUTH_TAG_LENGTH: 16  // 128 bits
+    AUTH_TAG_LENGTH: 16, // 128 bits
+    RANDOM_IV_LIMIT: 2 ** 32 // Invocações por chave com IV aleatório (NIST SP 800-38D)
   },
 
   // Tamanhos do header do chunk
@@ -22,6 +23,106 @@ export const CONFIG = {
     TOTAL_SIZE: 32       // 4 + 12 + 16
   },
 
+  // Header do arquivo criptografado (formato versionado)
+  FORMAT: {
+    MAGIC: 'KVCM',
+    VERSION: 1,
+    FIXED_SIZE: 22,      // 4 + 1 + 1 + 2 + 4 + 8 + 2 (sem extensões)
+    FINGERPRINT_SIZE: 8,
+    CIPHERS: {
+      'aes-256-gcm': 1,
+      'chacha20-poly1305': 2 // Mesmos tamanhos de chave, IV e tag; rápido sem AES-NI
+    },
+    // Flags do header (uint16)
+    FLAGS: {
+      INDEX: 0x0001      // Arquivo termina com trailer de índice de chunks
+    },
+    // Flags do chunk (byte alto do campo index, apenas no formato versionado)
+    CHUNK_FLAGS: {
+      FINAL: 0x01,       // Último chunk do stream (STREAM construction)
+      COMPRESSED: 0x02,  // Plaintext comprimido antes da criptografia
+      PADDED: 0x04       // Plaintext termina com padding e trailer (ver PADDING)
+    },
+    MAX_CHUNK_INDEX: 0xFFFFFF, // 24 bits restantes para o índice
+    // Extensões TLV do header
+    EXTENSIONS: {
+      NONCE_PREFIX: 0x01,  // Prefixo aleatório do modo de nonce por contador
+      KEY_COMMITMENT: 0x02, // Compromisso com a video key (AES-GCM não é key-committing)
+      COMPRESSION: 0x03,    // Algoritmo de compressão dos chunks (1 byte)
+      PADDING: 0x04,        // Esquema de padding (scheme, target, multiple: 6 bytes)
+      WRAPPED_KEY: 0x05,    // Data key embrulhada pela master key (envelope; fora do AAD)
+      KEY_ID: 0x06          // Key id da master key (Keyring; fora do AAD, 8 bytes)
+    },
+    // Algoritmos de embrulho da data key (primeiro byte da extensão WRAPPED_KEY)
+    KEY_WRAP: {
+      'aes-kw': 1,         // RFC 3394 (determinístico, 40 bytes)
+      'aes-gcm': 2         // IV aleatório + tag (60 bytes)
+    },
+    // Algoritmos de compressão por chunk (valor da extensão COMPRESSION)
+    COMPRESSION: {
+      gzip: 1,
+      deflate: 2,
+      brotli: 3
+    },
+    // Padding para ocultar o tamanho do plaintext (chunks finais)
+    PADDING: {
+      SCHEMES: {
+        pow2: 1,         // Próxima potência de dois (overhead até 100%)
+        multiple: 2,     // Próximo múltiplo de um valor fixo
+        padme: 3         // Padmé (overhead até ~12%)
+      },
+      TARGETS: {
+        file: 1,         // Tamanho total do arquivo vai para o bucket
+        chunk: 2         // Apenas o chunk final é completado
+      },
+      TRAILER_SIZE: 16   // totalSize uint64 + firstPaddedIndex uint32 + dataLength uint32
+    },
+    NONCE_PREFIX_SIZE: 8,  // IV = prefixo (8 bytes) + contador uint32 BE
+    KEY_COMMITMENT_SIZE: 32,
+    // Trailer de índice: [count][entries][mac][length][magic]
+    INDEX: {
+      MAGIC: 'KVIX',
+      ENTRY_SIZE: 12,    // offset uint64 + length uint32
+      MAC_SIZE: 32,
+      FOOTER_SIZE: 8     // length uint32 + magic
+    }
+  },
+
+  // Keyring de master keys
+  KEYRING: {
+    STATES: ['active', 'decrypt-only', 'retired', 'destroyed'],
+    KEY_ID_SIZE: 8,      // Bytes do key id (16 caracteres hex)
+    FILE_FORMAT: 'keyring-vcm-keyring',
+    FILE_VERSION: 1
+  },
+
+  // Master keys derivadas de passphrase (scrypt)
+  PASSPHRASE: {
+    KDF: 'scrypt',
+    VERSION: 1,
+    SALT_LENGTH: 16,
+    N: 2 ** 17,          // Padrão (OWASP): 128 MB com r = 8
+    R: 8,
+    P: 1,
+    MIN_N: 2 ** 14,      // Abaixo disso a derivação é barata demais
+    MAX_MEMORY: 2 ** 30, // 128 * N * r (limita registros maliciosos)
+    TARGET_MS: 1000      // Tempo alvo padrão da calibração
+  },
+
+  // Keystore: master key protegida por senha (exportEncryptedKeystore)
+  KEYSTORE: {
+    FORMAT: 'keyring-vcm-keystore',
+    VERSION: 1,
+    CIPHER: 'aes-256-ctr', // Autenticado pelo MAC (HMAC-SHA256)
+    IV_LENGTH: 16
+  },
+
+  // Leitura com acesso aleatório (EncryptedVideoReader)
+  READER: {
+    CACHE_SIZE: 8,       // Chunks decriptados mantidos em cache (LRU)
+    MAX_OPEN: 16         // Leitores abertos pelo handler HTTP (LRU)
+  },
+
   // Configurações HKDF
   HKDF: {
     HASH: 'sha256',
@@ -31,8 +132,16 @@ export const CONFIG = {
 
   // Encoding para texto
   ENCODING: {
-    DEFAULT: 'base64',   // ou 'base85' se implementado
-    SUPPORTED: ['base64', 'hex']
+    DEFAULT: 'base64',
+    SUPPORTED: ['base64', 'hex', 'z85', 'ascii85', 'json', 'armor'] // Base85: overhead de 25% (base64: 33%); json: NDJSON
+  },
+
+  // Formato ASCII armor (encoding 'armor')
+  ARMOR: {
+    LABEL: 'KEYRING-VCM ENCRYPTED VIDEO',
+    CHECKSUMS_LABEL: 'KEYRING-VCM LINE CHECKSUMS', // Bloco com o CRC24 de cada linha
+    WIDTHS: [64, 76],    // Colunas de base64 por linha
+    DEFAULT_WIDTH: 64
   }
 };
 
@@ -0,0 +1,499 @@
+import { Transform } from 'stream';
+import { CONFIG } from '../config.js';
+import { FileHeader } from './file-header.js';
+import { IntegrityError, TruncationError, ValidationError } from '../utils/security.js';
+
+const BEGIN = `-----BEGIN ${CONFIG.ARMOR.LABEL}-----`;
+const END = `-----END ${CONFIG.ARMOR.LABEL}-----`;
+const CHECKSUMS_BEGIN = `-----BEGIN ${CONFIG.ARMOR.CHECKSUMS_LABEL}-----`;
+const CHECKSUMS_END = `-----END ${CONFIG.ARMOR.CHECKSUMS_LABEL}-----`;
+
+const REQUIRED_HEADERS = ['Version', 'Cipher', 'Chunk-Size', 'Fingerprint'];
+const BASE64_LINE = /^[A-Za-z0-9+/]+={0,2}$/;
+
+const CRC24_INIT = 0xB704CE;
+const CRC24_POLY = 0x1864CFB;
+
+/**
+ * Calcula o CRC24 (RFC 4880, seção 6.1)
+ *
+ * @param {Buffer} buffer
+ * @param {number} [crc] - Valor acumulado (para cálculo incremental)
+ * @returns {number} - 24 bits
+ */
+export function crc24(buffer, crc = CRC24_INIT) {
+  for (const byte of buffer) {
+    crc ^= byte << 16;
+    for (let i = 0; i < 8; i++) {
+      crc <<= 1;
+      if (crc & 0x1000000) {
+        crc ^= CRC24_POLY;
+      }
+    }
+  }
+
+  return crc & 0xFFFFFF;
+}
+
+/**
+ * Serializa o CRC24 em 3 bytes (big-endian)
+ *
+ * @param {number} crc
+ * @returns {Buffer}
+ */
+function crcToBuffer(crc) {
+  return Buffer.from([crc >> 16, (crc >> 8) & 0xFF, crc & 0xFF]);
+}
+
+/**
+ * Codifica o CRC24 em 4 caracteres base64
+ *
+ * @param {number} crc
+ * @returns {string}
+ */
+function formatCRC(crc) {
+  return crcToBuffer(crc).toString('base64');
+}
+
+/**
+ * Monta o bloco com o CRC24 de cada linha do corpo
+ *
+ * @param {Buffer} checksums - CRC24 das linhas, 3 bytes cada
+ * @param {number} width - Colunas por linha
+ * @returns {string}
+ */
+function formatChecksumBlock(checksums, width) {
+  const encoded = checksums.toString('base64');
+  const lines = [CHECKSUMS_BEGIN, ''];
+
+  for (let i = 0; i < encoded.length; i += width) {
+    lines.push(encoded.slice(i, i + width));
+  }
+
+  lines.push(`=${formatCRC(crc24(checksums))}`, CHECKSUMS_END);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Cria o IntegrityError de CRC24 com o número da linha
+ *
+ * @param {string} message
+ * @param {number} line
+ * @returns {IntegrityError}
+ */
+function crcError(message, line) {
+  const error = new IntegrityError(message, 'crc');
+  error.line = line;
+  return error;
+}
+
+/**
+ * Monta as linhas de cabeçalho do armor a partir do header binário
+ *
+ * @param {FileHeader} header
+ * @returns {Array<[string, string]>}
+ */
+function buildArmorHeaders(header) {
+  return [
+    ['Version', String(header.version)],
+    ['Cipher', header.algorithm],
+    ['Chunk-Size', String(header.chunkSize)],
+    ['Fingerprint', header.fingerprint.toString('hex')]
+  ];
+}
+
+/**
+ * Transform stream que gera o formato ASCII armor
+ *
+ * Recebe o arquivo binário serializado (header + registros) e emite:
+ *
+ *   -----BEGIN KEYRING-VCM ENCRYPTED VIDEO-----
+ *   Version: 1
+ *   Cipher: aes-256-gcm
+ *   Chunk-Size: 524288
+ *   Fingerprint: 0123456789abcdef
+ *
+ *   <base64, exatamente 64 ou 76 colunas>
+ *   =<CRC24 do corpo>
+ *   -----END KEYRING-VCM ENCRYPTED VIDEO-----
+ *   -----BEGIN KEYRING-VCM LINE CHECKSUMS-----
+ *
+ *   <CRC24 de cada linha do corpo, em base64>
+ *   =<CRC24 do bloco>
+ *   -----END KEYRING-VCM LINE CHECKSUMS-----
+ *
+ * O primeiro bloco segue o RFC 4880 (linhas de tamanho fixo e CRC24 do
+ * corpo). O bloco de checksums, separado para não alongar as linhas,
+ * permite apontar a linha corrompida. São checksums de transporte: a
+ * autenticidade continua garantida pelos chunks.
+ */
+export class ArmorEncodingStream extends Transform {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.width] - Colunas de base64 por linha (64 ou 76)
+   */
+  constructor(options = {}) {
+    const { width = CONFIG.ARMOR.DEFAULT_WIDTH, ...streamOptions } = options;
+    super(streamOptions);
+
+    if (!CONFIG.ARMOR.WIDTHS.includes(width)) {
+      throw new ValidationError(
+        `Largura de armor inválida. Use: ${CONFIG.ARMOR.WIDTHS.join(', ')}`,
+        'armorWidth'
+      );
+    }
+
+    this.width = width;
+    this.bytesPerLine = (width / 4) * 3;
+    this.pending = Buffer.alloc(0);
+    this.crc = CRC24_INIT;
+    this.lineChecksums = [];
+    this.started = false;
+  }
+
+  /**
+   * Emite o marcador inicial e os cabeçalhos assim que o header binário estiver completo
+   *
+   * @returns {boolean} - False se ainda faltam bytes do header
+   */
+  _start() {
+    if (this.pending.length >= 4 && !FileHeader.hasMagic(this.pending)) {
+      throw new Error('Armor requer o formato versionado (arquivo com header)');
+    }
+
+    const headerLength = FileHeader.getLength(this.pending);
+    if (headerLength === -1 || this.pending.length < headerLength) {
+      return false;
+    }
+
+    const header = FileHeader.fromBuffer(this.pending.slice(0, headerLength));
+    const lines = [BEGIN, ...buildArmorHeaders(header).map(([key, value]) => `${key}: ${value}`), ''];
+
+    this.push(lines.join('\n') + '\n');
+    this.started = true;
+    return true;
+  }
+
+  /**
+   * Emite uma linha do corpo
+   *
+   * @param {Buffer} data
+   */
+  _pushLine(data) {
+    this.crc = crc24(data, this.crc);
+    this.lineChecksums.push(crcToBuffer(crc24(data)));
+    this.push(`${data.toString('base64')}\n`);
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.pending = Buffer.concat([this.pending, chunk]);
+
+      if (!this.started && !this._start()) {
+        return callback();
+      }
+
+      while (this.pending.length >= this.bytesPerLine) {
+        this._pushLine(this.pending.slice(0, this.bytesPerLine));
+        this.pending = this.pending.slice(this.bytesPerLine);
+      }
+
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      if (!this.started) {
+        throw new Error('Armor requer o formato versionado (arquivo com header)');
+      }
+
+      if (this.pending.length > 0) {
+        this._pushLine(this.pending);
+        this.pending = Buffer.alloc(0);
+      }
+
+      this.push(`=${formatCRC(this.crc)}\n${END}\n`);
+      this.push(formatChecksumBlock(Buffer.concat(this.lineChecksums), this.width));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
+
+/**
+ * Transform stream que lê o formato ASCII armor e emite o arquivo binário
+ *
+ * Tolera CRLF e linhas em branco antes e depois dos marcadores. Os
+ * cabeçalhos obrigatórios são conferidos com o header binário. Os CRC24
+ * são verificados ao fim do stream (o bloco de checksums vem depois do
+ * corpo): uma linha divergente gera IntegrityError com o número da linha
+ * (`error.line`). Sem o bloco de checksums, vale apenas o CRC24 do corpo.
+ */
+export class ArmorDecodingStream extends Transform {
+  constructor(options = {}) {
+    super(options);
+    this.lineBuffer = '';
+    this.lineNumber = 0;
+    this.state = 'begin';
+    this.headers = new Map();
+    this.crc = CRC24_INIT;
+    this.held = [];
+    this.headerChecked = false;
+    this.bodyStart = null;
+    this.lineChecksums = [];
+    this.bodyCRC = null;
+    this.checksumText = '';
+  }
+
+  /**
+   * Gera erro de formato com o número da linha atual
+   *
+   * @param {string} message
+   * @returns {Error}
+   */
+  _formatError(message) {
+    return new Error(`Armor inválido na linha ${this.lineNumber}: ${message}`);
+  }
+
+  /**
+   * Confere os cabeçalhos do armor com o header binário
+   */
+  _checkHeaders() {
+    const decoded = Buffer.concat(this.held);
+    const headerLength = FileHeader.getLength(decoded);
+
+    if (decoded.length >= 4 && !FileHeader.hasMagic(decoded)) {
+      throw this._formatError('corpo não começa com o header do formato');
+    }
+
+    if (headerLength === -1 || decoded.length < headerLength) {
+      return;
+    }
+
+    const header = FileHeader.fromBuffer(decoded.slice(0, headerLength));
+    for (const [key, value] of buildArmorHeaders(header)) {
+      if (this.headers.get(key) !== value) {
+        throw this._formatError(`cabeçalho ${key} não confere com o header binário`);
+      }
+    }
+
+    this.headerChecked = true;
+    this.held.forEach(part => this.push(part));
+    this.held = [];
+  }
+
+  /**
+   * Confere o CRC24 do corpo (linha `=`)
+   *
+   * @throws {IntegrityError}
+   */
+  _assertBodyCRC() {
+    if (!this.bodyCRC.valid) {
+      throw crcError(
+        `CRC24 do corpo não confere (linha ${this.bodyCRC.line}): linhas ausentes ou fora de ordem`,
+        this.bodyCRC.line
+      );
+    }
+  }
+
+  /**
+   * Confere o CRC24 de cada linha do corpo com o bloco de checksums
+   *
+   * @param {Buffer} checksums - CRC24 das linhas, 3 bytes cada
+   * @throws {IntegrityError}
+   */
+  _verifyLines(checksums) {
+    const count = Math.floor(checksums.length / 3);
+
+    for (let i = 0; i < Math.min(count, this.lineChecksums.length); i++) {
+      if (checksums.readUIntBE(i * 3, 3) !== this.lineChecksums[i]) {
+        const line = this.bodyStart + i;
+        throw crcError(`CRC24 não confere na linha ${line}`, line);
+      }
+    }
+
+    if (count !== this.lineChecksums.length) {
+      this.bodyCRC.valid = false;
+    }
+    this._assertBodyCRC();
+  }
+
+  /**
+   * Interpreta uma linha
+   *
+   * @param {string} rawLine
+   */
+  _parseLine(rawLine) {
+    this.lineNumber++;
+    const line = rawLine.trim();
+
+    switch (this.state) {
+      case 'begin':
+        if (line === BEGIN) {
+          this.state = 'headers';
+        } else if (line) {
+          throw this._formatError(`esperado "${BEGIN}"`);
+        }
+        return;
+
+      case 'headers': {
+        if (!line) {
+          const missing = REQUIRED_HEADERS.find(key => !this.headers.has(key));
+          if (missing) {
+            throw this._formatError(`cabeçalho obrigatório ${missing} ausente`);
+          }
+          this.state = 'body';
+          return;
+        }
+
+        const match = /^([A-Za-z0-9-]+):\s*(.*)$/.exec(line);
+        if (!match) {
+          throw this._formatError('cabeçalho deve ter o formato "Chave: valor"');
+        }
+        this.headers.set(match[1], match[2]);
+        return;
+      }
+
+      case 'body': {
+        // Verificado ao fim, para apontar a linha pelo bloco de checksums
+        if (line.startsWith('=')) {
+          this.bodyCRC = { line: this.lineNumber, valid: line === `=${formatCRC(this.crc)}` };
+          this.state = 'end';
+          return;
+        }
+
+        if (!BASE64_LINE.test(line)) {
+          throw this._formatError('linha do corpo deve conter apenas base64');
+        }
+
+        const data = Buffer.from(line, 'base64');
+        if (this.bodyStart === null) {
+          this.bodyStart = this.lineNumber;
+        }
+        this.lineChecksums.push(crc24(data));
+        this.crc = crc24(data, this.crc);
+
+        if (this.headerChecked) {
+          this.push(data);
+        } else {
+          this.held.push(data);
+          this._checkHeaders();
+        }
+        return;
+      }
+
+      case 'end':
+        if (line === END) {
+          this.state = 'checksums-begin';
+        } else {
+          throw this._formatError(`esperado "${END}"`);
+        }
+        return;
+
+      case 'checksums-begin':
+        if (line === CHECKSUMS_BEGIN) {
+          this.state = 'checksums-headers';
+        } else if (line) {
+          throw this._formatError('conteúdo após o marcador final');
+        }
+        return;
+
+      case 'checksums-headers':
+        if (line) {
+          throw this._formatError(`esperada linha em branco após "${CHECKSUMS_BEGIN}"`);
+        }
+        this.state = 'checksums';
+        return;
+
+      case 'checksums': {
+        if (line.startsWith('=')) {
+          const checksums = Buffer.from(this.checksumText, 'base64');
+          if (line !== `=${formatCRC(crc24(checksums))}`) {
+            throw crcError(`CRC24 do bloco de checksums não confere (linha ${this.lineNumber})`, this.lineNumber);
+          }
+          this._verifyLines(checksums);
+          this.state = 'checksums-end';
+          return;
+        }
+
+        if (!BASE64_LINE.test(line)) {
+          throw this._formatError('linha do bloco de checksums deve conter apenas base64');
+        }
+        this.checksumText += line;
+        return;
+      }
+
+      case 'checksums-end':
+        if (line === CHECKSUMS_END) {
+          this.state = 'done';
+        } else {
+          throw this._formatError(`esperado "${CHECKSUMS_END}"`);
+        }
+        return;
+
+      default:
+        if (line) {
+          throw this._formatError('conteúdo após o marcador final');
+        }
+    }
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.lineBuffer += chunk.toString();
+
+      const lines = this.lineBuffer.split('\n');
+      this.lineBuffer = lines.pop();
+
+      for (const line of lines) {
+        this._parseLine(line);
+      }
+
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      if (this.lineBuffer) {
+        this._parseLine(this.lineBuffer);
+        this.lineBuffer = '';
+      }
+
+      if (['begin', 'headers', 'body', 'end'].includes(this.state)) {
+        throw new TruncationError(`Armor truncado: marcador "${END}" não encontrado`);
+      }
+
+      if (this.state === 'checksums-begin') {
+        // Sem bloco de checksums: apenas o CRC24 do corpo
+        this._assertBodyCRC();
+      } else if (this.state !== 'done') {
+        throw new TruncationError(`Armor truncado: marcador "${CHECKSUMS_END}" não encontrado`);
+      }
+
+      if (!this.headerChecked) {
+        throw new TruncationError('Armor truncado: header binário incompleto');
+      }
+
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
+
+/**
+ * Verifica se o texto começa com o marcador de armor
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isArmored(text) {
+  return text.trimStart().startsWith(BEGIN);
+}
@@ -1,29 +1,48 @@
 import crypto from 'crypto';
 import { CONFIG } from '../config.js';
 import { createAAD } from '../utils/aad.js';
+import { FileHeader } from './file-header.js';
+import { deriveSubkey } from '../utils/hkdf.js';
+import { decompressChunk } from '../utils/compression.js';
+import { parsePaddedChunk } from '../utils/padding.js';
+import { encodeText, decodeText } from '../utils/base85.js';
 import {
+  constantTimeCompare,
   validateMasterKey,
   validateVideoId,
   validateChunkIndex,
   validateBuffer,
-  ValidationError
+  ValidationError,
+  SecurityError
 } from '../utils/security.js';
 
 /**
  * Representa um chunk criptografado
  * 
  * Estrutura binária:
- * [chunk_index]  4 bytes (uint32 BE)
+ * [chunk_index]  4 bytes (uint32 BE; no formato versionado, byte alto = flags)
  * [iv]          12 bytes
  * [tag]         16 bytes
  * [ciphertext]   N bytes
  */
 export class EncryptedChunk {
-  constructor(index, iv, tag, ciphertext) {
+  constructor(index, iv, tag, ciphertext, flags = 0) {
     this.index = index;
     this.iv = iv;
     this.tag = tag;
     this.ciphertext = ciphertext;
+    this.flags = flags;
+  }
+
+  /**
+   * Indica se o chunk está marcado como último do stream
+   *
+   * A flag só é confiável após a descriptografia (ela faz parte do AAD).
+   *
+   * @returns {boolean}
+   */
+  get isFinal() {
+    return (this.flags & CONFIG.FORMAT.CHUNK_FLAGS.FINAL) !== 0;
   }
 
   /**
@@ -33,7 +52,15 @@ export class EncryptedChunk {
    */
   toBuffer() {
     const indexBuffer = Buffer.allocUnsafe(4);
-    indexBuffer.writeUInt32BE(this.index, 0);
+
+    if (this.flags) {
+      if (this.index > CONFIG.FORMAT.MAX_CHUNK_INDEX) {
+        throw new Error('Chunk index excede 24 bits no formato com flags');
+      }
+      indexBuffer.writeUInt32BE(((this.flags << 24) | this.index) >>> 0, 0);
+    } else {
+      indexBuffer.writeUInt32BE(this.index, 0);
+    }
 
     return Buffer.concat([
       indexBuffer,
@@ -54,36 +81,96 @@ export class EncryptedChunk {
       throw new Error('Buffer inválido ou muito pequeno');
     }
 
-    const index = buffer.readUInt32BE(0);
+    // Índices legados nunca usam o byte alto (limite de chunks por vídeo)
+    const word = buffer.readUInt32BE(0);
+    const index = word & CONFIG.FORMAT.MAX_CHUNK_INDEX;
+    const flags = word >>> 24;
     const iv = buffer.slice(4, 16);
     const tag = buffer.slice(16, 32);
     const ciphertext = buffer.slice(32);
 
-    return new EncryptedChunk(index, iv, tag, ciphertext);
+    return new EncryptedChunk(index, iv, tag, ciphertext, flags);
   }
 
   /**
    * Converte para texto (base64)
    * 
-   * @param {string} encoding - 'base64' ou 'hex'
+   * @param {string} encoding - 'base64', 'hex', 'z85' ou 'ascii85'
    * @returns {string}
    */
   toText(encoding = 'base64') {
-    return this.toBuffer().toString(encoding);
+    return encodeText(this.toBuffer(), encoding);
   }
 
   /**
    * Cria EncryptedChunk a partir de texto
    * 
    * @param {string} text
-   * @param {string} encoding - 'base64' ou 'hex'
+   * @param {string} encoding - 'base64', 'hex', 'z85' ou 'ascii85'
    * @returns {EncryptedChunk}
    */
   static fromText(text, encoding = 'base64') {
-    const buffer = Buffer.from(text, encoding);
+    const buffer = decodeText(text, encoding);
     return EncryptedChunk.fromBuffer(buffer);
   }
 
+  /**
+   * Representação JSON (uma linha do formato NDJSON)
+   *
+   * @returns {{index: number, flags: number, iv: string, tag: string, ciphertext: string, size: number}}
+   *   - Buffers em base64url; `size` é o tamanho do ciphertext em bytes
+   */
+  toJSON() {
+    return {
+      index: this.index,
+      flags: this.flags,
+      iv: this.iv.toString('base64url'),
+      tag: this.tag.toString('base64url'),
+      ciphertext: this.ciphertext.toString('base64url'),
+      size: this.ciphertext.length
+    };
+  }
+
+  /**
+   * Cria EncryptedChunk a partir da representação JSON
+   *
+   * Aceita base64url ou base64 padrão; `flags` e `size` são opcionais.
+   *
+   * @param {Object} json
+   * @returns {EncryptedChunk}
+   * @throws {Error} - Se algum campo for inválido
+   */
+  static fromJSON(json) {
+    if (!json || typeof json !== 'object') {
+      throw new Error('Chunk JSON inválido: esperado um objeto');
+    }
+
+    const { index, flags = 0, size } = json;
+
+    if (!Number.isInteger(flags) || flags < 0 || flags > 0xFF) {
+      throw new Error('Chunk JSON inválido: flags deve ser uint8');
+    }
+
+    const maxIndex = flags ? CONFIG.FORMAT.MAX_CHUNK_INDEX : 0xFFFFFFFF;
+    if (!Number.isInteger(index) || index < 0 || index > maxIndex) {
+      throw new Error('Chunk JSON inválido: index fora do intervalo');
+    }
+
+    const iv = decodeJSONField(json, 'iv');
+    const tag = decodeJSONField(json, 'tag');
+    const ciphertext = decodeJSONField(json, 'ciphertext');
+
+    if (iv.length !== CONFIG.HEADER.IV_SIZE || tag.length !== CONFIG.HEADER.TAG_SIZE) {
+      throw new Error('Chunk JSON inválido: tamanho de iv ou tag incorreto');
+    }
+
+    if (size !== undefined && size !== ciphertext.length) {
+      throw new Error(`Chunk JSON inválido: size ${size} difere do ciphertext (${ciphertext.length} bytes)`);
+    }
+
+    return new EncryptedChunk(index, iv, tag, ciphertext, flags);
+  }
+
   /**
    * Retorna o tamanho total em bytes
    * 
@@ -94,6 +181,126 @@ export class EncryptedChunk {
   }
 }
 
+/**
+ * Decodifica um campo base64url de um chunk JSON
+ *
+ * @param {Object} json
+ * @param {string} field
+ * @returns {Buffer}
+ * @throws {Error}
+ */
+function decodeJSONField(json, field) {
+  const value = json[field];
+
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_\-+/]*={0,2}$/.test(value)) {
+    throw new Error(`Chunk JSON inválido: ${field} deve ser base64url`);
+  }
+
+  return Buffer.from(value, 'base64url');
+}
+
+/**
+ * Monta o AAD de um chunk conforme o formato (legado ou versionado)
+ *
+ * @param {string} videoId
+ * @param {number} chunkIndex
+ * @param {number} flags
+ * @param {FileHeader} [header]
+ * @returns {Buffer}
+ */
+function buildChunkAAD(videoId, chunkIndex, flags, header) {
+  if (!header) {
+    if (flags) {
+      throw new ValidationError('Flags de chunk exigem o formato com header', 'flags');
+    }
+    return createAAD(videoId, chunkIndex);
+  }
+
+  if (!(header instanceof FileHeader)) {
+    throw new ValidationError('header deve ser instância de FileHeader', 'header');
+  }
+
+  return createAAD(videoId, chunkIndex, { flags, context: header.getAADContext() });
+}
+
+/**
+ * Calcula o compromisso com a video key (modo key-committing)
+ *
+ * HMAC-SHA256 é resistente a colisões: nenhum par de chaves distintas
+ * produz o mesmo compromisso, ao contrário das tags do AES-GCM.
+ *
+ * @param {Buffer} videoKey
+ * @returns {Buffer} - 32 bytes
+ */
+export function computeKeyCommitment(videoKey) {
+  return deriveSubkey(videoKey, 'key-commitment');
+}
+
+/**
+ * Garante que a chave corresponde ao compromisso gravado no header
+ *
+ * @param {FileHeader} [header]
+ * @param {Buffer} videoKey
+ * @throws {SecurityError}
+ */
+function assertKeyCommitment(header, videoKey) {
+  if (!header?.hasKeyCommitment) {
+    return;
+  }
+
+  const commitment = header.getExtension(CONFIG.FORMAT.EXTENSIONS.KEY_COMMITMENT);
+  if (!constantTimeCompare(commitment, computeKeyCommitment(videoKey))) {
+    throw new SecurityError(
+      'Chave não corresponde ao compromisso gravado no header',
+      'KEY_COMMITMENT_MISMATCH'
+    );
+  }
+}
+
+/**
+ * Resolve o cipher de um chunk
+ *
+ * No formato versionado o cipher é o registrado no header; sem header
+ * (formato legado) vale `algorithm` ou o padrão de CONFIG.
+ *
+ * @param {FileHeader} [header]
+ * @param {string} [algorithm]
+ * @returns {string}
+ * @throws {ValidationError}
+ */
+function resolveAlgorithm(header, algorithm) {
+  if (header) {
+    if (algorithm !== undefined && algorithm !== header.algorithm) {
+      throw new ValidationError(
+        `Algoritmo ${algorithm} difere do registrado no header (${header.algorithm})`,
+        'algorithm'
+      );
+    }
+    return header.algorithm;
+  }
+
+  const resolved = algorithm ?? CONFIG.CRYPTO.ALGORITHM;
+  if (!Object.hasOwn(CONFIG.FORMAT.CIPHERS, resolved)) {
+    throw new ValidationError(`Algoritmo não suportado: ${resolved}`, 'algorithm');
+  }
+
+  return resolved;
+}
+
+/**
+ * Monta o IV determinístico do modo de nonce por contador
+ *
+ * @param {Buffer} prefix - Prefixo aleatório do arquivo (8 bytes)
+ * @param {number} chunkIndex
+ * @returns {Buffer} - IV de 12 bytes (prefixo || índice uint32 BE)
+ */
+function buildCounterIV(prefix, chunkIndex) {
+  const iv = Buffer.allocUnsafe(CONFIG.CRYPTO.IV_LENGTH);
+  prefix.copy(iv, 0);
+  iv.writeUInt32BE(chunkIndex, CONFIG.FORMAT.NONCE_PREFIX_SIZE);
+  return iv;
+}
+
 /**
  * Criptografa um chunk de dados
  * 
@@ -101,23 +308,48 @@ export class EncryptedChunk {
  * @param {Buffer} videoKey - Chave derivada do vídeo
  * @param {string} videoId - ID do vídeo
  * @param {number} chunkIndex - Índice do chunk
+ * @param {Object} [options]
+ * @param {FileHeader} [options.header] - Header do arquivo (formato versionado)
+ * @param {number} [options.flags] - Flags do chunk (ex: CHUNK_FLAGS.FINAL)
+ * @param {string} [options.algorithm] - 'aes-256-gcm' (padrão) ou 'chacha20-poly1305';
+ *   com header, deve coincidir com o registrado nele
+ * @param {KeyUsageTracker|null} [options.usageTracker] - Orçamento de IVs aleatórios
+ *   (padrão: nenhum, as invocações não são contadas)
  * @returns {EncryptedChunk}
+ *
+ * Se o header estiver no modo de nonce 'counter', o IV é derivado do
+ * prefixo do arquivo e do índice: cada índice deve ser criptografado
+ * uma única vez por header.
  */
-export function encryptChunk(plaintext, videoKey, videoId, chunkIndex) {
+export function encryptChunk(plaintext, videoKey, videoId, chunkIndex, options = {}) {
+  const { header, flags = 0, usageTracker } = options;
+  const algorithm = resolveAlgorithm(header, options.algorithm);
+  const isFinal = (flags & CONFIG.FORMAT.CHUNK_FLAGS.FINAL) !== 0;
+
   // Validações de segurança
-  validateBuffer(plaintext, 'plaintext');
+  // (o chunk final pode ser vazio, para marcar o fim de streams vazios)
+  if (!(isFinal && Buffer.isBuffer(plaintext) && plaintext.length === 0)) {
+    validateBuffer(plaintext, 'plaintext');
+  }
   validateMasterKey(videoKey); // videoKey tem mesmo tamanho que masterKey
   validateVideoId(videoId);
   validateChunkIndex(chunkIndex);
 
-  // Gera IV aleatório (NUNCA reutilizar)
-  const iv = crypto.randomBytes(CONFIG.CRYPTO.IV_LENGTH);
+  // Cria AAD (valida o header)
+  const aad = buildChunkAAD(videoId, chunkIndex, flags, header);
+  assertKeyCommitment(header, videoKey);
 
-  // Cria AAD
-  const aad = createAAD(videoId, chunkIndex);
+  // Gera IV: por contador (único por prefixo e índice) ou aleatório (NUNCA reutilizar)
+  let iv;
+  if (header?.nonceMode === 'counter') {
+    iv = buildCounterIV(header.getExtension(CONFIG.FORMAT.EXTENSIONS.NONCE_PREFIX), chunkIndex);
+  } else {
+    usageTracker?.record(videoKey);
+    iv = crypto.randomBytes(CONFIG.CRYPTO.IV_LENGTH);
+  }
 
   // Criptografa
-  const cipher = crypto.createCipheriv(CONFIG.CRYPTO.ALGORITHM, videoKey, iv, {
+  const cipher = crypto.createCipheriv(algorithm, videoKey, iv, {
     authTagLength: CONFIG.CRYPTO.AUTH_TAG_LENGTH
   });
 
@@ -130,7 +362,7 @@ export function encryptChunk(plaintext, videoKey, videoId, chunkIndex) {
 
   const tag = cipher.getAuthTag();
 
-  return new EncryptedChunk(chunkIndex, iv, tag, ciphertext);
+  return new EncryptedChunk(chunkIndex, iv, tag, ciphertext, flags);
 }
 
 /**
@@ -139,10 +371,18 @@ export function encryptChunk(plaintext, videoKey, videoId, chunkIndex) {
  * @param {EncryptedChunk} encryptedChunk - Chunk criptografado
  * @param {Buffer} videoKey - Chave derivada do vídeo
  * @param {string} videoId - ID do vídeo
- * @returns {Buffer} - Dados descriptografados
+ * @param {Object} [options]
+ * @param {FileHeader} [options.header] - Header do arquivo (formato versionado);
+ *   define o cipher do chunk
+ * @param {string} [options.algorithm] - Cipher de chunks sem header (padrão: 'aes-256-gcm')
+ * @param {boolean} [options.stripPadding] - false retorna o plaintext de chunks PADDED
+ *   com padding e trailer (padrão: true, apenas os dados)
+ * @returns {Buffer} - Dados descriptografados (descomprimidos se o chunk tiver a flag
+ *   COMPRESSED, sem padding se tiver a flag PADDED)
+ * @throws {SecurityError} - Se a chave não corresponde ao compromisso do header
  * @throws {Error} - Se autenticação falhar
  */
-export function decryptChunk(encryptedChunk, videoKey, videoId) {
+export function decryptChunk(encryptedChunk, videoKey, videoId, options = {}) {
   // Validações
   if (!(encryptedChunk instanceof EncryptedChunk)) {
     throw new ValidationError('encryptedChunk deve ser instância de EncryptedChunk', 'encryptedChunk');
@@ -151,12 +391,32 @@ export function decryptChunk(encryptedChunk, videoKey, videoId) {
   validateMasterKey(videoKey);
   validateVideoId(videoId);
 
+  const algorithm = resolveAlgorithm(options.header, options.algorithm);
+
   // Recria AAD
-  const aad = createAAD(videoId, encryptedChunk.index);
+  const aad = buildChunkAAD(videoId, encryptedChunk.index, encryptedChunk.flags, options.header);
+
+  // Modo key-committing: a chave é verificada antes de qualquer decriptação
+  assertKeyCommitment(options.header, videoKey);
+
+  // No modo por contador o IV é determinado pelo header e pelo índice
+  if (options.header?.nonceMode === 'counter') {
+    const expectedIV = buildCounterIV(
+      options.header.getExtension(CONFIG.FORMAT.EXTENSIONS.NONCE_PREFIX),
+      encryptedChunk.index
+    );
+
+    if (!expectedIV.equals(encryptedChunk.iv)) {
+      throw new SecurityError(
+        `IV do chunk ${encryptedChunk.index} não corresponde ao contador do header`,
+        'NONCE_MISMATCH'
+      );
+    }
+  }
 
   // Descriptografa
   const decipher = crypto.createDecipheriv(
-    CONFIG.CRYPTO.ALGORITHM,
+    algorithm,
     videoKey,
     encryptedChunk.iv,
     {
@@ -167,14 +427,33 @@ export function decryptChunk(encryptedChunk, videoKey, videoId) {
   decipher.setAAD(aad);
   decipher.setAuthTag(encryptedChunk.tag);
 
+  let plaintext;
   try {
-    const plaintext = Buffer.concat([
+    plaintext = Buffer.concat([
       decipher.update(encryptedChunk.ciphertext),
       decipher.final()
     ]);
-
-    return plaintext;
   } catch (error) {
     throw new Error(`Falha na autenticação do chunk ${encryptedChunk.index}: ${error.message}`);
   }
+
+  // A flag COMPRESSED é autenticada: só é interpretada após a decriptação
+  if (encryptedChunk.flags & CONFIG.FORMAT.CHUNK_FLAGS.COMPRESSED) {
+    const compression = options.header?.compression;
+    if (!compression) {
+      throw new Error(`Chunk ${encryptedChunk.index} comprimido sem algoritmo de compressão no header`);
+    }
+
+    return decompressChunk(plaintext, compression, options.header.chunkSize);
+  }
+
+  if (encryptedChunk.flags & CONFIG.FORMAT.CHUNK_FLAGS.PADDED) {
+    if (!options.header?.padding) {
+      throw new Error(`Chunk ${encryptedChunk.index} com padding sem esquema de padding no header`);
+    }
+
+    return options.stripPadding === false ? plaintext : parsePaddedChunk(plaintext).data;
+  }
+
+  return plaintext;
 }
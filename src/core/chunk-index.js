@@ -0,0 +1,272 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { CONFIG } from '../config.js';
+import { deriveSubkey } from '../utils/hkdf.js';
+import { EncryptedChunk } from './chunk-crypto.js';
+import { FileHeader } from './file-header.js';
+import { constantTimeCompare, SecurityError } from '../utils/security.js';
+
+const INDEX_MAGIC = Buffer.from(CONFIG.FORMAT.INDEX.MAGIC, 'ascii');
+
+/**
+ * Tabela de offsets dos chunks (trailer do arquivo)
+ *
+ * Estrutura binária:
+ * [count]     4 bytes (uint32 BE)
+ * [entries]   count × (offset uint64 BE + ciphertextLength uint32 BE)
+ * [mac]      32 bytes (HMAC-SHA256 com subchave da video key)
+ * [length]    4 bytes (uint32 BE, tamanho total do trailer)
+ * [magic]     4 bytes ('KVIX')
+ *
+ * O offset aponta para o prefixo de tamanho do registro do chunk.
+ */
+export class ChunkIndex {
+  constructor(entries = [], mac = null) {
+    this.entries = entries;
+    this.mac = mac;
+  }
+
+  /**
+   * Adiciona a entrada do próximo chunk
+   *
+   * @param {number} offset - Posição do registro no arquivo
+   * @param {number} ciphertextLength - Tamanho do ciphertext
+   */
+  add(offset, ciphertextLength) {
+    this.entries.push({ offset, length: ciphertextLength });
+  }
+
+  /**
+   * Retorna a entrada de um chunk
+   *
+   * @param {number} chunkIndex
+   * @returns {{offset: number, length: number}|undefined}
+   */
+  getEntry(chunkIndex) {
+    return this.entries[chunkIndex];
+  }
+
+  /**
+   * Número de chunks indexados
+   */
+  get count() {
+    return this.entries.length;
+  }
+
+  /**
+   * Serializa count + entries (parte autenticada)
+   *
+   * @returns {Buffer}
+   */
+  _body() {
+    const body = Buffer.allocUnsafe(4 + this.entries.length * CONFIG.FORMAT.INDEX.ENTRY_SIZE);
+    body.writeUInt32BE(this.entries.length, 0);
+
+    let position = 4;
+    for (const { offset, length } of this.entries) {
+      body.writeBigUInt64BE(BigInt(offset), position);
+      body.writeUInt32BE(length, position + 8);
+      position += CONFIG.FORMAT.INDEX.ENTRY_SIZE;
+    }
+
+    return body;
+  }
+
+  /**
+   * Calcula o MAC do índice
+   *
+   * @param {Buffer} videoKey
+   * @param {FileHeader} header
+   * @returns {Buffer}
+   */
+  _computeMac(videoKey, header) {
+    return crypto
+      .createHmac('sha256', deriveSubkey(videoKey, 'chunk-index'))
+      .update(header.getAADContext())
+      .update(this._body())
+      .digest();
+  }
+
+  /**
+   * Autentica o índice com a video key
+   *
+   * @param {Buffer} videoKey
+   * @param {FileHeader} header
+   * @returns {ChunkIndex}
+   */
+  seal(videoKey, header) {
+    this.mac = this._computeMac(videoKey, header);
+    return this;
+  }
+
+  /**
+   * Verifica o MAC do índice
+   *
+   * @param {Buffer} videoKey
+   * @param {FileHeader} header
+   * @throws {SecurityError}
+   */
+  verify(videoKey, header) {
+    if (!this.mac || !constantTimeCompare(this.mac, this._computeMac(videoKey, header))) {
+      throw new SecurityError('Falha na autenticação do índice de chunks', 'INDEX_AUTH_FAILED');
+    }
+  }
+
+  /**
+   * Serializa o trailer completo
+   *
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    if (!this.mac) {
+      throw new Error('Índice deve ser autenticado (seal) antes de serializar');
+    }
+
+    const body = this._body();
+    const footer = Buffer.allocUnsafe(CONFIG.FORMAT.INDEX.FOOTER_SIZE);
+    footer.writeUInt32BE(body.length + this.mac.length + footer.length, 0);
+    INDEX_MAGIC.copy(footer, 4);
+
+    return Buffer.concat([body, this.mac, footer]);
+  }
+
+  /**
+   * Deserializa o trailer
+   *
+   * @param {Buffer} buffer - Buffer contendo exatamente o trailer
+   * @returns {ChunkIndex}
+   */
+  static fromBuffer(buffer) {
+    const { ENTRY_SIZE, MAC_SIZE, FOOTER_SIZE } = CONFIG.FORMAT.INDEX;
+
+    if (!Buffer.isBuffer(buffer) || buffer.length < 4 + MAC_SIZE + FOOTER_SIZE) {
+      throw new Error('Trailer de índice inválido ou muito pequeno');
+    }
+
+    if (!buffer.slice(buffer.length - 4).equals(INDEX_MAGIC)) {
+      throw new Error('Trailer de índice inválido: magic number não encontrado');
+    }
+
+    const count = buffer.readUInt32BE(0);
+    const expectedLength = 4 + count * ENTRY_SIZE + MAC_SIZE + FOOTER_SIZE;
+    if (buffer.length !== expectedLength ||
+        buffer.readUInt32BE(buffer.length - FOOTER_SIZE) !== expectedLength) {
+      throw new Error('Trailer de índice inválido: tamanho incorreto');
+    }
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const position = 4 + i * ENTRY_SIZE;
+      entries.push({
+        offset: Number(buffer.readBigUInt64BE(position)),
+        length: buffer.readUInt32BE(position + 8)
+      });
+    }
+
+    const macStart = 4 + count * ENTRY_SIZE;
+    return new ChunkIndex(entries, buffer.slice(macStart, macStart + MAC_SIZE));
+  }
+}
+
+/**
+ * Lê bytes de uma posição do arquivo
+ *
+ * @param {fs.promises.FileHandle} handle
+ * @param {number} position
+ * @param {number} length
+ * @returns {Promise<Buffer>}
+ */
+export async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+
+  if (bytesRead !== length) {
+    throw new Error(`Leitura incompleta na posição ${position}: ${bytesRead}/${length} bytes`);
+  }
+
+  return buffer;
+}
+
+/**
+ * Lê o FileHeader do início do arquivo
+ *
+ * @param {fs.promises.FileHandle} handle
+ * @returns {Promise<FileHeader>}
+ */
+export async function readFileHeader(handle) {
+  const fixed = await readAt(handle, 0, CONFIG.FORMAT.FIXED_SIZE);
+
+  if (!FileHeader.hasMagic(fixed)) {
+    throw new Error('Arquivo sem header: formato legado não suportado');
+  }
+
+  return FileHeader.fromBuffer(await readAt(handle, 0, FileHeader.getLength(fixed)));
+}
+
+/**
+ * Lê o trailer de índice do final do arquivo (sem verificar o MAC)
+ *
+ * @param {fs.promises.FileHandle} handle
+ * @returns {Promise<ChunkIndex>}
+ */
+export async function readIndexTrailer(handle) {
+  const { size } = await handle.stat();
+  const footer = await readAt(handle, size - CONFIG.FORMAT.INDEX.FOOTER_SIZE, CONFIG.FORMAT.INDEX.FOOTER_SIZE);
+
+  if (!footer.slice(4).equals(INDEX_MAGIC)) {
+    throw new Error('Trailer de índice não encontrado');
+  }
+
+  const length = footer.readUInt32BE(0);
+  if (length > size) {
+    throw new Error('Trailer de índice inválido: tamanho incorreto');
+  }
+
+  return ChunkIndex.fromBuffer(await readAt(handle, size - length, length));
+}
+
+/**
+ * Lê o registro de um chunk a partir da sua entrada no índice
+ *
+ * @param {fs.promises.FileHandle} handle
+ * @param {{offset: number, length: number}} entry
+ * @returns {Promise<EncryptedChunk>}
+ */
+export async function readIndexedChunk(handle, entry) {
+  const recordLength = CONFIG.HEADER.TOTAL_SIZE + entry.length;
+  const record = await readAt(handle, entry.offset, 4 + recordLength);
+
+  if (record.readUInt32BE(0) !== recordLength) {
+    throw new Error(`Registro de chunk não confere com o índice (offset ${entry.offset})`);
+  }
+
+  return EncryptedChunk.fromBuffer(record.slice(4));
+}
+
+/**
+ * Lê e autentica o índice de chunks de um arquivo criptografado
+ *
+ * @param {string} filePath - Arquivo criptografado (binário)
+ * @param {Buffer} videoKey - Chave derivada do vídeo
+ * @param {string} videoId - ID do vídeo
+ * @returns {Promise<{header: FileHeader, index: ChunkIndex}>}
+ */
+export async function readChunkIndex(filePath, videoKey, videoId) {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const header = await readFileHeader(handle);
+    header.assertVideoId(videoId);
+
+    if (!(header.flags & CONFIG.FORMAT.FLAGS.INDEX)) {
+      throw new Error('Arquivo não possui índice de chunks');
+    }
+
+    const index = await readIndexTrailer(handle);
+    index.verify(videoKey, header);
+
+    return { header, index };
+  } finally {
+    await handle.close();
+  }
+}
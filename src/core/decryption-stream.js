@@ -1,25 +1,74 @@
 import { Transform } from 'stream';
 import { CONFIG } from '../config.js';
 import { decryptChunk, EncryptedChunk } from './chunk-crypto.js';
+import { FileHeader } from './file-header.js';
+import { ChunkIndex } from './chunk-index.js';
+import { SecurityError, TruncationError, ValidationError } from '../utils/security.js';
+import { decodeText } from '../utils/base85.js';
+
+const SEQUENCE_MODES = ['strict', 'relaxed'];
 
 /**
  * Transform stream que deserializa buffers em EncryptedChunks
+ *
+ * Se o stream começa com um FileHeader, ele é emitido antes dos chunks.
+ * Se o header tiver a flag INDEX, os bytes após o chunk final são
+ * emitidos como ChunkIndex.
+ * Arquivos legados (sem header) são lidos normalmente.
  */
 export class ChunkDeserializationStream extends Transform {
   constructor(options = {}) {
     super({ ...options, objectMode: true });
     this.buffer = Buffer.alloc(0);
+    this.header = null;
+    this.headerChecked = false;
+    this.readingTrailer = false;
+  }
+
+  /**
+   * Detecta e extrai o header no início do stream
+   *
+   * @returns {boolean} - False se ainda faltam bytes para decidir
+   */
+  _readHeader() {
+    if (this.buffer.length < 4) {
+      return false;
+    }
+
+    if (FileHeader.hasMagic(this.buffer)) {
+      const headerLength = FileHeader.getLength(this.buffer);
+      if (headerLength === -1 || this.buffer.length < headerLength) {
+        return false; // Espera mais dados
+      }
+
+      this.header = FileHeader.fromBuffer(this.buffer.slice(0, headerLength));
+      this.buffer = this.buffer.slice(headerLength);
+      this.push(this.header);
+    }
+
+    this.headerChecked = true;
+    return true;
   }
 
   _transform(chunk, encoding, callback) {
     try {
       this.buffer = Buffer.concat([this.buffer, chunk]);
 
+      if (!this.headerChecked && !this._readHeader()) {
+        return callback();
+      }
+
       // Tenta extrair chunks completos
       // Formato: [tamanho(4 bytes)][chunk data]
-      while (this.buffer.length >= 4) {
+      while (!this.readingTrailer && this.buffer.length >= 4) {
         // Lê o tamanho do próximo chunk
         const chunkSize = this.buffer.readUInt32BE(0);
+
+        if (this.header && chunkSize > this.header.chunkSize + CONFIG.HEADER.TOTAL_SIZE) {
+          throw new Error(
+            `Chunk de ${chunkSize} bytes excede o chunkSize do header (${this.header.chunkSize})`
+          );
+        }
         
         // Verifica se temos o chunk completo no buffer
         if (this.buffer.length < 4 + chunkSize) {
@@ -33,6 +82,12 @@ export class ChunkDeserializationStream extends Transform {
         // Deserializa
         const encryptedChunk = EncryptedChunk.fromBuffer(chunkData);
         this.push(encryptedChunk);
+
+        // O restante do arquivo é o trailer de índice
+        if (encryptedChunk.isFinal && this.header &&
+            (this.header.flags & CONFIG.FORMAT.FLAGS.INDEX)) {
+          this.readingTrailer = true;
+        }
       }
 
       callback();
@@ -42,23 +97,67 @@ export class ChunkDeserializationStream extends Transform {
   }
 
   _flush(callback) {
-    if (this.buffer.length > 0) {
-      callback(new Error(`Buffer contém ${this.buffer.length} bytes não processados`));
-    } else {
-      callback();
+    try {
+      if (this.readingTrailer) {
+        this.push(ChunkIndex.fromBuffer(this.buffer));
+        this.buffer = Buffer.alloc(0);
+      }
+
+      if (this.buffer.length > 0) {
+        callback(new Error(`Buffer contém ${this.buffer.length} bytes não processados`));
+      } else {
+        callback();
+      }
+    } catch (error) {
+      callback(error);
     }
   }
 }
 
 /**
  * Transform stream que descriptografa chunks
+ *
+ * Aceita um FileHeader antes dos chunks e valida que ele pertence ao videoId.
+ * No formato versionado, o stream só termina com sucesso após um chunk
+ * FINAL autenticado; caso contrário lança TruncationError. Streams legados
+ * (sem header) não têm chunk final: uma entrada vazia é um vídeo vazio.
+ *
+ * A sequência de índices é verificada (`options.sequence`):
+ * - 'strict' (padrão): índices devem ser 0, 1, 2, ... sem lacunas
+ * - 'relaxed': índices crescentes com lacunas permitidas (subconjuntos
+ *   esparsos); neste modo o stream não exige o chunk final
+ *
+ * Violações geram SecurityError com código CHUNK_GAP, CHUNK_DUPLICATE
+ * ou CHUNK_REORDERED.
+ *
+ * Um ChunkIndex recebido após o chunk final é autenticado e comparado
+ * com os chunks processados.
+ *
+ * O cipher vem do header; streams legados (sem header) usam
+ * `options.algorithm` (padrão: 'aes-256-gcm').
  */
 export class DecryptionStream extends Transform {
   constructor(videoKey, videoId, options = {}) {
     super({ ...options, objectMode: true });
 
+    const { sequence = 'strict' } = options;
+    if (!SEQUENCE_MODES.includes(sequence)) {
+      throw new ValidationError(
+        `Modo de sequência inválido. Use: ${SEQUENCE_MODES.join(', ')}`,
+        'sequence'
+      );
+    }
+
     this.videoKey = videoKey;
     this.videoId = videoId;
+    this.sequence = sequence;
+    this.algorithm = options.algorithm;
+    this.header = null;
+    this.finalReceived = false;
+    this.expectedIndex = 0;
+    this.seenIndexes = new Set();
+    this.ciphertextLengths = [];
+    this.indexVerified = false;
     this.chunksProcessed = 0;
     this.bytesProcessed = 0;
     this.errors = [];
@@ -66,11 +165,49 @@ export class DecryptionStream extends Transform {
 
   _transform(encryptedChunk, encoding, callback) {
     try {
+      if (encryptedChunk instanceof FileHeader) {
+        if (this.header || this.chunksProcessed > 0) {
+          throw new Error('Header inesperado no meio do stream');
+        }
+
+        encryptedChunk.assertVideoId(this.videoId);
+        this.header = encryptedChunk;
+        return callback();
+      }
+
+      if (encryptedChunk instanceof ChunkIndex) {
+        this._verifyIndex(encryptedChunk);
+        return callback();
+      }
+
       if (!(encryptedChunk instanceof EncryptedChunk)) {
         throw new Error('Entrada deve ser EncryptedChunk');
       }
 
-      const plaintext = decryptChunk(encryptedChunk, this.videoKey, this.videoId);
+      if (this.finalReceived) {
+        throw new SecurityError(
+          `Chunk ${encryptedChunk.index} recebido após o chunk final`,
+          'DATA_AFTER_FINAL'
+        );
+      }
+
+      this._checkSequence(encryptedChunk.index);
+
+      const plaintext = decryptChunk(encryptedChunk, this.videoKey, this.videoId, {
+        header: this.header || undefined,
+        algorithm: this.header ? undefined : this.algorithm
+      });
+
+      this.expectedIndex = encryptedChunk.index + 1;
+      if (this.sequence === 'relaxed') {
+        this.seenIndexes.add(encryptedChunk.index);
+      }
+      this.ciphertextLengths.push(encryptedChunk.ciphertext.length);
+
+      // A flag FINAL faz parte do AAD: só é confiável após a autenticação
+      if (this.header && encryptedChunk.isFinal) {
+        this.finalReceived = true;
+      }
 
       this.push(plaintext);
       this.chunksProcessed++;
@@ -89,6 +226,73 @@ export class DecryptionStream extends Transform {
     }
   }
 
+  /**
+   * Autentica o trailer de índice e confere com os chunks processados
+   *
+   * @param {ChunkIndex} index
+   * @throws {SecurityError}
+   */
+  _verifyIndex(index) {
+    if (!this.header || !this.finalReceived || this.indexVerified) {
+      throw new SecurityError('Índice de chunks inesperado no stream', 'INDEX_MISMATCH');
+    }
+
+    index.verify(this.videoKey, this.header);
+
+    // No modo relaxed os chunks processados são um subconjunto: só o MAC é verificado
+    if (this.sequence === 'strict') {
+      const matches = index.count === this.ciphertextLengths.length &&
+        index.entries.every((entry, i) => entry.length === this.ciphertextLengths[i]);
+
+      if (!matches) {
+        throw new SecurityError('Índice de chunks não confere com o conteúdo do arquivo', 'INDEX_MISMATCH');
+      }
+    }
+
+    this.indexVerified = true;
+  }
+
+  /**
+   * Verifica o índice recebido contra o próximo índice esperado
+   *
+   * @param {number} index
+   * @throws {SecurityError}
+   */
+  _checkSequence(index) {
+    if (index < this.expectedIndex) {
+      // No modo strict todos os índices anteriores já foram processados
+      const duplicate = this.sequence === 'strict' || this.seenIndexes.has(index);
+
+      throw duplicate
+        ? new SecurityError(`Chunk ${index} duplicado`, 'CHUNK_DUPLICATE')
+        : new SecurityError(
+          `Chunk ${index} fora de ordem (esperado índice >= ${this.expectedIndex})`,
+          'CHUNK_REORDERED'
+        );
+    }
+
+    if (this.sequence === 'strict' && index > this.expectedIndex) {
+      throw new SecurityError(
+        `Lacuna na sequência: esperado chunk ${this.expectedIndex}, recebido ${index}`,
+        'CHUNK_GAP'
+      );
+    }
+  }
+
+  _flush(callback) {
+    if (this.sequence === 'relaxed') {
+      return callback();
+    }
+
+    if (this.header && !this.finalReceived) {
+      return callback(new TruncationError(
+        `Stream truncado: chunk final não encontrado após ${this.chunksProcessed} chunks`
+      ));
+    }
+
+    callback();
+  }
+
   /**
    * Retorna estatísticas do processo
    */
@@ -101,6 +305,91 @@ export class DecryptionStream extends Transform {
   }
 }
 
+/**
+ * Transform stream que lê o formato NDJSON
+ *
+ * Emite FileHeader (linha com `header`) e EncryptedChunks, prontos para o
+ * DecryptionStream. Tolera CRLF, linhas em branco e base64 padrão no
+ * lugar de base64url. Erros indicam o número da linha.
+ */
+export class NDJSONDecodingStream extends Transform {
+  constructor(options = {}) {
+    super({ ...options, writableObjectMode: false, readableObjectMode: true });
+    this.lineBuffer = '';
+    this.lineNumber = 0;
+    this.header = null;
+    this.chunksDecoded = 0;
+  }
+
+  /**
+   * Interpreta uma linha
+   *
+   * @param {string} line
+   */
+  _parseLine(line) {
+    this.lineNumber++;
+
+    const text = line.trim();
+    if (!text) {
+      return;
+    }
+
+    try {
+      const record = JSON.parse(text);
+
+      if (record && typeof record.header === 'string') {
+        if (this.header || this.chunksDecoded > 0) {
+          throw new Error('header inesperado após o início do stream');
+        }
+
+        this.header = FileHeader.fromBuffer(Buffer.from(record.header, 'base64url'));
+        this.push(this.header);
+        return;
+      }
+
+      const chunk = EncryptedChunk.fromJSON(record);
+
+      if (this.header && chunk.ciphertext.length > this.header.chunkSize) {
+        throw new Error(
+          `chunk de ${chunk.ciphertext.length} bytes excede o chunkSize do header (${this.header.chunkSize})`
+        );
+      }
+
+      this.chunksDecoded++;
+      this.push(chunk);
+    } catch (error) {
+      throw new Error(`NDJSON inválido na linha ${this.lineNumber}: ${error.message}`);
+    }
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.lineBuffer += chunk.toString();
+
+      const lines = this.lineBuffer.split('\n');
+      this.lineBuffer = lines.pop();
+
+      for (const line of lines) {
+        this._parseLine(line);
+      }
+
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      this._parseLine(this.lineBuffer);
+      this.lineBuffer = '';
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
+
 /**
  * Transform stream que decodifica texto para buffer
  */
@@ -122,7 +411,7 @@ export class TextDecodingStream extends Transform {
 
       for (const line of lines) {
         if (line.trim()) {
-          const buffer = Buffer.from(line.trim(), this.encoding);
+          const buffer = decodeText(line.trim(), this.encoding);
           this.push(buffer);
         }
       }
@@ -137,7 +426,7 @@ export class TextDecodingStream extends Transform {
     try {
       // Processa última linha
       if (this.lineBuffer.trim()) {
-        const buffer = Buffer.from(this.lineBuffer.trim(), this.encoding);
+        const buffer = decodeText(this.lineBuffer.trim(), this.encoding);
         this.push(buffer);
       }
       callback();
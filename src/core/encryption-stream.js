@@ -1,43 +1,227 @@
+import crypto from 'crypto';
 import { Transform } from 'stream';
 import { CONFIG } from '../config.js';
 import { encryptChunk, EncryptedChunk } from './chunk-crypto.js';
+import { FileHeader } from './file-header.js';
+import { ChunkIndex } from './chunk-index.js';
+import { MerkleTree, hashChunkLeaf } from './merkle.js';
+import { compressChunk, validateCompression } from '../utils/compression.js';
+import {
+  normalizePadding,
+  encodePaddingExtension,
+  buildPaddedChunks
+} from '../utils/padding.js';
+import { encodeText } from '../utils/base85.js';
+import { SecurityError, ValidationError } from '../utils/security.js';
+
+// Headers em modo de nonce por contador já usados (reuso repetiria IVs)
+const counterHeadersInUse = new WeakSet();
 
 /**
  * Transform stream que divide dados em chunks e criptografa
+ *
+ * Com `options.header`, emite o FileHeader antes do primeiro chunk,
+ * usa o chunkSize registrado nele e marca o último chunk como FINAL.
+ * Para isso o último chunk completo é retido até o fim do stream.
+ * Se o header tiver a flag INDEX, emite um ChunkIndex autenticado
+ * após o chunk final.
+ * Com `options.merkle`, guarda o hash de cada chunk para montar a
+ * árvore de Merkle (getMerkleTree).
+ * Um header no modo de nonce 'counter' só pode ser usado por um stream.
+ * O cipher é o registrado no header; sem header, `options.algorithm`.
+ * Com `options.compression` (requer header), cada chunk é comprimido de
+ * forma independente antes da criptografia e marcado com a flag COMPRESSED;
+ * chunks que não diminuem são gravados sem compressão.
+ * Com `options.padding` (requer header; incompatível com compressão), os
+ * chunks do fim do stream são completados até o bucket do esquema e
+ * marcados com a flag PADDED (ver utils/padding.js).
  */
 export class EncryptionStream extends Transform {
   constructor(videoKey, videoId, options = {}) {
     super({ ...options, objectMode: true });
 
+    if (options.header !== undefined && !(options.header instanceof FileHeader)) {
+      throw new Error('options.header deve ser instância de FileHeader');
+    }
+
+    if (options.header && options.algorithm !== undefined &&
+        options.algorithm !== options.header.algorithm) {
+      throw new ValidationError(
+        `Algoritmo ${options.algorithm} difere do registrado no header (${options.header.algorithm})`,
+        'algorithm'
+      );
+    }
+
+    if (options.compression !== undefined) {
+      validateCompression(options.compression);
+
+      if (!options.header) {
+        throw new ValidationError('Compressão requer header (formato versionado)', 'compression');
+      }
+
+      if (options.header.padding) {
+        throw new ValidationError('Padding e compressão são mutuamente exclusivos', 'compression');
+      }
+
+      if (options.header.compression && options.header.compression !== options.compression) {
+        throw new ValidationError(
+          `Compressão ${options.compression} difere da registrada no header (${options.header.compression})`,
+          'compression'
+        );
+      }
+
+      options.header.setExtension(
+        CONFIG.FORMAT.EXTENSIONS.COMPRESSION,
+        Buffer.from([CONFIG.FORMAT.COMPRESSION[options.compression]])
+      );
+    }
+
+    if (options.padding !== undefined) {
+      const padding = normalizePadding(options.padding);
+
+      if (!options.header) {
+        throw new ValidationError('Padding requer header (formato versionado)', 'padding');
+      }
+
+      if (options.header.compression) {
+        throw new ValidationError('Padding e compressão são mutuamente exclusivos', 'padding');
+      }
+
+      const extension = encodePaddingExtension(padding);
+      const current = options.header.getExtension(CONFIG.FORMAT.EXTENSIONS.PADDING);
+      if (current && !current.equals(extension)) {
+        throw new ValidationError('Padding difere do registrado no header', 'padding');
+      }
+
+      options.header.setExtension(CONFIG.FORMAT.EXTENSIONS.PADDING, extension);
+    }
+
+    if (options.header?.nonceMode === 'counter') {
+      if (counterHeadersInUse.has(options.header)) {
+        throw new SecurityError(
+          'Header com nonce por contador já usado em outro stream (reuso de IV)',
+          'NONCE_REUSE'
+        );
+      }
+      counterHeadersInUse.add(options.header);
+    }
+
     this.videoKey = videoKey;
     this.videoId = videoId;
-    this.chunkSize = options.chunkSize || CONFIG.CHUNK_SIZE;
+    this.header = options.header || null;
+    this.usageTracker = options.usageTracker;
+    this.algorithm = options.algorithm;
+    this.compression = this.header?.compression || null;
+    this.compressedBytes = 0;
+    this.padding = this.header?.padding || null;
+    this.paddingBytes = 0;
+    this.chunkSize = this.header?.chunkSize || options.chunkSize || CONFIG.CHUNK_SIZE;
     
     this.buffer = Buffer.alloc(0);
     this.chunkIndex = 0;
     this.bytesProcessed = 0;
+    this.headerPushed = false;
+
+    // SHA-256 das auth tags em ordem (ver computeChunkTagsHash)
+    this.tagsHash = crypto.createHash('sha256');
+    this.merkleLeaves = options.merkle ? [] : null;
+
+    // Offsets no arquivo binário serializado (header + registros)
+    this.index = this.header && (this.header.flags & CONFIG.FORMAT.FLAGS.INDEX)
+      ? new ChunkIndex()
+      : null;
+    this.offset = this.index ? this.header.size : 0;
+  }
+
+  /**
+   * Emite o header (uma única vez) antes dos chunks
+   */
+  _pushHeader() {
+    if (this.header && !this.headerPushed) {
+      this.push(this.header);
+      this.headerPushed = true;
+    }
+  }
+
+  /**
+   * Criptografa e emite um chunk
+   *
+   * @param {Buffer} data
+   * @param {number} flags
+   * @param {number} [dataLength] - Bytes de dados em data (menor se houver padding)
+   */
+  _pushChunk(data, flags = 0, dataLength = data.length) {
+    let payload = data;
+
+    if (this.compression) {
+      const compressed = compressChunk(data, this.compression);
+      if (compressed) {
+        payload = compressed;
+        flags |= CONFIG.FORMAT.CHUNK_FLAGS.COMPRESSED;
+      }
+      this.compressedBytes += payload.length;
+    }
+
+    const encryptedChunk = encryptChunk(
+      payload,
+      this.videoKey,
+      this.videoId,
+      this.chunkIndex,
+      {
+        header: this.header || undefined,
+        flags,
+        usageTracker: this.usageTracker,
+        algorithm: this.algorithm
+      }
+    );
+
+    if (this.index) {
+      this.index.add(this.offset, encryptedChunk.ciphertext.length);
+      this.offset += 4 + encryptedChunk.size;
+    }
+
+    this.tagsHash.update(encryptedChunk.tag);
+    this.merkleLeaves?.push(hashChunkLeaf(encryptedChunk));
+    this.push(encryptedChunk);
+    this.chunkIndex++;
+    this.bytesProcessed += dataLength;
+    this.paddingBytes += data.length - dataLength;
+  }
+
+  /**
+   * Emite os dados restantes em chunks com padding (o último é FINAL)
+   */
+  _pushPaddedChunks() {
+    const { PADDED, FINAL } = CONFIG.FORMAT.CHUNK_FLAGS;
+    const chunks = buildPaddedChunks(this.buffer, {
+      totalSize: this.bytesProcessed + this.buffer.length,
+      firstIndex: this.chunkIndex,
+      chunkSize: this.chunkSize,
+      padding: this.padding
+    });
+
+    chunks.forEach((chunk, i) => {
+      const dataLength = chunk.readUInt32BE(chunk.length - 4);
+      const flags = i === chunks.length - 1 ? PADDED | FINAL : PADDED;
+      this._pushChunk(chunk, flags, dataLength);
+    });
   }
 
   _transform(chunk, encoding, callback) {
     try {
+      this._pushHeader();
+
       // Acumula dados no buffer
       this.buffer = Buffer.concat([this.buffer, chunk]);
 
       // Processa chunks completos
-      while (this.buffer.length >= this.chunkSize) {
+      // (com header, retém sempre um chunk para o _flush marcar como FINAL)
+      while (this.buffer.length > this.chunkSize ||
+             (!this.header && this.buffer.length === this.chunkSize)) {
         const chunkData = this.buffer.slice(0, this.chunkSize);
         this.buffer = this.buffer.slice(this.chunkSize);
 
-        const encryptedChunk = encryptChunk(
-          chunkData,
-          this.videoKey,
-          this.videoId,
-          this.chunkIndex
-        );
-
-        this.push(encryptedChunk);
-        this.chunkIndex++;
-        this.bytesProcessed += chunkData.length;
+        this._pushChunk(chunkData);
       }
 
       callback();
@@ -48,21 +232,21 @@ export class EncryptionStream extends Transform {
 
   _flush(callback) {
     try {
-      // Processa último chunk (pode ser menor)
-      if (this.buffer.length > 0) {
-        const encryptedChunk = encryptChunk(
-          this.buffer,
-          this.videoKey,
-          this.videoId,
-          this.chunkIndex
-        );
+      this._pushHeader();
 
-        this.push(encryptedChunk);
-        this.chunkIndex++;
-        this.bytesProcessed += this.buffer.length;
+      // Processa último chunk (pode ser menor; com header, pode ser vazio)
+      if (this.padding) {
+        this._pushPaddedChunks();
+        this.buffer = Buffer.alloc(0);
+      } else if (this.buffer.length > 0 || this.header) {
+        this._pushChunk(this.buffer, this.header ? CONFIG.FORMAT.CHUNK_FLAGS.FINAL : 0);
         this.buffer = Buffer.alloc(0);
       }
 
+      if (this.index) {
+        this.push(this.index.seal(this.videoKey, this.header));
+      }
+
       callback();
     } catch (error) {
       callback(error);
@@ -73,23 +257,73 @@ export class EncryptionStream extends Transform {
    * Retorna estatísticas do processo
    */
   getStats() {
-    return {
+    const stats = {
       totalChunks: this.chunkIndex,
-      bytesProcessed: this.bytesProcessed
+      bytesProcessed: this.bytesProcessed,
+      chunkTagsHash: this.tagsHash.copy().digest('hex')
     };
+
+    if (this.compression) {
+      // Razão original / comprimido (ex: 3 = um terço do tamanho)
+      stats.compressedBytes = this.compressedBytes;
+      stats.compressionRatio = this.compressedBytes > 0
+        ? this.bytesProcessed / this.compressedBytes
+        : 1;
+    }
+
+    if (this.padding) {
+      // Bytes de padding e trailers, e a fração em relação aos dados
+      stats.paddingBytes = this.paddingBytes;
+      stats.paddingOverhead = this.bytesProcessed > 0
+        ? this.paddingBytes / this.bytesProcessed
+        : 0;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Retorna a árvore de Merkle dos chunks emitidos (requer options.merkle)
+   *
+   * @returns {MerkleTree}
+   */
+  getMerkleTree() {
+    if (!this.merkleLeaves) {
+      throw new Error('Árvore de Merkle não habilitada (options.merkle)');
+    }
+
+    return new MerkleTree(this.merkleLeaves);
   }
 }
 
 /**
  * Transform stream que serializa EncryptedChunk para Buffer
+ *
+ * Um FileHeader recebido antes dos chunks é escrito sem prefixo de tamanho;
+ * um ChunkIndex recebido após os chunks é escrito como trailer.
  */
 export class ChunkSerializationStream extends Transform {
   constructor(options = {}) {
     super({ ...options, objectMode: true });
+    this.chunksSerialized = 0;
   }
 
   _transform(encryptedChunk, encoding, callback) {
     try {
+      if (encryptedChunk instanceof FileHeader) {
+        if (this.chunksSerialized > 0) {
+          throw new Error('Header deve ser escrito antes dos chunks');
+        }
+
+        this.push(encryptedChunk.toBuffer());
+        return callback();
+      }
+
+      if (encryptedChunk instanceof ChunkIndex) {
+        this.push(encryptedChunk.toBuffer());
+        return callback();
+      }
+
       if (!(encryptedChunk instanceof EncryptedChunk)) {
         throw new Error('Entrada deve ser EncryptedChunk');
       }
@@ -101,6 +335,7 @@ export class ChunkSerializationStream extends Transform {
       sizeBuffer.writeUInt32BE(chunkBuffer.length, 0);
       
       this.push(Buffer.concat([sizeBuffer, chunkBuffer]));
+      this.chunksSerialized++;
       callback();
     } catch (error) {
       callback(error);
@@ -119,7 +354,7 @@ export class TextEncodingStream extends Transform {
 
   _transform(chunk, encoding, callback) {
     try {
-      const text = chunk.toString(this.encoding);
+      const text = encodeText(chunk, this.encoding);
       this.push(text + '\n'); // Adiciona newline para separação
       callback();
     } catch (error) {
@@ -127,3 +362,49 @@ export class TextEncodingStream extends Transform {
     }
   }
 }
+
+/**
+ * Transform stream que escreve o formato NDJSON
+ *
+ * Recebe os objetos do EncryptionStream e emite uma linha JSON por objeto:
+ * o header (`header` em base64url, com versão, algoritmo e chunkSize
+ * apenas informativos) e, em seguida, um objeto por chunk
+ * (EncryptedChunk.toJSON). O índice de chunks não é suportado.
+ */
+export class NDJSONEncodingStream extends Transform {
+  constructor(options = {}) {
+    super({ ...options, writableObjectMode: true, readableObjectMode: false });
+    this.chunksEncoded = 0;
+  }
+
+  _transform(item, encoding, callback) {
+    try {
+      let record;
+
+      if (item instanceof FileHeader) {
+        if (this.chunksEncoded > 0) {
+          throw new Error('Header deve ser escrito antes dos chunks');
+        }
+
+        record = {
+          header: item.toBuffer().toString('base64url'),
+          version: item.version,
+          algorithm: item.algorithm,
+          chunkSize: item.chunkSize
+        };
+      } else if (item instanceof EncryptedChunk) {
+        record = item.toJSON();
+        this.chunksEncoded++;
+      } else if (item instanceof ChunkIndex) {
+        throw new Error('Índice de chunks requer encoding binary');
+      } else {
+        throw new Error('Entrada deve ser FileHeader ou EncryptedChunk');
+      }
+
+      this.push(JSON.stringify(record) + '\n');
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
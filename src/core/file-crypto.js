@@ -1,15 +1,43 @@
+import crypto from 'crypto';
 import fs from 'fs';
+import { Writable } from 'stream';
 import { pipeline } from 'stream/promises';
+import { CONFIG } from '../config.js';
 import { deriveVideoKey } from '../utils/hkdf.js';
-import { EncryptionStream, ChunkSerializationStream, TextEncodingStream } from './encryption-stream.js';
-import { DecryptionStream, ChunkDeserializationStream, TextDecodingStream } from './decryption-stream.js';
+import { validateKeyWrap } from '../utils/key-wrap.js';
+import { decodeText } from '../utils/base85.js';
+import {
+  EncryptionStream,
+  ChunkSerializationStream,
+  TextEncodingStream,
+  NDJSONEncodingStream
+} from './encryption-stream.js';
+import {
+  DecryptionStream,
+  ChunkDeserializationStream,
+  TextDecodingStream,
+  NDJSONDecodingStream
+} from './decryption-stream.js';
+import { FileHeader } from './file-header.js';
+import { ArmorEncodingStream, ArmorDecodingStream, isArmored } from './armor.js';
+import { computeKeyCommitment } from './chunk-crypto.js';
+import { computeMasterKeyId } from './keyring.js';
+import { resolveKeyProvider, resolveProviderVideoKey } from './key-provider.js';
+import {
+  HashStream,
+  createManifest,
+  assertManifest,
+  ManifestVerificationStream
+} from '../utils/integrity.js';
 import {
-  validateMasterKey,
   validateVideoId,
   validateFilePath,
   validateEncoding,
   validateChunkSize,
-  SECURITY_LIMITS
+  ValidationError,
+  IntegrityError,
+  SECURITY_LIMITS,
+  secureWipe
 } from '../utils/security.js';
 
 /**
@@ -18,26 +46,62 @@ import {
  * @param {Object} options
  * @param {string} options.inputPath - Caminho do arquivo de entrada
  * @param {string} options.outputPath - Caminho do arquivo de saída
- * @param {Buffer} options.masterKey - Master key
+ * @param {Buffer} [options.masterKey] - Master key
+ * @param {Keyring} [options.keyring] - Alternativa a masterKey: usa a chave ativa e grava
+ *   seu key id no header
+ * @param {KeyProvider} [options.keyProvider] - Alternativa a masterKey: usa a chave atual
+ *   do provider (getKey, ou wrap com envelope) e grava seu key id no header
  * @param {string} options.videoId - ID único do vídeo
- * @param {string} [options.encoding] - 'binary', 'base64' ou 'hex'
+ * @param {string} [options.encoding] - 'binary', 'base64', 'hex', 'z85', 'ascii85', 'json' (NDJSON) ou 'armor'
  * @param {number} [options.chunkSize] - Tamanho do chunk (padrão: 512KB)
+ * @param {boolean} [options.index] - Adiciona trailer de índice para acesso aleatório (apenas 'binary')
+ * @param {boolean} [options.manifest] - Gera o manifest durante a criptografia (retornado em stats.manifest),
+ *   selado pela master key ou, com envelope, pela data key do vídeo
+ * @param {string} [options.manifestPath] - Grava o manifest como arquivo JSON (implica manifest)
+ * @param {boolean} [options.merkle] - Monta a árvore de Merkle dos chunks (stats.merkleTree,
+ *   raiz em manifest.merkleRoot)
+ * @param {string} [options.nonce] - 'random' (padrão) ou 'counter' (prefixo aleatório + contador)
+ * @param {KeyUsageTracker|null} [options.usageTracker] - Orçamento de IVs aleatórios por chave
+ * @param {boolean} [options.keyCommitment] - Grava no header o compromisso com a video key
+ * @param {string} [options.algorithm] - 'aes-256-gcm' (padrão) ou 'chacha20-poly1305'
+ *   (registrado no header; a decriptação o detecta)
+ * @param {string} [options.compression] - 'gzip', 'deflate' ou 'brotli': comprime cada
+ *   chunk antes da criptografia (stats.compressionRatio)
+ * @param {string|Object} [options.padding] - Oculta o tamanho do plaintext: 'pow2', 'padme'
+ *   ou `{ scheme, multiple, target: 'file'|'chunk' }` (stats.paddingBytes; incompatível com compression)
+ * @param {number} [options.armorWidth] - Colunas por linha no encoding 'armor' (64 ou 76)
+ * @param {boolean|string} [options.envelope] - Criptografa com uma data key aleatória,
+ *   embrulhada pela master key no header: true ou 'aes-kw' (RFC 3394), ou 'aes-gcm'
+ *   (a master key pode ser rotacionada com rewrapKey)
  * @returns {Promise<Object>} - Estatísticas do processo
  */
 export async function encryptFile(options) {
   const {
     inputPath,
     outputPath,
-    masterKey,
+    keyring,
+    keyProvider,
     videoId,
     encoding = 'binary',
-    chunkSize
+    chunkSize,
+    index = false,
+    manifestPath,
+    merkle = false,
+    nonce,
+    usageTracker,
+    keyCommitment = false,
+    algorithm,
+    compression,
+    padding,
+    armorWidth,
+    envelope = false
   } = options;
+  const manifest = options.manifest || manifestPath !== undefined;
 
   // Validações de segurança
   validateFilePath(inputPath, 'inputPath');
   validateFilePath(outputPath, 'outputPath');
-  validateMasterKey(masterKey);
+  const provider = resolveKeyProvider(options.masterKey, keyring, keyProvider);
   validateVideoId(videoId);
   validateEncoding(encoding);
   
@@ -45,6 +109,19 @@ export async function encryptFile(options) {
     validateChunkSize(chunkSize);
   }
 
+  if (index && encoding !== 'binary') {
+    throw new ValidationError('Índice de chunks requer encoding binary', 'index');
+  }
+
+  if (manifestPath !== undefined) {
+    validateFilePath(manifestPath, 'manifestPath');
+  }
+
+  const keyWrap = envelope === true ? 'aes-kw' : envelope;
+  if (keyWrap) {
+    validateKeyWrap(keyWrap);
+  }
+
   // Verifica se arquivo existe
   if (!fs.existsSync(inputPath)) {
     throw new Error(`Arquivo de entrada não encontrado: ${inputPath}`);
@@ -58,59 +135,332 @@ export async function encryptFile(options) {
     );
   }
 
-  // Deriva chave do vídeo
-  const videoKey = deriveVideoKey(masterKey, videoId);
+  const { keyId, videoKey, wrappedKey } = await createVideoKey(provider, videoId, keyWrap);
+
+  // Header auto-descritivo (versão, cipher, chunk size, fingerprint)
+  const header = FileHeader.create({
+    videoId,
+    chunkSize,
+    algorithm,
+    nonce,
+    compression,
+    padding
+  });
+  if (wrappedKey) {
+    header.setExtension(CONFIG.FORMAT.EXTENSIONS.WRAPPED_KEY, wrappedKey);
+  }
+  if (keyId) {
+    header.setExtension(CONFIG.FORMAT.EXTENSIONS.KEY_ID, Buffer.from(keyId, 'hex'));
+  }
+  if (index) {
+    header.flags |= CONFIG.FORMAT.FLAGS.INDEX;
+  }
+  if (keyCommitment) {
+    header.setExtension(CONFIG.FORMAT.EXTENSIONS.KEY_COMMITMENT, computeKeyCommitment(videoKey));
+  }
 
   // Cria streams
   const inputStream = fs.createReadStream(inputPath);
-  const encryptionStream = new EncryptionStream(videoKey, videoId, { chunkSize });
-  const serializationStream = new ChunkSerializationStream();
+  const encryptionStream = new EncryptionStream(videoKey, videoId, {
+    header,
+    merkle,
+    usageTracker
+  });
   const outputStream = fs.createWriteStream(outputPath);
 
-  // Pipeline de criptografia
-  const streams = [
+  // Hash do original calculado na mesma leitura da criptografia
+  const hashStream = manifest ? new HashStream() : null;
+
+  // Executa pipeline
+  await pipeline(
     inputStream,
+    ...(hashStream ? [hashStream] : []),
     encryptionStream,
-    serializationStream
-  ];
+    ...createEncodingStreams(encoding, armorWidth),
+    outputStream
+  );
+
+  const result = encryptionStream.getStats();
+
+  if (merkle) {
+    result.merkleTree = encryptionStream.getMerkleTree();
+  }
+
+  if (manifest) {
+    result.manifest = createManifest({
+      videoId,
+      totalChunks: result.totalChunks,
+      chunkSize: header.chunkSize,
+      totalSize: result.bytesProcessed,
+      originalHash: hashStream.getHash(),
+      merkleRoot: result.merkleTree?.root,
+      masterKey: await resolveManifestKey(provider, header, videoKey)
+    });
+
+    if (manifestPath !== undefined) {
+      await fs.promises.writeFile(manifestPath, JSON.stringify(result.manifest, null, 2));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Gera a chave dos chunks de um novo arquivo
+ *
+ * Com envelope, uma data key aleatória embrulhada pelo provider; senão,
+ * a chave derivada da master key atual do provider.
+ *
+ * @param {KeyProvider} provider
+ * @param {string} videoId
+ * @param {string|false} keyWrap - Algoritmo de embrulho (false: sem envelope)
+ * @returns {Promise<{keyId: string|null, videoKey: Buffer, wrappedKey: Buffer|null}>}
+ */
+async function createVideoKey(provider, videoId, keyWrap) {
+  if (keyWrap) {
+    const videoKey = crypto.randomBytes(CONFIG.CRYPTO.KEY_LENGTH);
+    const { keyId, record } = await provider.wrap(videoKey, { videoId, algorithm: keyWrap });
+    return { keyId, videoKey, wrappedKey: record };
+  }
+
+  const { keyId, key } = await provider.getKey(null);
+  return { keyId, videoKey: deriveVideoKey(key, videoId), wrappedKey: null };
+}
+
+/**
+ * Resolve a chave que sela o manifest de um arquivo
+ *
+ * Com envelope, a data key do vídeo: adaptadores de KMS que implementam
+ * só wrap/unwrap não expõem a master key. Senão, a master key do key id.
+ *
+ * @param {KeyProvider} provider
+ * @param {FileHeader|null} header
+ * @param {Buffer} videoKey - Chave dos chunks (data key, com envelope)
+ * @returns {Promise<Buffer>}
+ */
+async function resolveManifestKey(provider, header, videoKey) {
+  if (header?.getExtension(CONFIG.FORMAT.EXTENSIONS.WRAPPED_KEY)) {
+    return videoKey;
+  }
+
+  const { key } = await provider.getKey(header?.keyId ?? null);
+  return key;
+}
+
+/**
+ * Resolve os providers da chave antiga e da nova (rotação)
+ *
+ * @param {Object} options - oldMasterKey e newMasterKey, ou keyring/keyProvider
+ * @returns {KeyProvider[]} - [antigo, novo]
+ * @throws {ValidationError}
+ */
+function resolveRotationProviders({ oldMasterKey, newMasterKey, keyring, keyProvider }) {
+  if (keyring === undefined && keyProvider === undefined) {
+    return [resolveKeyProvider(oldMasterKey), resolveKeyProvider(newMasterKey)];
+  }
+
+  if (oldMasterKey !== undefined || newMasterKey !== undefined) {
+    throw new ValidationError('Use oldMasterKey/newMasterKey ou keyring/keyProvider, não ambos', 'keyProvider');
+  }
 
-  // Adiciona encoding se necessário
-  if (encoding !== 'binary') {
+  const provider = resolveKeyProvider(undefined, keyring, keyProvider);
+  return [provider, provider];
+}
+
+/**
+ * Cria os streams que convertem a saída do EncryptionStream no encoding do arquivo
+ *
+ * @param {string} encoding
+ * @param {number} [armorWidth]
+ * @returns {Transform[]}
+ */
+function createEncodingStreams(encoding, armorWidth) {
+  // NDJSON serializa os objetos diretamente; os demais encodings partem do binário
+  if (encoding === 'json') {
+    return [new NDJSONEncodingStream()];
+  }
+
+  const streams = [new ChunkSerializationStream()];
+
+  if (encoding === 'armor') {
+    streams.push(new ArmorEncodingStream({ width: armorWidth }));
+  } else if (encoding !== 'binary') {
     streams.push(new TextEncodingStream(encoding));
   }
 
-  streams.push(outputStream);
+  return streams;
+}
 
-  // Executa pipeline
-  await pipeline(...streams);
+/**
+ * Cria os streams que convertem o arquivo no encoding informado em objetos
+ * para o DecryptionStream (FileHeader, EncryptedChunks e ChunkIndex)
+ *
+ * @param {string} encoding
+ * @returns {Transform[]}
+ */
+function createDecodingStreams(encoding) {
+  if (encoding === 'json') {
+    return [new NDJSONDecodingStream()];
+  }
+
+  const streams = [];
 
-  return encryptionStream.getStats();
+  if (encoding === 'armor') {
+    streams.push(new ArmorDecodingStream());
+  } else if (encoding !== 'binary') {
+    streams.push(new TextDecodingStream(encoding));
+  }
+
+  streams.push(new ChunkDeserializationStream());
+  return streams;
+}
+
+/**
+ * Lê apenas o header de um arquivo criptografado, em qualquer encoding
+ *
+ * @param {string} filePath
+ * @param {string} encoding
+ * @returns {Promise<FileHeader|null>} - null para arquivos legados
+ */
+async function readHeaderFromPath(filePath, encoding) {
+  let first = null;
+
+  try {
+    await pipeline(
+      fs.createReadStream(filePath),
+      ...createDecodingStreams(encoding),
+      async source => {
+        for await (const item of source) {
+          first = item;
+          break;
+        }
+      }
+    );
+  } catch (error) {
+    // Interromper a leitura após o primeiro objeto aborta o pipeline
+    if (first === null) {
+      throw error;
+    }
+  }
+
+  return first instanceof FileHeader ? first : null;
+}
+
+/**
+ * Confere apenas os CRC24 de um arquivo armor
+ *
+ * O bloco de checksums por linha fica após o corpo: quando a
+ * descriptografia falha antes de alcançá-lo, esta releitura aponta a
+ * linha corrompida.
+ *
+ * @param {string} filePath
+ * @throws {IntegrityError} - CRC24 de uma linha ou do corpo divergente
+ */
+async function assertArmorIntegrity(filePath) {
+  try {
+    await pipeline(
+      fs.createReadStream(filePath),
+      new ArmorDecodingStream(),
+      new Writable({ write: (chunk, encoding, callback) => callback() })
+    );
+  } catch (error) {
+    if (error instanceof IntegrityError) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Detecta o encoding de um arquivo criptografado pelo header
+ *
+ * Arquivos legados (sem header) são tratados como 'binary'.
+ *
+ * @param {string} filePath
+ * @returns {string} - 'binary', 'base64', 'hex', 'z85', 'ascii85', 'json' (NDJSON) ou 'armor'
+ */
+function detectEncoding(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  const probe = Buffer.alloc(4096);
+  let bytesRead;
+
+  try {
+    bytesRead = fs.readSync(fd, probe, 0, probe.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const head = probe.slice(0, bytesRead);
+  if (FileHeader.hasMagic(head)) {
+    return 'binary';
+  }
+
+  if (isArmored(head.toString('latin1'))) {
+    return 'armor';
+  }
+
+  const firstLine = head.toString('latin1').split('\n')[0].trim();
+
+  if (firstLine.startsWith('{')) {
+    try {
+      const { header } = JSON.parse(firstLine);
+      if (typeof header === 'string' && FileHeader.hasMagic(Buffer.from(header, 'base64url'))) {
+        return 'json';
+      }
+    } catch {
+      // Não é NDJSON
+    }
+  }
+
+  for (const encoding of CONFIG.ENCODING.SUPPORTED.filter(name => !['json', 'armor'].includes(name))) {
+    try {
+      if (FileHeader.hasMagic(decodeText(firstLine, encoding))) {
+        return encoding;
+      }
+    } catch {
+      // Caracteres fora do alfabeto deste encoding
+    }
+  }
+
+  return 'binary';
 }
 
 /**
  * Descriptografa um arquivo de vídeo
+ *
+ * A saída é escrita em um arquivo temporário e renomeada ao final: em
+ * caso de erro, `outputPath` não é criado nem alterado.
  * 
  * @param {Object} options
  * @param {string} options.inputPath - Caminho do arquivo criptografado
  * @param {string} options.outputPath - Caminho do arquivo de saída
- * @param {Buffer} options.masterKey - Master key
+ * @param {Buffer} [options.masterKey] - Master key
+ * @param {Keyring} [options.keyring] - Alternativa a masterKey: a chave é escolhida pelo
+ *   key id do header
+ * @param {KeyProvider} [options.keyProvider] - Alternativa a masterKey: a chave é pedida ao
+ *   provider pelo key id do header (getKey, ou unwrap com envelope)
  * @param {string} options.videoId - ID único do vídeo
- * @param {string} [options.encoding] - 'binary', 'base64' ou 'hex'
+ * @param {string} [options.encoding] - 'binary', 'base64', 'hex', 'z85', 'ascii85', 'json' (NDJSON) ou 'armor' (padrão: detectado pelo header)
+ * @param {Object} [options.manifest] - Manifest do original (createManifest); o plaintext é
+ *   verificado durante o streaming (com envelope, o MAC é da data key do vídeo)
  * @returns {Promise<Object>} - Estatísticas do processo
+ * @throws {IntegrityError} - Se o plaintext não confere com o manifest
+ * @throws {SecurityError} - KEY_ID_MISMATCH, ou KEY_NOT_FOUND/KEY_RETIRED/KEY_DESTROYED (keyring/keyProvider)
  */
 export async function decryptFile(options) {
   const {
     inputPath,
     outputPath,
-    masterKey,
+    keyring,
+    keyProvider,
     videoId,
-    encoding = 'binary'
+    manifest
   } = options;
+  let { encoding } = options;
 
   // Validações de segurança
   validateFilePath(inputPath, 'inputPath');
   validateFilePath(outputPath, 'outputPath');
-  validateMasterKey(masterKey);
+  const provider = resolveKeyProvider(options.masterKey, keyring, keyProvider);
   validateVideoId(videoId);
   validateEncoding(encoding);
 
@@ -119,49 +469,307 @@ export async function decryptFile(options) {
     throw new Error(`Arquivo criptografado não encontrado: ${inputPath}`);
   }
 
-  // Deriva chave do vídeo
-  const videoKey = deriveVideoKey(masterKey, videoId);
+  if (!encoding) {
+    encoding = detectEncoding(inputPath);
+  }
+
+  // Chave do vídeo: desembrulhada do header (envelope) ou derivada da master key
+  const header = await readHeaderFromPath(inputPath, encoding);
+  header?.assertVideoId(videoId);
+  const videoKey = await resolveProviderVideoKey(provider, header, videoId);
+
+  if (manifest !== undefined) {
+    assertManifest(manifest, videoId, await resolveManifestKey(provider, header, videoKey));
+  }
 
   // Cria streams
   const inputStream = fs.createReadStream(inputPath);
-  const streams = [inputStream];
+  const streams = [inputStream, ...createDecodingStreams(encoding)];
 
-  // Adiciona decoding se necessário
-  if (encoding !== 'binary') {
-    streams.push(new TextDecodingStream(encoding));
+  const decryptionStream = new DecryptionStream(videoKey, videoId);
+
+  // Saída em arquivo temporário, renomeado só após o sucesso: truncamento,
+  // falha de autenticação ou manifest divergente não deixam plaintext parcial
+  const tempPath = `${outputPath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+  streams.push(decryptionStream);
+
+  if (manifest !== undefined) {
+    streams.push(new ManifestVerificationStream(manifest));
   }
 
-  const deserializationStream = new ChunkDeserializationStream();
-  const decryptionStream = new DecryptionStream(videoKey, videoId);
-  const outputStream = fs.createWriteStream(outputPath);
+  streams.push(fs.createWriteStream(tempPath));
 
-  streams.push(
-    deserializationStream,
-    decryptionStream,
-    outputStream
+  // Executa pipeline
+  try {
+    await pipeline(...streams);
+    await fs.promises.rename(tempPath, outputPath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+
+    // Prefere o diagnóstico de transporte (linha corrompida) à falha de autenticação
+    if (encoding === 'armor' && !(error instanceof IntegrityError)) {
+      await assertArmorIntegrity(inputPath);
+    }
+    throw error;
+  }
+
+  const stats = decryptionStream.getStats();
+  if (manifest !== undefined) {
+    stats.manifestVerified = true;
+  }
+
+  return stats;
+}
+
+/**
+ * Re-criptografa um arquivo sob uma nova master key (rotação de chaves)
+ *
+ * Encadeia DecryptionStream e EncryptionStream em memória: o plaintext
+ * nunca é gravado em disco. A saída é escrita em um arquivo temporário no
+ * mesmo diretório e renomeada ao final, então `outputPath` pode ser o
+ * próprio `inputPath` e nunca fica com um arquivo parcial.
+ *
+ * O cipher, o modo de nonce, a compressão, o padding, o compromisso de
+ * chave, o envelope (com uma nova data key) e o índice (se o novo encoding
+ * for 'binary') do arquivo de origem são mantidos; arquivos legados passam
+ * para o formato versionado. Para apenas rotacionar a master key de um
+ * arquivo com envelope, rewrapKey é mais barato.
+ *
+ * Com `keyring` ou `keyProvider`, o arquivo é decriptado pela chave do
+ * seu key id e re-criptografado com a chave ativa.
+ *
+ * @param {Object} options
+ * @param {string} options.inputPath - Arquivo criptografado com a chave antiga
+ * @param {string} options.outputPath - Arquivo re-criptografado (pode ser igual a inputPath)
+ * @param {Buffer} [options.oldMasterKey] - Master key atual
+ * @param {Buffer} [options.newMasterKey] - Nova master key
+ * @param {Keyring} [options.keyring] - Alternativa a oldMasterKey/newMasterKey
+ * @param {KeyProvider} [options.keyProvider] - Alternativa a oldMasterKey/newMasterKey
+ * @param {string} options.videoId - ID único do vídeo
+ * @param {string} [options.encoding] - Encoding da origem (padrão: detectado pelo header;
+ *   obrigatório para arquivos legados em texto, que não têm header)
+ * @param {number} [options.newChunkSize] - Novo tamanho de chunk (padrão: o da origem)
+ * @param {string} [options.newEncoding] - Novo encoding (padrão: o da origem)
+ * @param {KeyUsageTracker|null} [options.usageTracker] - Orçamento de IVs aleatórios da nova chave
+ * @returns {Promise<{before: Object, after: Object}>} - Estatísticas da origem e do novo arquivo
+ */
+export async function reencryptFile(options) {
+  const {
+    inputPath,
+    outputPath,
+    videoId,
+    newChunkSize,
+    usageTracker
+  } = options;
+  let { encoding, newEncoding } = options;
+
+  // Validações de segurança
+  validateFilePath(inputPath, 'inputPath');
+  validateFilePath(outputPath, 'outputPath');
+  const [oldProvider, newProvider] = resolveRotationProviders(options);
+  validateVideoId(videoId);
+  validateEncoding(encoding);
+  validateEncoding(newEncoding);
+
+  if (newChunkSize !== undefined) {
+    validateChunkSize(newChunkSize);
+  }
+
+  if (!fs.existsSync(inputPath)) {
+    throw new Error(`Arquivo criptografado não encontrado: ${inputPath}`);
+  }
+
+  if (!encoding) {
+    encoding = detectEncoding(inputPath);
+  }
+  newEncoding = newEncoding || encoding;
+
+  const source = await readHeaderFromPath(inputPath, encoding);
+  source?.assertVideoId(videoId);
+
+  const oldVideoKey = await resolveProviderVideoKey(oldProvider, source, videoId);
+  const {
+    keyId,
+    videoKey: newVideoKey,
+    wrappedKey
+  } = await createVideoKey(newProvider, videoId, source?.keyWrap ?? false);
+
+  const header = FileHeader.create({
+    videoId,
+    chunkSize: newChunkSize ?? source?.chunkSize,
+    algorithm: source?.algorithm,
+    nonce: source?.nonceMode,
+    compression: source?.compression ?? undefined,
+    padding: source?.padding ?? undefined
+  });
+  if (wrappedKey) {
+    header.setExtension(CONFIG.FORMAT.EXTENSIONS.WRAPPED_KEY, wrappedKey);
+  }
+  if (keyId) {
+    header.setExtension(CONFIG.FORMAT.EXTENSIONS.KEY_ID, Buffer.from(keyId, 'hex'));
+  }
+  if (source && (source.flags & CONFIG.FORMAT.FLAGS.INDEX) && newEncoding === 'binary') {
+    header.flags |= CONFIG.FORMAT.FLAGS.INDEX;
+  }
+  if (source?.hasKeyCommitment) {
+    header.setExtension(CONFIG.FORMAT.EXTENSIONS.KEY_COMMITMENT, computeKeyCommitment(newVideoKey));
+  }
+
+  const decryptionStream = new DecryptionStream(oldVideoKey, videoId);
+  const encryptionStream = new EncryptionStream(newVideoKey, videoId, { header, usageTracker });
+  const tempPath = `${outputPath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  const inputSize = fs.statSync(inputPath).size;
+
+  try {
+    await pipeline(
+      fs.createReadStream(inputPath),
+      ...createDecodingStreams(encoding),
+      decryptionStream,
+      encryptionStream,
+      ...createEncodingStreams(newEncoding),
+      fs.createWriteStream(tempPath)
+    );
+
+    await fs.promises.rename(tempPath, outputPath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+
+  return {
+    before: {
+      encoding,
+      chunkSize: source?.chunkSize ?? null,
+      fileSize: inputSize,
+      ...decryptionStream.getStats()
+    },
+    after: {
+      encoding: newEncoding,
+      chunkSize: header.chunkSize,
+      fileSize: fs.statSync(outputPath).size,
+      ...encryptionStream.getStats()
+    }
+  };
+}
+
+/**
+ * Rotaciona a master key de um arquivo com envelope encryption
+ *
+ * Desembrulha a data key com a master key antiga e grava no lugar o
+ * registro embrulhado pela nova. Apenas o header é reescrito: os chunks,
+ * o índice e o compromisso de chave dependem só da data key, e a extensão
+ * WRAPPED_KEY não faz parte do AAD. O algoritmo de embrulho é mantido,
+ * então o header não muda de tamanho.
+ *
+ * Com `keyring` ou `keyProvider`, a data key é desembrulhada pela chave do
+ * key id do header e embrulhada pela chave ativa. O key id (também fora
+ * do AAD), se presente, é atualizado para a nova chave; nesses modos o
+ * arquivo precisa ter sido criptografado com key id.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Arquivo criptografado (encoding 'binary')
+ * @param {Buffer} [options.oldMasterKey] - Master key atual
+ * @param {Buffer} [options.newMasterKey] - Nova master key
+ * @param {Keyring} [options.keyring] - Alternativa a oldMasterKey/newMasterKey
+ * @param {KeyProvider} [options.keyProvider] - Alternativa a oldMasterKey/newMasterKey
+ * @param {string} options.videoId - ID único do vídeo
+ * @returns {Promise<{keyWrap: string, headerSize: number}>}
+ * @throws {ValidationError} - Se o arquivo não usa envelope ou não é binário
+ * @throws {SecurityError} - KEY_UNWRAP_FAILED se a master key antiga não confere
+ */
+export async function rewrapKey(options) {
+  const { filePath, newMasterKey, videoId } = options;
+
+  validateFilePath(filePath, 'filePath');
+  const [oldProvider, newProvider] = resolveRotationProviders(options);
+  validateVideoId(videoId);
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Arquivo criptografado não encontrado: ${filePath}`);
+  }
+
+  if (detectEncoding(filePath) !== 'binary') {
+    throw new ValidationError('rewrapKey requer arquivo com encoding binary', 'filePath');
+  }
+
+  const header = await readHeaderFromPath(filePath, 'binary');
+  if (!header?.keyWrap) {
+    throw new ValidationError('Arquivo não usa envelope encryption (sem data key embrulhada)', 'filePath');
+  }
+  header.assertVideoId(videoId);
+
+  if (newMasterKey === undefined && !header.keyId) {
+    throw new ValidationError('rewrapKey com keyring ou keyProvider requer arquivo com key id', 'filePath');
+  }
+
+  const headerSize = header.size;
+  const dataKey = await oldProvider.unwrap(
+    header.getExtension(CONFIG.FORMAT.EXTENSIONS.WRAPPED_KEY),
+    { videoId, keyId: header.keyId }
   );
 
-  // Executa pipeline
-  await pipeline(...streams);
+  try {
+    const { keyId, record } = await newProvider.wrap(dataKey, { videoId, algorithm: header.keyWrap });
+    header.setExtension(CONFIG.FORMAT.EXTENSIONS.WRAPPED_KEY, record);
+
+    if (header.keyId) {
+      const newKeyId = keyId ?? computeMasterKeyId(newMasterKey);
+      header.setExtension(CONFIG.FORMAT.EXTENSIONS.KEY_ID, Buffer.from(newKeyId, 'hex'));
+    }
+  } finally {
+    secureWipe(dataKey);
+  }
+
+  const buffer = header.toBuffer();
+  if (buffer.length !== headerSize) {
+    throw new Error('Header reescrito mudou de tamanho');
+  }
 
-  return decryptionStream.getStats();
+  const handle = await fs.promises.open(filePath, 'r+');
+  try {
+    await handle.write(buffer, 0, buffer.length, 0);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  return { keyWrap: header.keyWrap, headerSize };
 }
 
 /**
  * Criptografa um buffer em memória
+ *
+ * Usa o formato versionado: o primeiro elemento é o header e o último
+ * chunk é marcado como FINAL, então decryptBuffer detecta truncamento.
  * 
  * @param {Object} options
  * @param {Buffer} options.data - Dados a criptografar
- * @param {Buffer} options.masterKey - Master key
+ * @param {Buffer} [options.masterKey] - Master key
+ * @param {Keyring} [options.keyring] - Alternativa a masterKey: usa a chave ativa e grava
+ *   seu key id no header
+ * @param {KeyProvider} [options.keyProvider] - Alternativa a masterKey: usa a chave atual
+ *   do provider e grava seu key id no header
  * @param {string} options.videoId - ID único do vídeo
  * @param {number} [options.chunkSize] - Tamanho do chunk
- * @returns {Promise<Buffer[]>} - Array de chunks criptografados
+ * @param {KeyUsageTracker|null} [options.usageTracker] - Orçamento de IVs aleatórios por chave
+ * @param {string} [options.algorithm] - 'aes-256-gcm' (padrão) ou 'chacha20-poly1305'
+ *   (registrado no header; decryptBuffer o detecta)
+ * @returns {Promise<Buffer[]>} - Header seguido dos chunks criptografados
  */
 export async function encryptBuffer(options) {
-  const { data, masterKey, videoId, chunkSize } = options;
+  const { data, keyring, keyProvider, videoId, chunkSize, usageTracker, algorithm } = options;
 
-  const videoKey = deriveVideoKey(masterKey, videoId);
-  const encryptionStream = new EncryptionStream(videoKey, videoId, { chunkSize });
+  const provider = resolveKeyProvider(options.masterKey, keyring, keyProvider);
+  const { keyId, videoKey } = await createVideoKey(provider, videoId, false);
+  const header = FileHeader.create({ videoId, chunkSize, algorithm });
+  if (keyId) {
+    header.setExtension(CONFIG.FORMAT.EXTENSIONS.KEY_ID, Buffer.from(keyId, 'hex'));
+  }
+  const encryptionStream = new EncryptionStream(videoKey, videoId, {
+    header,
+    usageTracker
+  });
   const serializationStream = new ChunkSerializationStream();
   const chunks = [];
 
@@ -190,36 +798,69 @@ export async function encryptBuffer(options) {
 /**
  * Descriptografa chunks em memória
  * 
+ * No formato versionado (saída de encryptBuffer), exige o chunk FINAL:
+ * chunks removidos do fim geram TruncationError. Chunks legados, sem
+ * header, continuam aceitos.
+ *
  * @param {Object} options
- * @param {Buffer[]} options.chunks - Array de chunks criptografados
- * @param {Buffer} options.masterKey - Master key
+ * @param {Buffer[]} options.chunks - Saída de encryptBuffer (header e chunks)
+ * @param {Buffer} [options.masterKey] - Master key
+ * @param {Keyring} [options.keyring] - Alternativa a masterKey: a chave é escolhida pelo
+ *   key id do header
+ * @param {KeyProvider} [options.keyProvider] - Alternativa a masterKey: a chave é pedida ao
+ *   provider pelo key id do header
  * @param {string} options.videoId - ID único do vídeo
+ * @param {string} [options.sequence] - 'strict' (padrão) ou 'relaxed' para subconjuntos
+ *   esparsos (mantenha o header; o chunk final não é exigido)
+ * @param {Object} [options.manifest] - Manifest do original (createManifest) a verificar
+ * @param {string} [options.algorithm] - Cipher de chunks legados (padrão: 'aes-256-gcm';
+ *   no formato versionado vem do header)
  * @returns {Promise<Buffer>} - Dados descriptografados
+ * @throws {IntegrityError} - Se o plaintext não confere com o manifest
+ * @throws {TruncationError} - Se o chunk final não foi recebido
+ * @throws {SecurityError} - KEY_ID_MISMATCH, ou KEY_NOT_FOUND/KEY_RETIRED/KEY_DESTROYED (keyring/keyProvider)
  */
 export async function decryptBuffer(options) {
-  const { chunks, masterKey, videoId } = options;
+  const { chunks, keyring, keyProvider, videoId, sequence, manifest, algorithm } = options;
+
+  const provider = resolveKeyProvider(options.masterKey, keyring, keyProvider);
+
+  // Key id do header (chunks legados: chave atual)
+  const header = chunks.length > 0 && FileHeader.hasMagic(chunks[0])
+    ? FileHeader.fromBuffer(chunks[0])
+    : null;
+  const videoKey = await resolveProviderVideoKey(provider, header, videoId);
+
+  if (manifest !== undefined) {
+    assertManifest(manifest, videoId, await resolveManifestKey(provider, header, videoKey));
+  }
+
+  header?.assertVideoId(videoId);
 
-  const videoKey = deriveVideoKey(masterKey, videoId);
   const deserializationStream = new ChunkDeserializationStream();
-  const decryptionStream = new DecryptionStream(videoKey, videoId);
+  const decryptionStream = new DecryptionStream(videoKey, videoId, { sequence, algorithm });
+  const streams = [deserializationStream, decryptionStream];
   const plaintextChunks = [];
 
+  if (manifest !== undefined) {
+    streams.push(new ManifestVerificationStream(manifest));
+  }
+
+  const outputStream = streams[streams.length - 1];
+
   return new Promise((resolve, reject) => {
-    decryptionStream.on('data', (chunk) => {
+    outputStream.on('data', (chunk) => {
       plaintextChunks.push(chunk);
     });
 
-    decryptionStream.on('end', () => {
+    outputStream.on('end', () => {
       resolve(Buffer.concat(plaintextChunks));
     });
 
-    decryptionStream.on('error', reject);
+    outputStream.on('error', reject);
 
     // Alimenta o pipeline
-    pipeline(
-      deserializationStream,
-      decryptionStream
-    ).catch(reject);
+    pipeline(...streams).catch(reject);
 
     // Escreve chunks
     for (const chunk of chunks) {
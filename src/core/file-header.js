@@ -0,0 +1,440 @@
+import crypto from 'crypto';
+import { CONFIG } from '../config.js';
+import {
+  validateVideoId,
+  validateChunkSize,
+  ValidationError,
+  SecurityError
+} from '../utils/security.js';
+import { validateCompression } from '../utils/compression.js';
+import {
+  normalizePadding,
+  encodePaddingExtension,
+  decodePaddingExtension
+} from '../utils/padding.js';
+import { getKeyWrapAlgorithm } from '../utils/key-wrap.js';
+
+const MAGIC = Buffer.from(CONFIG.FORMAT.MAGIC, 'ascii');
+const NONCE_MODES = ['random', 'counter'];
+
+// Extensões fora do AAD dos chunks: podem ser reescritas sem re-criptografar
+// (rewrapKey). Substituí-las por outro valor só resulta em uma chave errada.
+const AAD_EXCLUDED_EXTENSIONS = [
+  CONFIG.FORMAT.EXTENSIONS.WRAPPED_KEY,
+  CONFIG.FORMAT.EXTENSIONS.KEY_ID
+];
+
+/**
+ * Calcula o fingerprint de um videoId
+ *
+ * Permite identificar a qual vídeo um arquivo pertence sem expor o ID.
+ *
+ * @param {string} videoId
+ * @returns {Buffer} - Fingerprint (8 bytes)
+ */
+export function computeVideoFingerprint(videoId) {
+  validateVideoId(videoId);
+
+  return crypto
+    .createHash('sha256')
+    .update(`${CONFIG.FORMAT.MAGIC}:fingerprint:${videoId}`)
+    .digest()
+    .slice(0, CONFIG.FORMAT.FINGERPRINT_SIZE);
+}
+
+/**
+ * Header auto-descritivo do arquivo criptografado
+ *
+ * Estrutura binária:
+ * [magic]        4 bytes ('KVCM')
+ * [version]      1 byte
+ * [cipherId]     1 byte
+ * [flags]        2 bytes (uint16 BE)
+ * [chunkSize]    4 bytes (uint32 BE)
+ * [fingerprint]  8 bytes
+ * [extLength]    2 bytes (uint16 BE)
+ * [extensions]   N bytes (TLV: type uint8, length uint16 BE, value)
+ */
+export class FileHeader {
+  constructor({
+    version = CONFIG.FORMAT.VERSION,
+    algorithm = CONFIG.CRYPTO.ALGORITHM,
+    flags = 0,
+    chunkSize = CONFIG.CHUNK_SIZE,
+    fingerprint,
+    extensions = new Map()
+  } = {}) {
+    if (!(algorithm in CONFIG.FORMAT.CIPHERS)) {
+      throw new ValidationError(`Algoritmo não suportado: ${algorithm}`, 'algorithm');
+    }
+
+    if (!Buffer.isBuffer(fingerprint) || fingerprint.length !== CONFIG.FORMAT.FINGERPRINT_SIZE) {
+      throw new ValidationError(
+        `Fingerprint deve ter ${CONFIG.FORMAT.FINGERPRINT_SIZE} bytes`,
+        'fingerprint'
+      );
+    }
+
+    validateChunkSize(chunkSize);
+
+    this.version = version;
+    this.algorithm = algorithm;
+    this.flags = flags;
+    this.chunkSize = chunkSize;
+    this.fingerprint = fingerprint;
+    this.extensions = extensions;
+  }
+
+  /**
+   * Cria o header para um vídeo
+   *
+   * @param {Object} options
+   * @param {string} options.videoId - ID do vídeo
+   * @param {number} [options.chunkSize] - Tamanho do chunk
+   * @param {string} [options.algorithm] - Algoritmo de criptografia
+   * @param {string} [options.nonce] - 'random' (padrão) ou 'counter' (prefixo aleatório + contador)
+   * @param {string} [options.compression] - 'gzip', 'deflate' ou 'brotli' (padrão: sem compressão)
+   * @param {string|Object} [options.padding] - Esquema de padding (ver normalizePadding);
+   *   incompatível com compressão
+   * @returns {FileHeader}
+   */
+  static create({
+    videoId,
+    chunkSize = CONFIG.CHUNK_SIZE,
+    algorithm,
+    nonce = 'random',
+    compression,
+    padding
+  } = {}) {
+    if (!NONCE_MODES.includes(nonce)) {
+      throw new ValidationError(`Modo de nonce inválido. Use: ${NONCE_MODES.join(', ')}`, 'nonce');
+    }
+
+    if (compression !== undefined) {
+      validateCompression(compression);
+    }
+
+    if (padding !== undefined && compression !== undefined) {
+      throw new ValidationError('Padding e compressão são mutuamente exclusivos', 'padding');
+    }
+
+    const header = new FileHeader({
+      algorithm,
+      chunkSize,
+      fingerprint: computeVideoFingerprint(videoId)
+    });
+
+    if (nonce === 'counter') {
+      header.setExtension(
+        CONFIG.FORMAT.EXTENSIONS.NONCE_PREFIX,
+        crypto.randomBytes(CONFIG.FORMAT.NONCE_PREFIX_SIZE)
+      );
+    }
+
+    if (compression !== undefined) {
+      header.setExtension(
+        CONFIG.FORMAT.EXTENSIONS.COMPRESSION,
+        Buffer.from([CONFIG.FORMAT.COMPRESSION[compression]])
+      );
+    }
+
+    if (padding !== undefined) {
+      header.setExtension(
+        CONFIG.FORMAT.EXTENSIONS.PADDING,
+        encodePaddingExtension(normalizePadding(padding))
+      );
+    }
+
+    return header;
+  }
+
+  /**
+   * Verifica se o buffer começa com o magic number do formato
+   *
+   * @param {Buffer} buffer
+   * @returns {boolean}
+   */
+  static hasMagic(buffer) {
+    return Buffer.isBuffer(buffer) &&
+      buffer.length >= MAGIC.length &&
+      buffer.slice(0, MAGIC.length).equals(MAGIC);
+  }
+
+  /**
+   * Retorna o tamanho total do header contido no início do buffer
+   *
+   * @param {Buffer} buffer
+   * @returns {number} - Tamanho em bytes, ou -1 se ainda não há bytes suficientes
+   */
+  static getLength(buffer) {
+    if (buffer.length < CONFIG.FORMAT.FIXED_SIZE) {
+      return -1;
+    }
+
+    return CONFIG.FORMAT.FIXED_SIZE + buffer.readUInt16BE(CONFIG.FORMAT.FIXED_SIZE - 2);
+  }
+
+  /**
+   * Verifica se o header pertence ao videoId informado
+   *
+   * @param {string} videoId
+   * @returns {boolean}
+   */
+  matchesVideoId(videoId) {
+    return this.fingerprint.equals(computeVideoFingerprint(videoId));
+  }
+
+  /**
+   * Garante que o header pertence ao videoId informado
+   *
+   * @param {string} videoId
+   * @throws {SecurityError}
+   */
+  assertVideoId(videoId) {
+    if (!this.matchesVideoId(videoId)) {
+      throw new SecurityError(
+        'Arquivo criptografado pertence a outro vídeo (fingerprint não confere)',
+        'VIDEO_ID_MISMATCH'
+      );
+    }
+  }
+
+  /**
+   * Modo de geração de nonces dos chunks
+   *
+   * @returns {string} - 'counter' se o header tem prefixo de nonce, senão 'random'
+   */
+  get nonceMode() {
+    return this.extensions.has(CONFIG.FORMAT.EXTENSIONS.NONCE_PREFIX) ? 'counter' : 'random';
+  }
+
+  /**
+   * Indica se o header contém compromisso com a video key
+   *
+   * @returns {boolean}
+   */
+  get hasKeyCommitment() {
+    return this.extensions.has(CONFIG.FORMAT.EXTENSIONS.KEY_COMMITMENT);
+  }
+
+  /**
+   * Algoritmo de compressão dos chunks
+   *
+   * @returns {string|null} - 'gzip', 'deflate', 'brotli' ou null (sem compressão)
+   */
+  get compression() {
+    const value = this.extensions.get(CONFIG.FORMAT.EXTENSIONS.COMPRESSION);
+    if (!value) {
+      return null;
+    }
+
+    return Object.keys(CONFIG.FORMAT.COMPRESSION)
+      .find(name => CONFIG.FORMAT.COMPRESSION[name] === value[0]) || null;
+  }
+
+  /**
+   * Esquema de padding dos chunks finais
+   *
+   * @returns {{scheme: string, multiple: number|null, target: string}|null} - null sem padding
+   */
+  get padding() {
+    const value = this.extensions.get(CONFIG.FORMAT.EXTENSIONS.PADDING);
+    return value ? decodePaddingExtension(value) : null;
+  }
+
+  /**
+   * Algoritmo de embrulho da data key (envelope encryption)
+   *
+   * @returns {string|null} - 'aes-kw', 'aes-gcm' ou null (chave derivada da master key)
+   */
+  get keyWrap() {
+    const record = this.extensions.get(CONFIG.FORMAT.EXTENSIONS.WRAPPED_KEY);
+    return record ? getKeyWrapAlgorithm(record) : null;
+  }
+
+  /**
+   * Key id da master key usada (arquivos criptografados com Keyring)
+   *
+   * @returns {string|null} - 16 caracteres hex ou null
+   */
+  get keyId() {
+    const value = this.extensions.get(CONFIG.FORMAT.EXTENSIONS.KEY_ID);
+    return value ? value.toString('hex') : null;
+  }
+
+  /**
+   * Retorna o digest do header, autenticado no AAD de cada chunk
+   *
+   * A data key embrulhada não entra no digest (ver AAD_EXCLUDED_EXTENSIONS).
+   *
+   * @returns {Buffer} - SHA-256 (32 bytes)
+   */
+  getAADContext() {
+    const extensions = new Map(
+      [...this.extensions].filter(([type]) => !AAD_EXCLUDED_EXTENSIONS.includes(type))
+    );
+    const authenticated = new FileHeader({ ...this, extensions });
+
+    return crypto.createHash('sha256').update(authenticated.toBuffer()).digest();
+  }
+
+  /**
+   * Retorna o valor de uma extensão
+   *
+   * @param {number} type
+   * @returns {Buffer|undefined}
+   */
+  getExtension(type) {
+    return this.extensions.get(type);
+  }
+
+  /**
+   * Define o valor de uma extensão
+   *
+   * @param {number} type - uint8
+   * @param {Buffer} value
+   * @returns {FileHeader}
+   */
+  setExtension(type, value) {
+    if (!Number.isInteger(type) || type < 0 || type > 0xFF) {
+      throw new ValidationError('Tipo de extensão deve ser uint8', 'type');
+    }
+
+    if (!Buffer.isBuffer(value) || value.length > 0xFFFF) {
+      throw new ValidationError('Valor de extensão deve ser um Buffer de até 65535 bytes', 'value');
+    }
+
+    this.extensions.set(type, value);
+    return this;
+  }
+
+  /**
+   * Serializa o header para Buffer
+   *
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const extParts = [];
+    for (const [type, value] of this.extensions) {
+      const extHeader = Buffer.allocUnsafe(3);
+      extHeader.writeUInt8(type, 0);
+      extHeader.writeUInt16BE(value.length, 1);
+      extParts.push(extHeader, value);
+    }
+    const extBuffer = Buffer.concat(extParts);
+
+    if (extBuffer.length > 0xFFFF) {
+      throw new ValidationError('Extensões do header excedem 65535 bytes', 'extensions');
+    }
+
+    const fixed = Buffer.alloc(CONFIG.FORMAT.FIXED_SIZE);
+    MAGIC.copy(fixed, 0);
+    fixed.writeUInt8(this.version, 4);
+    fixed.writeUInt8(CONFIG.FORMAT.CIPHERS[this.algorithm], 5);
+    fixed.writeUInt16BE(this.flags, 6);
+    fixed.writeUInt32BE(this.chunkSize, 8);
+    this.fingerprint.copy(fixed, 12);
+    fixed.writeUInt16BE(extBuffer.length, 20);
+
+    return Buffer.concat([fixed, extBuffer]);
+  }
+
+  /**
+   * Deserializa um Buffer para FileHeader
+   *
+   * @param {Buffer} buffer - Buffer contendo exatamente o header
+   * @returns {FileHeader}
+   */
+  static fromBuffer(buffer) {
+    if (!FileHeader.hasMagic(buffer)) {
+      throw new Error('Header inválido: magic number não encontrado');
+    }
+
+    const length = FileHeader.getLength(buffer);
+    if (length === -1 || buffer.length !== length) {
+      throw new Error('Header inválido: tamanho incorreto');
+    }
+
+    const version = buffer.readUInt8(4);
+    if (version !== CONFIG.FORMAT.VERSION) {
+      throw new Error(`Versão de formato não suportada: ${version}`);
+    }
+
+    const cipherId = buffer.readUInt8(5);
+    const algorithm = Object.keys(CONFIG.FORMAT.CIPHERS)
+      .find(name => CONFIG.FORMAT.CIPHERS[name] === cipherId);
+    if (!algorithm) {
+      throw new Error(`Cipher não suportado no header: ${cipherId}`);
+    }
+
+    const extensions = new Map();
+    let offset = CONFIG.FORMAT.FIXED_SIZE;
+    while (offset < buffer.length) {
+      if (offset + 3 > buffer.length) {
+        throw new Error('Header inválido: extensão truncada');
+      }
+
+      const type = buffer.readUInt8(offset);
+      const valueLength = buffer.readUInt16BE(offset + 1);
+      const end = offset + 3 + valueLength;
+      if (end > buffer.length) {
+        throw new Error('Header inválido: extensão truncada');
+      }
+
+      extensions.set(type, buffer.slice(offset + 3, end));
+      offset = end;
+    }
+
+    const noncePrefix = extensions.get(CONFIG.FORMAT.EXTENSIONS.NONCE_PREFIX);
+    if (noncePrefix && noncePrefix.length !== CONFIG.FORMAT.NONCE_PREFIX_SIZE) {
+      throw new Error('Header inválido: prefixo de nonce com tamanho incorreto');
+    }
+
+    const compression = extensions.get(CONFIG.FORMAT.EXTENSIONS.COMPRESSION);
+    if (compression && (compression.length !== 1 ||
+        !Object.values(CONFIG.FORMAT.COMPRESSION).includes(compression[0]))) {
+      throw new Error('Header inválido: algoritmo de compressão desconhecido');
+    }
+
+    const padding = extensions.get(CONFIG.FORMAT.EXTENSIONS.PADDING);
+    if (padding) {
+      decodePaddingExtension(padding);
+
+      if (compression) {
+        throw new Error('Header inválido: padding e compressão são mutuamente exclusivos');
+      }
+    }
+
+    const wrappedKey = extensions.get(CONFIG.FORMAT.EXTENSIONS.WRAPPED_KEY);
+    if (wrappedKey) {
+      try {
+        getKeyWrapAlgorithm(wrappedKey);
+      } catch {
+        throw new Error('Header inválido: data key embrulhada com formato desconhecido');
+      }
+    }
+
+    const commitment = extensions.get(CONFIG.FORMAT.EXTENSIONS.KEY_COMMITMENT);
+    if (commitment && commitment.length !== CONFIG.FORMAT.KEY_COMMITMENT_SIZE) {
+      throw new Error('Header inválido: compromisso de chave com tamanho incorreto');
+    }
+
+    return new FileHeader({
+      version,
+      algorithm,
+      flags: buffer.readUInt16BE(6),
+      chunkSize: buffer.readUInt32BE(8),
+      fingerprint: buffer.slice(12, 20),
+      extensions
+    });
+  }
+
+  /**
+   * Retorna o tamanho total em bytes
+   *
+   * @returns {number}
+   */
+  get size() {
+    return this.toBuffer().length;
+  }
+}
@@ -0,0 +1,331 @@
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import { CONFIG } from '../config.js';
+import { EncryptedVideoReader } from './video-reader.js';
+import { resolveKeyProvider } from './key-provider.js';
+import { validateVideoId, ValidationError } from '../utils/security.js';
+
+/**
+ * Extrai o videoId do último segmento do path da URL
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {string}
+ */
+function defaultGetVideoId(req) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  return decodeURIComponent(pathname.split('/').filter(Boolean).pop() || '');
+}
+
+/**
+ * Interpreta o header Range (apenas um intervalo em bytes)
+ *
+ * @param {string} header - Valor do header Range
+ * @param {number} size - Tamanho do plaintext
+ * @returns {{start: number, end: number}|null|-1} - Intervalo inclusivo,
+ *   null se o header deve ser ignorado, -1 se não satisfazível
+ */
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+
+  // Sintaxe inválida ou múltiplos intervalos: responde o conteúdo completo
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Sufixo: últimos N bytes
+    const suffix = Number(match[2]);
+    if (suffix === 0) {
+      return -1;
+    }
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+
+    if (match[2] !== '' && Number(match[2]) < start) {
+      return null;
+    }
+  }
+
+  if (start >= size) {
+    return -1;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Verifica se o If-Range ainda corresponde ao recurso
+ *
+ * @param {string} ifRange - Valor do header If-Range
+ * @param {string} etag
+ * @param {Date} lastModified
+ * @returns {boolean}
+ */
+function ifRangeMatches(ifRange, etag, lastModified) {
+  const value = ifRange.trim();
+
+  // ETag: comparação forte (ETags fracos nunca correspondem)
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    return value === etag;
+  }
+
+  const date = Date.parse(value);
+  return !Number.isNaN(date) && date === Math.floor(lastModified.getTime() / 1000) * 1000;
+}
+
+/**
+ * Cache LRU de leitores abertos, por arquivo, videoId e ETag
+ *
+ * Requisições Range consecutivas de um player reaproveitam a varredura
+ * dos registros (ou o índice), o chunk final decriptado na abertura e o
+ * cache de chunks do leitor. Um ETag diferente (arquivo alterado) descarta
+ * o leitor antigo. Leitores removidos só são fechados quando as
+ * requisições que os usam terminam.
+ */
+class ReaderCache {
+  constructor(maxReaders, openReader) {
+    this.maxReaders = maxReaders;
+    this.openReader = openReader;
+    this.entries = new Map();
+  }
+
+  /**
+   * Obtém o leitor de um arquivo, abrindo-o se necessário
+   *
+   * @param {string} filePath
+   * @param {string} videoId
+   * @param {string} etag
+   * @returns {Promise<{reader: EncryptedVideoReader, release: Function}>}
+   */
+  async acquire(filePath, videoId, etag) {
+    const key = `${filePath}\0${videoId}`;
+    let entry = this.entries.get(key);
+
+    if (entry && entry.etag !== etag) {
+      this._discard(key, entry);
+      entry = undefined;
+    }
+
+    if (entry) {
+      // Move para o fim (mais recente)
+      this.entries.delete(key);
+    } else {
+      entry = { etag, refs: 0, discarded: false, reader: this.openReader(filePath, videoId) };
+    }
+    this.entries.set(key, entry);
+    entry.refs++;
+
+    while (this.entries.size > this.maxReaders) {
+      const [oldestKey, oldest] = this.entries.entries().next().value;
+      this._discard(oldestKey, oldest);
+    }
+
+    try {
+      const reader = await entry.reader;
+      return { reader, release: () => this._release(entry) };
+    } catch (error) {
+      // Falha na abertura: a próxima requisição tenta de novo
+      entry.refs--;
+      if (this.entries.get(key) === entry) {
+        this.entries.delete(key);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fecha todos os leitores (os em uso, ao fim das requisições)
+   */
+  async close() {
+    const entries = [...this.entries];
+    await Promise.all(entries.map(([key, entry]) => this._discard(key, entry)));
+  }
+
+  _release(entry) {
+    entry.refs--;
+    if (entry.discarded && entry.refs === 0) {
+      return closeEntry(entry);
+    }
+  }
+
+  _discard(key, entry) {
+    if (this.entries.get(key) === entry) {
+      this.entries.delete(key);
+    }
+    entry.discarded = true;
+    if (entry.refs === 0) {
+      return closeEntry(entry);
+    }
+  }
+}
+
+/**
+ * Fecha o leitor de uma entrada do cache (ignora falhas de abertura)
+ *
+ * @param {Object} entry
+ */
+async function closeEntry(entry) {
+  try {
+    await (await entry.reader).close();
+  } catch {
+    // Leitor não chegou a abrir
+  }
+}
+
+/**
+ * Envia uma resposta sem corpo
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} [headers]
+ */
+function sendStatus(res, status, headers = {}) {
+  res.writeHead(status, { ...headers, 'Content-Length': 0 });
+  res.end();
+}
+
+/**
+ * Cria um handler compatível com node:http que serve vídeos decriptados
+ *
+ * Suporta GET e HEAD, requisições parciais (Range / If-Range) com
+ * respostas 206 e 416, e rate limiting opcional por IP do cliente.
+ *
+ * Os leitores ficam abertos entre requisições (cache LRU por arquivo e
+ * ETag); `handler.close()` os fecha ao desligar o servidor.
+ *
+ * @param {Object} options
+ * @param {Buffer} [options.masterKey] - Master key
+ * @param {Keyring} [options.keyring] - Alternativa a masterKey
+ * @param {KeyProvider} [options.keyProvider] - Alternativa a masterKey
+ * @param {Function} options.resolveFile - (videoId, req) => caminho do arquivo
+ *   criptografado (ou null se não existir); pode ser async
+ * @param {Function} [options.getVideoId] - (req) => videoId (padrão: último segmento do path)
+ * @param {RateLimiter} [options.rateLimiter] - Limite de requisições por IP
+ * @param {string} [options.contentType] - Content-Type da resposta (padrão: 'video/mp4')
+ * @param {number} [options.cacheSize] - Cache de chunks do EncryptedVideoReader
+ * @param {number} [options.maxOpenReaders] - Leitores mantidos abertos (padrão: 16)
+ * @param {Function} [options.onError] - Callback para erros internos (log)
+ * @returns {Function} - async (req, res) => void, com `close()` para fechar os leitores
+ */
+export function createVideoRequestHandler(options = {}) {
+  const {
+    masterKey,
+    keyring,
+    keyProvider,
+    resolveFile,
+    getVideoId = defaultGetVideoId,
+    rateLimiter,
+    contentType = 'video/mp4',
+    cacheSize,
+    maxOpenReaders = CONFIG.READER.MAX_OPEN,
+    onError = () => {}
+  } = options;
+
+  const provider = resolveKeyProvider(masterKey, keyring, keyProvider);
+
+  if (typeof resolveFile !== 'function') {
+    throw new ValidationError('resolveFile deve ser uma função', 'resolveFile');
+  }
+
+  if (!Number.isInteger(maxOpenReaders) || maxOpenReaders < 1) {
+    throw new ValidationError('maxOpenReaders deve ser um inteiro positivo', 'maxOpenReaders');
+  }
+
+  const readers = new ReaderCache(maxOpenReaders, (filePath, videoId) =>
+    EncryptedVideoReader.open({ filePath, keyProvider: provider, videoId, cacheSize })
+  );
+
+  async function handleVideoRequest(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return sendStatus(res, 405, { Allow: 'GET, HEAD' });
+    }
+
+    if (rateLimiter && !rateLimiter.check(req.socket?.remoteAddress || 'unknown')) {
+      return sendStatus(res, 429);
+    }
+
+    let videoId;
+    try {
+      videoId = getVideoId(req);
+      validateVideoId(videoId);
+    } catch {
+      return sendStatus(res, 400);
+    }
+
+    let release;
+    try {
+      const filePath = await resolveFile(videoId, req);
+      if (!filePath) {
+        return sendStatus(res, 404);
+      }
+
+      const stats = await fs.promises.stat(filePath);
+      const etag = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+      const acquired = await readers.acquire(filePath, videoId, etag);
+      const { reader } = acquired;
+      release = acquired.release;
+
+      const headers = {
+        'Accept-Ranges': 'bytes',
+        'Content-Type': contentType,
+        'ETag': etag,
+        'Last-Modified': stats.mtime.toUTCString()
+      };
+
+      let status = 200;
+      let start = 0;
+      let end = reader.size - 1;
+
+      const rangeHeader = req.headers.range;
+      const ifRange = req.headers['if-range'];
+
+      if (rangeHeader && (!ifRange || ifRangeMatches(ifRange, etag, stats.mtime))) {
+        const range = parseRange(rangeHeader, reader.size);
+
+        if (range === -1) {
+          return sendStatus(res, 416, { ...headers, 'Content-Range': `bytes */${reader.size}` });
+        }
+
+        if (range) {
+          status = 206;
+          ({ start, end } = range);
+          headers['Content-Range'] = `bytes ${start}-${end}/${reader.size}`;
+        }
+      }
+
+      headers['Content-Length'] = Math.max(end - start + 1, 0);
+      res.writeHead(status, headers);
+
+      if (req.method === 'HEAD' || reader.size === 0) {
+        return res.end();
+      }
+
+      await pipeline(reader.createReadStream({ start, end }), res);
+    } catch (error) {
+      if (res.headersSent) {
+        // Corpo já iniciado: encerra a conexão para o cliente não aceitar dados incompletos
+        res.destroy();
+      } else if (error.code === 'ENOENT') {
+        sendStatus(res, 404);
+      } else {
+        // Não expõe detalhes criptográficos ao cliente
+        sendStatus(res, 500);
+      }
+
+      if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        onError(error, req);
+      }
+    } finally {
+      await release?.();
+    }
+  }
+
+  handleVideoRequest.close = () => readers.close();
+  return handleVideoRequest;
+}
@@ -0,0 +1,328 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../config.js';
+import { deriveVideoKey, importMasterKey } from '../utils/hkdf.js';
+import { wrapDataKey, unwrapDataKey } from '../utils/key-wrap.js';
+import {
+  validateMasterKey,
+  validateFilePath,
+  ValidationError,
+  SecurityError
+} from '../utils/security.js';
+import { Keyring, computeMasterKeyId } from './keyring.js';
+
+const KEY_ID_PATTERN = new RegExp(`^[0-9a-f]{${CONFIG.KEYRING.KEY_ID_SIZE * 2}}$`);
+const ACTIVE_FILE = 'active';
+const KEY_FILE_SUFFIX = '.key';
+
+/**
+ * Fonte de master keys para as APIs de alto nível
+ *
+ * As APIs nunca guardam a master key: pedem ao provider a chave de um
+ * key id (getKey) ou que ele embrulhe/desembrulhe a data key de um vídeo
+ * (envelope). As implementações padrão de wrap/unwrap usam getKey e o
+ * registro WRAPPED_KEY local; adaptadores de KMS ou Vault podem
+ * sobrescrevê-las para que a chave nunca saia do serviço.
+ *
+ * Subclasses implementam getKey.
+ */
+export class KeyProvider {
+  /**
+   * Retorna uma master key
+   *
+   * @param {string|null} [keyId] - Key id (null: chave atual, usada para criptografar)
+   * @returns {Promise<{keyId: string|null, key: Buffer}>}
+   * @throws {SecurityError} - KEY_NOT_FOUND ou NO_ACTIVE_KEY
+   */
+  async getKey(keyId) {
+    throw new Error(`${this.constructor.name}.getKey não implementado`);
+  }
+
+  /**
+   * Embrulha a data key de um vídeo com a chave atual
+   *
+   * @param {Buffer} dataKey
+   * @param {Object} context
+   * @param {string} context.videoId
+   * @param {string} [context.algorithm] - 'aes-kw' (padrão) ou 'aes-gcm'
+   * @returns {Promise<{keyId: string|null, record: Buffer}>} - record: valor da extensão WRAPPED_KEY
+   */
+  async wrap(dataKey, { videoId, algorithm }) {
+    const { keyId, key } = await this.getKey(null);
+    return { keyId, record: wrapDataKey(dataKey, key, videoId, { algorithm }) };
+  }
+
+  /**
+   * Desembrulha a data key de um vídeo
+   *
+   * @param {Buffer} record - Valor da extensão WRAPPED_KEY
+   * @param {Object} context
+   * @param {string} context.videoId
+   * @param {string|null} [context.keyId] - Key id do header
+   * @returns {Promise<Buffer>}
+   * @throws {SecurityError} - KEY_UNWRAP_FAILED
+   */
+  async unwrap(record, { videoId, keyId = null }) {
+    const { key } = await this.getKey(keyId);
+    return unwrapDataKey(record, key, videoId);
+  }
+}
+
+/**
+ * Provider de uma master key avulsa (opção masterKey)
+ *
+ * Não grava key id no header; confere o key id de arquivos que o têm.
+ */
+class MasterKeyProvider extends KeyProvider {
+  constructor(masterKey) {
+    super();
+    validateMasterKey(masterKey);
+    this.masterKey = masterKey;
+  }
+
+  async getKey(keyId = null) {
+    if (keyId && computeMasterKeyId(this.masterKey) !== keyId) {
+      throw new SecurityError(
+        `Master key não confere com o key id do arquivo (${keyId})`,
+        'KEY_ID_MISMATCH'
+      );
+    }
+
+    return { keyId: null, key: this.masterKey };
+  }
+}
+
+/**
+ * Provider em memória, apoiado em um Keyring
+ *
+ * A chave atual é a ativa do keyring; arquivos sem key id usam a ativa.
+ */
+export class MemoryKeyProvider extends KeyProvider {
+  /**
+   * @param {Keyring|Buffer} [source] - Keyring, ou master key (vira a chave ativa
+   *   de um keyring novo; padrão: keyring vazio)
+   */
+  constructor(source = new Keyring()) {
+    super();
+
+    if (source instanceof Keyring) {
+      this.keyring = source;
+    } else {
+      this.keyring = new Keyring();
+      this.keyring.addKey(source, { state: 'active' });
+    }
+  }
+
+  async getKey(keyId = null) {
+    return keyId
+      ? { keyId, key: this.keyring.getKey(keyId) }
+      : this.keyring.getActiveKey();
+  }
+}
+
+/**
+ * Provider local apoiado em arquivo ou diretório
+ *
+ * - Arquivo: uma master key em hex (como exportMasterKey)
+ * - Diretório: um arquivo `<keyId>.key` (hex) por chave e o arquivo
+ *   `active` com o key id da chave atual
+ *
+ * Os arquivos são lidos a cada chamada: trocar o `active` rotaciona a
+ * chave sem reiniciar o processo. É também um substituto local para
+ * testar adaptadores remotos.
+ */
+export class FileKeyProvider extends KeyProvider {
+  /**
+   * @param {string} keyPath - Arquivo de chave ou diretório de chaves
+   */
+  constructor(keyPath) {
+    super();
+    validateFilePath(keyPath, 'keyPath');
+    this.keyPath = keyPath;
+  }
+
+  /**
+   * Lê e valida um arquivo de chave
+   *
+   * @param {string} filePath
+   * @param {string|null} keyId - Key id esperado
+   * @returns {Promise<{keyId: string, key: Buffer}>}
+   */
+  async _readKeyFile(filePath, keyId) {
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new SecurityError(`Chave ${keyId} não encontrada em ${this.keyPath}`, 'KEY_NOT_FOUND');
+      }
+      throw error;
+    }
+
+    let key;
+    try {
+      key = importMasterKey(content.trim());
+    } catch (error) {
+      throw new Error(`Arquivo de chave inválido (${filePath}): ${error.message}`);
+    }
+
+    const actualId = computeMasterKeyId(key);
+    if (keyId && actualId !== keyId) {
+      throw new Error(`Arquivo de chave inválido (${filePath}): key id não confere`);
+    }
+
+    return { keyId: actualId, key };
+  }
+
+  /**
+   * Indica se keyPath é um diretório
+   *
+   * @returns {Promise<boolean>}
+   */
+  async _isDirectory() {
+    try {
+      return (await fs.promises.stat(this.keyPath)).isDirectory();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new SecurityError(`Fonte de chaves não encontrada: ${this.keyPath}`, 'KEY_NOT_FOUND');
+      }
+      throw error;
+    }
+  }
+
+  async getKey(keyId = null) {
+    if (keyId !== null && !KEY_ID_PATTERN.test(keyId)) {
+      throw new ValidationError('Key id inválido', 'keyId');
+    }
+
+    if (!(await this._isDirectory())) {
+      const current = await this._readKeyFile(this.keyPath, null);
+      if (keyId && current.keyId !== keyId) {
+        throw new SecurityError(`Chave ${keyId} não encontrada em ${this.keyPath}`, 'KEY_NOT_FOUND');
+      }
+      return current;
+    }
+
+    if (keyId === null) {
+      try {
+        keyId = (await fs.promises.readFile(path.join(this.keyPath, ACTIVE_FILE), 'utf8')).trim();
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new SecurityError(`Diretório de chaves sem chave ativa: ${this.keyPath}`, 'NO_ACTIVE_KEY');
+        }
+        throw error;
+      }
+
+      if (!KEY_ID_PATTERN.test(keyId)) {
+        throw new Error(`Arquivo "${ACTIVE_FILE}" inválido em ${this.keyPath}`);
+      }
+    }
+
+    return this._readKeyFile(path.join(this.keyPath, `${keyId}${KEY_FILE_SUFFIX}`), keyId);
+  }
+
+  /**
+   * Grava uma master key no diretório (modo 0600)
+   *
+   * @param {Buffer} masterKey
+   * @param {Object} [options]
+   * @param {boolean} [options.activate] - Torna a chave atual (padrão: true)
+   * @returns {Promise<string>} - Key id
+   */
+  async addKey(masterKey, { activate = true } = {}) {
+    validateMasterKey(masterKey);
+    await fs.promises.mkdir(this.keyPath, { recursive: true, mode: 0o700 });
+
+    const keyId = computeMasterKeyId(masterKey);
+    await fs.promises.writeFile(
+      path.join(this.keyPath, `${keyId}${KEY_FILE_SUFFIX}`),
+      `${masterKey.toString('hex')}\n`,
+      { mode: 0o600, flag: 'wx' }
+    );
+
+    if (activate) {
+      await this.activate(keyId);
+    }
+
+    return keyId;
+  }
+
+  /**
+   * Torna uma chave do diretório a atual (escrita atômica do arquivo `active`)
+   *
+   * @param {string} keyId
+   * @returns {Promise<void>}
+   */
+  async activate(keyId) {
+    await this.getKey(keyId);
+
+    const activePath = path.join(this.keyPath, ACTIVE_FILE);
+    const tempPath = `${activePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    try {
+      await fs.promises.writeFile(tempPath, `${keyId}\n`, { mode: 0o600 });
+      await fs.promises.rename(tempPath, activePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+}
+
+/**
+ * Resolve a fonte de chaves das APIs de alto nível
+ *
+ * Aceita exatamente uma de: master key avulsa, Keyring ou KeyProvider.
+ *
+ * @param {Buffer|undefined} masterKey
+ * @param {Keyring|undefined} keyring
+ * @param {KeyProvider|undefined} keyProvider - Qualquer objeto com getKey, wrap e unwrap
+ * @returns {KeyProvider}
+ * @throws {ValidationError}
+ */
+export function resolveKeyProvider(masterKey, keyring, keyProvider) {
+  const given = [masterKey, keyring, keyProvider].filter(source => source !== undefined);
+  if (given.length > 1) {
+    throw new ValidationError('Use apenas uma de: masterKey, keyring ou keyProvider', 'keyProvider');
+  }
+
+  if (keyring !== undefined) {
+    if (!(keyring instanceof Keyring)) {
+      throw new ValidationError('keyring deve ser uma instância de Keyring', 'keyring');
+    }
+    return new MemoryKeyProvider(keyring);
+  }
+
+  if (keyProvider !== undefined) {
+    if (!keyProvider || ['getKey', 'wrap', 'unwrap'].some(name => typeof keyProvider[name] !== 'function')) {
+      throw new ValidationError('keyProvider deve implementar getKey, wrap e unwrap', 'keyProvider');
+    }
+    return keyProvider;
+  }
+
+  return new MasterKeyProvider(masterKey);
+}
+
+/**
+ * Resolve a chave dos chunks de um arquivo através de um provider
+ *
+ * Equivalente assíncrono de resolveVideoKey: desembrulha a data key
+ * (envelope) ou deriva a chave do vídeo da master key do key id do header.
+ *
+ * @param {KeyProvider} provider
+ * @param {FileHeader|null} header
+ * @param {string} videoId
+ * @returns {Promise<Buffer>}
+ */
+export async function resolveProviderVideoKey(provider, header, videoId) {
+  const keyId = header?.keyId ?? null;
+  const record = header?.getExtension(CONFIG.FORMAT.EXTENSIONS.WRAPPED_KEY);
+
+  if (record) {
+    return provider.unwrap(record, { videoId, keyId });
+  }
+
+  const { key } = await provider.getKey(keyId);
+  return deriveVideoKey(key, videoId);
+}
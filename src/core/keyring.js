@@ -0,0 +1,387 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { CONFIG } from '../config.js';
+import { deriveSubkey, generateMasterKey } from '../utils/hkdf.js';
+import {
+  validateMasterKey,
+  validateFilePath,
+  secureWipe,
+  ValidationError,
+  SecurityError
+} from '../utils/security.js';
+
+const { STATES, KEY_ID_SIZE, FILE_FORMAT, FILE_VERSION } = CONFIG.KEYRING;
+const FILE_CIPHER = 'aes-256-gcm';
+const FILE_AAD = Buffer.from(`${FILE_FORMAT}:v${FILE_VERSION}`);
+
+/**
+ * Calcula o key id de uma master key
+ *
+ * Subchave dedicada (HKDF): identifica a chave sem permitir recuperá-la.
+ *
+ * @param {Buffer} masterKey
+ * @returns {string} - 16 caracteres hex
+ */
+export function computeMasterKeyId(masterKey) {
+  return deriveSubkey(masterKey, 'key-id').slice(0, KEY_ID_SIZE).toString('hex');
+}
+
+/**
+ * Valida o estado de uma chave
+ *
+ * @param {string} state
+ * @throws {ValidationError}
+ */
+function validateState(state) {
+  if (!STATES.includes(state)) {
+    throw new ValidationError(`Estado de chave inválido. Use: ${STATES.join(', ')}`, 'state');
+  }
+}
+
+/**
+ * Conjunto de master keys com key ids e ciclo de vida
+ *
+ * Estados:
+ * - 'active': usada para criptografar (no máximo uma) e decriptar
+ * - 'decrypt-only': apenas decripta arquivos antigos
+ * - 'retired': mantida, mas recusada até voltar a 'decrypt-only'
+ * - 'destroyed': material da chave apagado (irreversível)
+ *
+ * A criptografia grava o key id da chave ativa no header (extensão
+ * KEY_ID); a decriptação escolhe a chave por ele.
+ */
+export class Keyring {
+  constructor() {
+    this.keys = new Map();
+  }
+
+  /**
+   * Cria um keyring com uma chave ativa gerada aleatoriamente
+   *
+   * @returns {Keyring}
+   */
+  static generate() {
+    const keyring = new Keyring();
+    keyring.generateKey();
+    return keyring;
+  }
+
+  /**
+   * Adiciona uma master key existente
+   *
+   * @param {Buffer} masterKey
+   * @param {Object} [options]
+   * @param {string} [options.state] - Estado inicial (padrão: 'decrypt-only');
+   *   'active' rebaixa a chave ativa atual para 'decrypt-only'
+   * @param {Date|string} [options.createdAt] - Data de criação (padrão: agora)
+   * @returns {string} - Key id
+   */
+  addKey(masterKey, { state = 'decrypt-only', createdAt = new Date() } = {}) {
+    validateMasterKey(masterKey);
+    validateState(state);
+
+    if (state === 'destroyed') {
+      throw new ValidationError('Não é possível adicionar uma chave destruída', 'state');
+    }
+
+    const keyId = computeMasterKeyId(masterKey);
+    if (this.keys.has(keyId)) {
+      throw new ValidationError(`Chave ${keyId} já está no keyring`, 'masterKey');
+    }
+
+    this.keys.set(keyId, {
+      keyId,
+      key: Buffer.from(masterKey),
+      createdAt: new Date(createdAt).toISOString(),
+      state: 'decrypt-only'
+    });
+
+    this.setState(keyId, state);
+    return keyId;
+  }
+
+  /**
+   * Gera e adiciona uma nova master key
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.activate] - Torna a nova chave ativa (padrão: true)
+   * @returns {string} - Key id
+   */
+  generateKey({ activate = true } = {}) {
+    return this.addKey(generateMasterKey(), { state: activate ? 'active' : 'decrypt-only' });
+  }
+
+  /**
+   * Retorna a entrada de uma chave
+   *
+   * @param {string} keyId
+   * @returns {Object}
+   * @throws {SecurityError} - KEY_NOT_FOUND
+   */
+  _getEntry(keyId) {
+    const entry = this.keys.get(keyId);
+    if (!entry) {
+      throw new SecurityError(`Chave ${keyId} não encontrada no keyring`, 'KEY_NOT_FOUND');
+    }
+    return entry;
+  }
+
+  /**
+   * Altera o estado de uma chave
+   *
+   * @param {string} keyId
+   * @param {string} state
+   * @throws {ValidationError} - Estado inválido ou chave destruída
+   */
+  setState(keyId, state) {
+    validateState(state);
+    const entry = this._getEntry(keyId);
+
+    if (entry.state === 'destroyed' && state !== 'destroyed') {
+      throw new ValidationError(`Chave ${keyId} foi destruída`, 'state');
+    }
+
+    if (state === 'active') {
+      for (const other of this.keys.values()) {
+        if (other.state === 'active' && other !== entry) {
+          other.state = 'decrypt-only';
+        }
+      }
+    }
+
+    if (state === 'destroyed' && entry.key) {
+      secureWipe(entry.key);
+      entry.key = null;
+    }
+
+    entry.state = state;
+  }
+
+  /**
+   * Torna uma chave ativa (a anterior passa a 'decrypt-only')
+   *
+   * @param {string} keyId
+   */
+  activate(keyId) {
+    this.setState(keyId, 'active');
+  }
+
+  /**
+   * Apaga o material de uma chave (irreversível)
+   *
+   * @param {string} keyId
+   */
+  destroy(keyId) {
+    this.setState(keyId, 'destroyed');
+  }
+
+  /**
+   * Key id da chave ativa
+   *
+   * @returns {string|null}
+   */
+  get activeKeyId() {
+    for (const entry of this.keys.values()) {
+      if (entry.state === 'active') {
+        return entry.keyId;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Retorna a chave ativa, usada para criptografar
+   *
+   * @returns {{keyId: string, key: Buffer}}
+   * @throws {SecurityError} - NO_ACTIVE_KEY
+   */
+  getActiveKey() {
+    const keyId = this.activeKeyId;
+    if (!keyId) {
+      throw new SecurityError('Keyring não tem chave ativa', 'NO_ACTIVE_KEY');
+    }
+
+    return { keyId, key: this.keys.get(keyId).key };
+  }
+
+  /**
+   * Retorna uma chave para decriptação
+   *
+   * @param {string} keyId
+   * @returns {Buffer}
+   * @throws {SecurityError} - KEY_NOT_FOUND, KEY_RETIRED ou KEY_DESTROYED
+   */
+  getKey(keyId) {
+    const entry = this._getEntry(keyId);
+
+    if (entry.state === 'retired') {
+      throw new SecurityError(`Chave ${keyId} está aposentada`, 'KEY_RETIRED');
+    }
+
+    if (entry.state === 'destroyed') {
+      throw new SecurityError(`Chave ${keyId} foi destruída`, 'KEY_DESTROYED');
+    }
+
+    return entry.key;
+  }
+
+  /**
+   * Verifica se o keyring contém a chave
+   *
+   * @param {string} keyId
+   * @returns {boolean}
+   */
+  has(keyId) {
+    return this.keys.has(keyId);
+  }
+
+  /**
+   * Lista as chaves (sem o material)
+   *
+   * @returns {Array<{keyId: string, createdAt: string, state: string}>}
+   */
+  list() {
+    return [...this.keys.values()].map(({ keyId, createdAt, state }) => ({ keyId, createdAt, state }));
+  }
+
+  /**
+   * Serializa o keyring criptografado (AES-256-GCM)
+   *
+   * @param {Buffer} wrappingKey - Chave de 32 bytes que protege o keyring
+   * @returns {Object} - JSON `{ format, version, cipher, iv, tag, ciphertext }`
+   */
+  serialize(wrappingKey) {
+    validateMasterKey(wrappingKey);
+
+    const body = Buffer.from(JSON.stringify({
+      keys: [...this.keys.values()].map(({ keyId, key, createdAt, state }) => ({
+        keyId,
+        key: key ? key.toString('base64') : null,
+        createdAt,
+        state
+      }))
+    }));
+
+    const iv = crypto.randomBytes(CONFIG.CRYPTO.IV_LENGTH);
+    const cipher = crypto.createCipheriv(FILE_CIPHER, deriveSubkey(wrappingKey, 'keyring'), iv, {
+      authTagLength: CONFIG.CRYPTO.AUTH_TAG_LENGTH
+    });
+    cipher.setAAD(FILE_AAD);
+    const ciphertext = Buffer.concat([cipher.update(body), cipher.final()]);
+    secureWipe(body);
+
+    return {
+      format: FILE_FORMAT,
+      version: FILE_VERSION,
+      cipher: FILE_CIPHER,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+  }
+
+  /**
+   * Reconstrói um keyring serializado
+   *
+   * @param {Object} data - Saída de serialize()
+   * @param {Buffer} wrappingKey
+   * @returns {Keyring}
+   * @throws {SecurityError} - KEYRING_DECRYPTION_FAILED se a chave não confere
+   * @throws {Error} - Se o formato for inválido
+   */
+  static deserialize(data, wrappingKey) {
+    validateMasterKey(wrappingKey);
+
+    if (!data || data.format !== FILE_FORMAT || data.version !== FILE_VERSION ||
+        data.cipher !== FILE_CIPHER || typeof data.iv !== 'string' ||
+        typeof data.tag !== 'string' || typeof data.ciphertext !== 'string') {
+      throw new Error('Keyring inválido: formato ou versão não suportados');
+    }
+
+    let body;
+    try {
+      const decipher = crypto.createDecipheriv(
+        FILE_CIPHER,
+        deriveSubkey(wrappingKey, 'keyring'),
+        Buffer.from(data.iv, 'base64'),
+        { authTagLength: CONFIG.CRYPTO.AUTH_TAG_LENGTH }
+      );
+      decipher.setAAD(FILE_AAD);
+      decipher.setAuthTag(Buffer.from(data.tag, 'base64'));
+      body = Buffer.concat([decipher.update(Buffer.from(data.ciphertext, 'base64')), decipher.final()]);
+    } catch {
+      throw new SecurityError(
+        'Falha ao decriptar o keyring: chave incorreta ou arquivo adulterado',
+        'KEYRING_DECRYPTION_FAILED'
+      );
+    }
+
+    const { keys } = JSON.parse(body.toString());
+    secureWipe(body);
+
+    const keyring = new Keyring();
+    for (const { keyId, key, createdAt, state } of keys) {
+      validateState(state);
+
+      const material = key === null ? null : Buffer.from(key, 'base64');
+      if ((material === null) !== (state === 'destroyed') ||
+          (material && computeMasterKeyId(material) !== keyId)) {
+        throw new Error(`Keyring inválido: chave ${keyId} inconsistente`);
+      }
+
+      keyring.keys.set(keyId, { keyId, key: material, createdAt, state });
+    }
+
+    if (keyring.list().filter(entry => entry.state === 'active').length > 1) {
+      throw new Error('Keyring inválido: mais de uma chave ativa');
+    }
+
+    return keyring;
+  }
+
+  /**
+   * Grava o keyring criptografado em arquivo (escrita atômica, modo 0600)
+   *
+   * @param {string} filePath
+   * @param {Buffer} wrappingKey
+   * @returns {Promise<void>}
+   */
+  async save(filePath, wrappingKey) {
+    validateFilePath(filePath, 'filePath');
+
+    const json = JSON.stringify(this.serialize(wrappingKey), null, 2);
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    try {
+      await fs.promises.writeFile(tempPath, json, { mode: 0o600 });
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Carrega um keyring gravado por save()
+   *
+   * @param {string} filePath
+   * @param {Buffer} wrappingKey
+   * @returns {Promise<Keyring>}
+   */
+  static async load(filePath, wrappingKey) {
+    validateFilePath(filePath, 'filePath');
+
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        throw new Error('Keyring inválido: JSON malformado');
+      }
+      throw error;
+    }
+
+    return Keyring.deserialize(data, wrappingKey);
+  }
+}
+
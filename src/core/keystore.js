@@ -0,0 +1,206 @@
+/**
+ * Keystore: master key protegida por senha
+ *
+ * Arquivo JSON versionado, no estilo dos keystores do Ethereum:
+ *
+ *   {
+ *     format: 'keyring-vcm-keystore', version: 1, keyId,
+ *     crypto: { cipher: 'aes-256-ctr', iv, ciphertext, kdf: <registro scrypt>, mac },
+ *     checksum
+ *   }
+ *
+ * A chave derivada da senha gera duas subchaves: uma cifra a master key
+ * e a outra calcula o MAC (encrypt-then-MAC sobre todo o conteúdo). O
+ * checksum (SHA-256 sem chave) detecta danos acidentais antes da
+ * derivação, separando arquivo corrompido de senha incorreta.
+ */
+
+import crypto from 'crypto';
+import { CONFIG } from '../config.js';
+import { deriveSubkey } from '../utils/hkdf.js';
+import { canonicalJSON } from '../utils/integrity.js';
+import { deriveMasterKeyFromPassphrase } from '../utils/passphrase.js';
+import {
+  validateMasterKey,
+  constantTimeCompare,
+  secureWipe,
+  IntegrityError,
+  SecurityError
+} from '../utils/security.js';
+import { computeMasterKeyId } from './keyring.js';
+
+const { FORMAT, VERSION, CIPHER, IV_LENGTH } = CONFIG.KEYSTORE;
+
+/**
+ * Deriva as subchaves de cifra e MAC da chave derivada da senha
+ *
+ * @param {Buffer} derivedKey
+ * @returns {{encryptionKey: Buffer, macKey: Buffer}}
+ */
+function deriveKeystoreKeys(derivedKey) {
+  return {
+    encryptionKey: deriveSubkey(derivedKey, 'keystore-encryption'),
+    macKey: deriveSubkey(derivedKey, 'keystore-mac')
+  };
+}
+
+/**
+ * Calcula o MAC do keystore (todo o conteúdo, exceto mac e checksum)
+ *
+ * @param {Object} keystore
+ * @param {Buffer} macKey
+ * @returns {string} - HMAC-SHA256 hex
+ */
+function computeKeystoreMac(keystore, macKey) {
+  const { checksum, crypto: { mac, ...params }, ...body } = keystore;
+
+  return crypto
+    .createHmac('sha256', macKey)
+    .update(canonicalJSON({ ...body, crypto: params }))
+    .digest('hex');
+}
+
+/**
+ * Calcula o checksum do keystore (todo o conteúdo, exceto o próprio checksum)
+ *
+ * @param {Object} keystore
+ * @returns {string} - SHA-256 hex
+ */
+function computeKeystoreChecksum(keystore) {
+  const { checksum, ...body } = keystore;
+  return crypto.createHash('sha256').update(canonicalJSON(body)).digest('hex');
+}
+
+/**
+ * Exporta uma master key para um keystore protegido por senha
+ *
+ * @param {Buffer} masterKey
+ * @param {string|Buffer} password
+ * @param {Object} [options] - Parâmetros do scrypt (ver deriveMasterKeyFromPassphrase)
+ * @param {number} [options.N] - Custo (padrão: 2^17)
+ * @param {number} [options.r] - Tamanho do bloco (padrão: 8)
+ * @param {number} [options.p] - Paralelização (padrão: 1)
+ * @returns {Promise<string>} - Keystore em JSON
+ * @throws {ValidationError} - Master key, senha ou parâmetros inválidos
+ */
+export async function exportEncryptedKeystore(masterKey, password, options = {}) {
+  validateMasterKey(masterKey);
+
+  const { N, r, p } = options;
+  const { masterKey: derivedKey, record } = await deriveMasterKeyFromPassphrase(password, { N, r, p });
+  const { encryptionKey, macKey } = deriveKeystoreKeys(derivedKey);
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, encryptionKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(masterKey), cipher.final()]);
+
+  const keystore = {
+    format: FORMAT,
+    version: VERSION,
+    keyId: computeMasterKeyId(masterKey),
+    crypto: {
+      cipher: CIPHER,
+      iv: iv.toString('base64'),
+      ciphertext: ciphertext.toString('base64'),
+      kdf: record
+    }
+  };
+  keystore.crypto.mac = computeKeystoreMac(keystore, macKey);
+  keystore.checksum = computeKeystoreChecksum(keystore);
+
+  secureWipe(derivedKey);
+  secureWipe(encryptionKey);
+  secureWipe(macKey);
+
+  return JSON.stringify(keystore, null, 2);
+}
+
+/**
+ * Valida a estrutura de um keystore
+ *
+ * @param {string|Object} json
+ * @returns {Object}
+ * @throws {Error} - JSON malformado ou formato não suportado
+ */
+function parseKeystore(json) {
+  let keystore = json;
+  if (typeof json === 'string') {
+    try {
+      keystore = JSON.parse(json);
+    } catch {
+      throw new Error('Keystore inválido: JSON malformado');
+    }
+  }
+
+  const params = keystore?.crypto;
+  if (!keystore || typeof keystore !== 'object' ||
+      keystore.format !== FORMAT || keystore.version !== VERSION ||
+      typeof keystore.keyId !== 'string' || typeof keystore.checksum !== 'string' ||
+      !params || typeof params !== 'object' || params.cipher !== CIPHER ||
+      typeof params.iv !== 'string' || typeof params.ciphertext !== 'string' ||
+      typeof params.mac !== 'string' || !params.kdf || typeof params.kdf !== 'object') {
+    throw new Error('Keystore inválido: formato ou versão não suportados');
+  }
+
+  return keystore;
+}
+
+/**
+ * Importa a master key de um keystore protegido por senha
+ *
+ * O checksum é conferido antes de derivar a chave da senha: um arquivo
+ * danificado gera IntegrityError, e um MAC divergente em um arquivo
+ * íntegro indica senha incorreta.
+ *
+ * @param {string|Object} json - Saída de exportEncryptedKeystore (texto ou objeto)
+ * @param {string|Buffer} password
+ * @returns {Promise<Buffer>} - Master key
+ * @throws {SecurityError} - WRONG_PASSWORD se a senha não confere
+ * @throws {IntegrityError} - Arquivo corrompido (checksum divergente)
+ * @throws {ValidationError} - Senha vazia ou parâmetros do KDF inválidos
+ * @throws {Error} - JSON malformado ou formato não suportado
+ */
+export async function importEncryptedKeystore(json, password) {
+  const keystore = parseKeystore(json);
+
+  if (!constantTimeCompare(
+    Buffer.from(keystore.checksum, 'hex'),
+    Buffer.from(computeKeystoreChecksum(keystore), 'hex')
+  )) {
+    throw new IntegrityError('Keystore corrompido: checksum não confere', 'checksum');
+  }
+
+  const { masterKey: derivedKey } = await deriveMasterKeyFromPassphrase(password, keystore.crypto.kdf);
+  const { encryptionKey, macKey } = deriveKeystoreKeys(derivedKey);
+  secureWipe(derivedKey);
+
+  try {
+    if (!constantTimeCompare(
+      Buffer.from(keystore.crypto.mac, 'hex'),
+      Buffer.from(computeKeystoreMac(keystore, macKey), 'hex')
+    )) {
+      throw new SecurityError('Senha incorreta para o keystore', 'WRONG_PASSWORD');
+    }
+
+    const decipher = crypto.createDecipheriv(
+      CIPHER,
+      encryptionKey,
+      Buffer.from(keystore.crypto.iv, 'base64')
+    );
+    const masterKey = Buffer.concat([
+      decipher.update(Buffer.from(keystore.crypto.ciphertext, 'base64')),
+      decipher.final()
+    ]);
+
+    validateMasterKey(masterKey);
+    if (computeMasterKeyId(masterKey) !== keystore.keyId) {
+      secureWipe(masterKey);
+      throw new Error('Keystore inválido: key id não confere');
+    }
+
+    return masterKey;
+  } finally {
+    secureWipe(encryptionKey);
+    secureWipe(macKey);
+  }
+}
@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import { EncryptedChunk } from './chunk-crypto.js';
+import { ValidationError } from '../utils/security.js';
+
+// Prefixos de domínio (RFC 6962): impedem que um nó interno seja aceito como folha
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+/**
+ * Calcula o hash de folha de um chunk criptografado
+ *
+ * Cobre o chunk serializado completo (índice, flags, IV, tag e ciphertext).
+ *
+ * @param {EncryptedChunk} chunk
+ * @returns {Buffer} - SHA-256 (32 bytes)
+ */
+export function hashChunkLeaf(chunk) {
+  if (!(chunk instanceof EncryptedChunk)) {
+    throw new ValidationError('Chunk deve ser EncryptedChunk', 'chunk');
+  }
+
+  return crypto.createHash('sha256').update(LEAF_PREFIX).update(chunk.toBuffer()).digest();
+}
+
+/**
+ * Calcula o hash de um nó interno
+ *
+ * @param {Buffer} left
+ * @param {Buffer} right
+ * @returns {Buffer}
+ */
+function hashNode(left, right) {
+  return crypto.createHash('sha256').update(NODE_PREFIX).update(left).update(right).digest();
+}
+
+/**
+ * Árvore de Merkle sobre os hashes dos chunks criptografados
+ *
+ * Em níveis com número ímpar de nós, o último é promovido sem duplicação.
+ * As provas de inclusão permitem que relays e CDNs verifiquem um chunk
+ * isolado contra a raiz publicada no manifest, sem a chave e sem o arquivo.
+ */
+export class MerkleTree {
+  constructor(leaves) {
+    if (!Array.isArray(leaves) || leaves.length === 0) {
+      throw new ValidationError('Árvore de Merkle requer ao menos uma folha', 'leaves');
+    }
+
+    this.levels = [leaves];
+
+    while (this.levels[this.levels.length - 1].length > 1) {
+      const level = this.levels[this.levels.length - 1];
+      const next = [];
+
+      for (let i = 0; i < level.length; i += 2) {
+        next.push(i + 1 < level.length ? hashNode(level[i], level[i + 1]) : level[i]);
+      }
+
+      this.levels.push(next);
+    }
+  }
+
+  /**
+   * Constrói a árvore a partir dos chunks, em ordem
+   *
+   * @param {Iterable|AsyncIterable} chunks - EncryptedChunks ou Buffers de
+   *   EncryptedChunk.toBuffer(); outros objetos (FileHeader, ChunkIndex) são ignorados
+   * @returns {Promise<MerkleTree>}
+   */
+  static async fromChunks(chunks) {
+    const leaves = [];
+
+    for await (const item of chunks) {
+      if (item instanceof EncryptedChunk) {
+        leaves.push(hashChunkLeaf(item));
+      } else if (Buffer.isBuffer(item)) {
+        leaves.push(hashChunkLeaf(EncryptedChunk.fromBuffer(item)));
+      }
+    }
+
+    return new MerkleTree(leaves);
+  }
+
+  /**
+   * Número de folhas (chunks)
+   */
+  get leafCount() {
+    return this.levels[0].length;
+  }
+
+  /**
+   * Raiz da árvore
+   *
+   * @returns {string} - SHA-256 hex
+   */
+  get root() {
+    return this.levels[this.levels.length - 1][0].toString('hex');
+  }
+
+  /**
+   * Gera a prova de inclusão de um chunk
+   *
+   * @param {number} chunkIndex
+   * @returns {{index: number, leafCount: number, siblings: string[]}}
+   */
+  getProof(chunkIndex) {
+    if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= this.leafCount) {
+      throw new ValidationError(`Chunk ${chunkIndex} fora da árvore`, 'chunkIndex');
+    }
+
+    const siblings = [];
+    let position = chunkIndex;
+
+    for (const level of this.levels.slice(0, -1)) {
+      const sibling = position % 2 === 1 ? position - 1 : position + 1;
+      if (sibling < level.length) {
+        siblings.push(level[sibling].toString('hex'));
+      }
+      position = Math.floor(position / 2);
+    }
+
+    return { index: chunkIndex, leafCount: this.leafCount, siblings };
+  }
+}
+
+/**
+ * Verifica a prova de inclusão de um chunk contra o manifest publicado
+ *
+ * A raiz e o total de folhas vêm do manifest (não da prova). A posição de
+ * cada irmão é derivada do índice do chunk e do total de folhas, então a
+ * prova só é válida para a posição declarada no chunk.
+ *
+ * @param {EncryptedChunk} chunk - Chunk recebido
+ * @param {Object} proof - Prova gerada por MerkleTree.getProof
+ * @param {Object} manifest - Manifest confiável (`merkleRoot` e `totalChunks`)
+ * @returns {boolean}
+ */
+export function verifyChunkProof(chunk, proof, manifest) {
+  const root = manifest?.merkleRoot;
+  const leafCount = manifest?.totalChunks;
+
+  if (!proof || !Array.isArray(proof.siblings) || typeof root !== 'string' ||
+      !Number.isInteger(leafCount) || proof.leafCount !== leafCount ||
+      !(chunk instanceof EncryptedChunk) || chunk.index !== proof.index ||
+      proof.index >= leafCount) {
+    return false;
+  }
+
+  let hash = hashChunkLeaf(chunk);
+  let position = proof.index;
+  let levelSize = leafCount;
+  let next = 0;
+
+  while (levelSize > 1) {
+    const sibling = position % 2 === 1 ? position - 1 : position + 1;
+
+    if (sibling < levelSize) {
+      if (next >= proof.siblings.length) {
+        return false;
+      }
+
+      const siblingHash = Buffer.from(proof.siblings[next++], 'hex');
+      hash = position % 2 === 1 ? hashNode(siblingHash, hash) : hashNode(hash, siblingHash);
+    }
+
+    position = Math.floor(position / 2);
+    levelSize = Math.ceil(levelSize / 2);
+  }
+
+  return next === proof.siblings.length && hash.toString('hex') === root;
+}
@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+import { EncryptedChunk } from './chunk-crypto.js';
+import { canonicalJSON, getManifestBody } from '../utils/integrity.js';
+import { ValidationError } from '../utils/security.js';
+
+const SIGNATURE_ALGORITHM = 'ed25519';
+
+/**
+ * Converte a chave para KeyObject e garante que é Ed25519
+ *
+ * @param {crypto.KeyObject|string|Buffer} key - KeyObject ou PEM
+ * @param {string} type - 'private' ou 'public'
+ * @returns {crypto.KeyObject}
+ * @throws {ValidationError}
+ */
+function toEd25519Key(key, type) {
+  let keyObject = key;
+
+  if (!(key instanceof crypto.KeyObject)) {
+    try {
+      keyObject = type === 'private' ? crypto.createPrivateKey(key) : crypto.createPublicKey(key);
+    } catch {
+      throw new ValidationError(`Chave ${type === 'private' ? 'privada' : 'pública'} inválida`, `${type}Key`);
+    }
+  }
+
+  if (keyObject.asymmetricKeyType !== SIGNATURE_ALGORITHM) {
+    throw new ValidationError('Chave deve ser Ed25519', `${type}Key`);
+  }
+
+  // Verificação aceita a chave privada, mas usa apenas a parte pública
+  if (type === 'public' && keyObject.type === 'private') {
+    return crypto.createPublicKey(keyObject);
+  }
+
+  if (keyObject.type !== type) {
+    throw new ValidationError(`Chave deve ser do tipo ${type}`, `${type}Key`);
+  }
+
+  return keyObject;
+}
+
+/**
+ * Calcula o identificador de uma chave pública Ed25519
+ *
+ * @param {crypto.KeyObject|string|Buffer} publicKey - KeyObject ou PEM
+ * @returns {string} - SHA-256 do SPKI DER, 16 caracteres hex
+ */
+export function computeKeyId(publicKey) {
+  const der = toEd25519Key(publicKey, 'public').export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+/**
+ * Gera um par de chaves Ed25519 para assinar manifests
+ *
+ * @returns {{publicKey: crypto.KeyObject, privateKey: crypto.KeyObject, keyId: string}}
+ */
+export function generateSigningKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(SIGNATURE_ALGORITHM);
+  return { publicKey, privateKey, keyId: computeKeyId(publicKey) };
+}
+
+/**
+ * Calcula o hash das auth tags de todos os chunks, em ordem
+ *
+ * Vincula a assinatura ao conteúdo criptografado sem exigir a chave:
+ * cada tag autentica o ciphertext, o índice e as flags do seu chunk.
+ * Também é retornado por `encryptFile` em `stats.chunkTagsHash`.
+ *
+ * @param {Iterable|AsyncIterable} chunks - EncryptedChunks ou Buffers de
+ *   EncryptedChunk.toBuffer(); outros objetos (FileHeader, ChunkIndex) são ignorados
+ * @returns {Promise<string>} - SHA-256 hex
+ */
+export async function computeChunkTagsHash(chunks) {
+  const hash = crypto.createHash('sha256');
+
+  for await (const item of chunks) {
+    if (item instanceof EncryptedChunk) {
+      hash.update(item.tag);
+    } else if (Buffer.isBuffer(item)) {
+      hash.update(EncryptedChunk.fromBuffer(item).tag);
+    }
+  }
+
+  return hash.digest('hex');
+}
+
+/**
+ * Monta o conteúdo assinado: campos do manifest + metadados da assinatura
+ *
+ * @param {Object} manifest
+ * @param {Object} signature - Metadados (sem o valor)
+ * @returns {Buffer}
+ */
+function buildSignedPayload(manifest, { algorithm, keyId, chunkTagsHash }) {
+  return Buffer.from(canonicalJSON({
+    manifest: getManifestBody(manifest),
+    signature: { algorithm, keyId, chunkTagsHash }
+  }));
+}
+
+/**
+ * Assina um manifest com a chave Ed25519 do publicador
+ *
+ * A assinatura cobre os campos do manifest (exceto checksum, mac e a
+ * própria assinatura), o keyId e, opcionalmente, o hash das auth tags.
+ * Permite que nós de entrega verifiquem a origem sem a master key.
+ *
+ * @param {Object} manifest - Manifest gerado por createManifest
+ * @param {crypto.KeyObject|string} privateKey - Chave privada Ed25519 (KeyObject ou PEM)
+ * @param {Object} [options]
+ * @param {string} [options.keyId] - Identificador do assinante (padrão: computeKeyId)
+ * @param {string} [options.chunkTagsHash] - Hash das auth tags (computeChunkTagsHash)
+ * @returns {Object} - Novo manifest com o campo `signature`
+ */
+export function signManifest(manifest, privateKey, options = {}) {
+  if (!manifest || typeof manifest !== 'object') {
+    throw new ValidationError('Manifest deve ser um objeto', 'manifest');
+  }
+
+  const key = toEd25519Key(privateKey, 'private');
+  const { keyId = computeKeyId(key), chunkTagsHash } = options;
+
+  if (chunkTagsHash !== undefined && !/^[0-9a-f]{64}$/.test(chunkTagsHash)) {
+    throw new ValidationError('chunkTagsHash deve ser um SHA-256 hex', 'chunkTagsHash');
+  }
+
+  const signature = { algorithm: SIGNATURE_ALGORITHM, keyId, chunkTagsHash };
+  const value = crypto.sign(null, buildSignedPayload(manifest, signature), key);
+
+  return {
+    ...manifest,
+    signature: { ...signature, value: value.toString('base64') }
+  };
+}
+
+/**
+ * Verifica a assinatura Ed25519 de um manifest
+ *
+ * @param {Object} manifest - Manifest assinado
+ * @param {crypto.KeyObject|string|Object} publicKey - Chave pública (KeyObject ou PEM),
+ *   ou objeto `{ [keyId]: chave }` com as chaves confiáveis
+ * @param {Object} [options]
+ * @param {string} [options.chunkTagsHash] - Exige que a assinatura cubra este hash
+ *   (calculado a partir do arquivo recebido)
+ * @returns {boolean}
+ */
+export function verifyManifestSignature(manifest, publicKey, options = {}) {
+  const signature = manifest?.signature;
+
+  if (!signature || signature.algorithm !== SIGNATURE_ALGORITHM ||
+      typeof signature.value !== 'string') {
+    return false;
+  }
+
+  let key = publicKey;
+  if (publicKey && typeof publicKey === 'object' &&
+      !(publicKey instanceof crypto.KeyObject) && !Buffer.isBuffer(publicKey)) {
+    if (!Object.hasOwn(publicKey, signature.keyId)) {
+      return false;
+    }
+    key = publicKey[signature.keyId];
+  }
+
+  if (options.chunkTagsHash !== undefined && signature.chunkTagsHash !== options.chunkTagsHash) {
+    return false;
+  }
+
+  return crypto.verify(
+    null,
+    buildSignedPayload(manifest, signature),
+    toEd25519Key(key, 'public'),
+    Buffer.from(signature.value, 'base64')
+  );
+}
@@ -0,0 +1,471 @@
+import fs from 'fs';
+import { Readable } from 'stream';
+import { CONFIG } from '../config.js';
+import { decryptChunk } from './chunk-crypto.js';
+import { resolveKeyProvider, resolveProviderVideoKey } from './key-provider.js';
+import { FileHeader } from './file-header.js';
+import { readAt, readIndexTrailer, readIndexedChunk } from './chunk-index.js';
+import { parsePaddedChunk } from '../utils/padding.js';
+import {
+  validateVideoId,
+  validateFilePath,
+  ValidationError,
+  SecurityError,
+  TruncationError
+} from '../utils/security.js';
+
+/**
+ * Leitor com acesso aleatório ao plaintext de um arquivo criptografado
+ *
+ * Decripta apenas os chunks que cobrem o intervalo pedido e mantém um
+ * cache LRU dos chunks decriptados recentemente (ideal para seek em players).
+ *
+ * A localização dos chunks usa o trailer de índice quando o arquivo o
+ * possui; caso contrário, os registros são percorridos uma vez na abertura.
+ * Suporta arquivos binários com header e legados.
+ *
+ * Em arquivos comprimidos o tamanho do ciphertext não corresponde ao do
+ * plaintext: todo chunk não final tem exatamente `chunkSize` bytes e o
+ * último é decriptado na abertura para obter o tamanho total.
+ * Em arquivos com padding, o trailer do chunk final informa o tamanho
+ * total e o primeiro chunk com padding, o que determina a posição de todos.
+ *
+ * No formato versionado, a flag FINAL do último chunk é conferida na
+ * abertura: um arquivo truncado no limite de um chunk falha em open() em
+ * vez de reportar um `size` menor.
+ */
+export class EncryptedVideoReader {
+  constructor({ handle, videoKey, videoId, header, entries, cacheSize }) {
+    this.handle = handle;
+    this.videoKey = videoKey;
+    this.videoId = videoId;
+    this.header = header;
+    this.entries = entries;
+    this.cacheSize = cacheSize;
+    this.cache = new Map();
+    this.cacheHits = 0;
+    this.cacheMisses = 0;
+
+    const last = entries[entries.length - 1];
+    this.size = last ? last.start + last.size : 0;
+  }
+
+  /**
+   * Abre um arquivo criptografado para leitura
+   *
+   * @param {Object} options
+   * @param {string} options.filePath - Arquivo criptografado (binário)
+   * @param {Buffer} [options.masterKey] - Master key
+   * @param {Keyring} [options.keyring] - Alternativa a masterKey (chave escolhida pelo key id)
+   * @param {KeyProvider} [options.keyProvider] - Alternativa a masterKey
+   * @param {string} options.videoId - ID do vídeo
+   * @param {number} [options.cacheSize] - Máximo de chunks decriptados em cache
+   * @returns {Promise<EncryptedVideoReader>}
+   */
+  static async open({
+    filePath,
+    masterKey,
+    keyring,
+    keyProvider,
+    videoId,
+    cacheSize = CONFIG.READER.CACHE_SIZE
+  } = {}) {
+    validateFilePath(filePath, 'filePath');
+    const provider = resolveKeyProvider(masterKey, keyring, keyProvider);
+    validateVideoId(videoId);
+
+    if (!Number.isInteger(cacheSize) || cacheSize < 1) {
+      throw new ValidationError('cacheSize deve ser um inteiro positivo', 'cacheSize');
+    }
+
+    const handle = await fs.promises.open(filePath, 'r');
+
+    try {
+      const { size } = await handle.stat();
+      const header = await readOptionalHeader(handle, size);
+
+      if (header) {
+        header.assertVideoId(videoId);
+      }
+
+      // Data key embrulhada no header (envelope) ou derivada da master key
+      const videoKey = await resolveProviderVideoKey(provider, header, videoId);
+
+      let records;
+      if (header && (header.flags & CONFIG.FORMAT.FLAGS.INDEX)) {
+        const index = await readIndexTrailer(handle);
+        index.verify(videoKey, header);
+        records = index.entries;
+      } else {
+        records = await scanRecords(handle, header, size);
+      }
+
+      // Posição de cada chunk no plaintext (o AEAD não altera o tamanho)
+      let start = 0;
+      const entries = records.map(({ offset, length }) => {
+        const entry = { offset, length, start, size: length };
+        start += length;
+        return entry;
+      });
+
+      const reader = new EncryptedVideoReader({ handle, videoKey, videoId, header, entries, cacheSize });
+
+      if (header?.compression && entries.length > 0) {
+        entries.forEach((entry, i) => {
+          entry.start = i * header.chunkSize;
+          entry.size = header.chunkSize;
+        });
+
+        const last = entries[entries.length - 1];
+        last.size = null;
+        last.size = (await reader._loadChunk(entries.length - 1)).length;
+        reader.size = last.start + last.size;
+      }
+
+      if (header?.padding && entries.length > 0) {
+        await reader._applyPadding();
+      }
+
+      // Comprimidos e com padding: o último chunk já foi conferido acima
+      if (header && !header.compression && !header.padding) {
+        await reader._assertFinalChunk();
+      }
+
+      return reader;
+    } catch (error) {
+      await handle.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Número de chunks do arquivo
+   */
+  get totalChunks() {
+    return this.entries.length;
+  }
+
+  /**
+   * Lê um intervalo do plaintext
+   *
+   * @param {number} offset - Posição inicial no plaintext
+   * @param {number} length - Número de bytes
+   * @returns {Promise<Buffer>} - Dados lidos (menor que length no fim do arquivo)
+   */
+  async read(offset, length) {
+    validateRange(offset, length);
+
+    const end = Math.min(offset + length, this.size);
+    const parts = [];
+
+    for await (const part of this._iterate(offset, end)) {
+      parts.push(part);
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Cria um stream do plaintext
+   *
+   * @param {Object} [options]
+   * @param {number} [options.start] - Posição inicial (inclusiva)
+   * @param {number} [options.end] - Posição final (inclusiva, como fs.createReadStream)
+   * @returns {Readable}
+   */
+  createReadStream({ start = 0, end = this.size - 1 } = {}) {
+    validateRange(start, end - start + 1);
+
+    return Readable.from(this._iterate(start, Math.min(end + 1, this.size)), {
+      objectMode: false
+    });
+  }
+
+  /**
+   * Gera as fatias de plaintext de [start, end)
+   *
+   * @param {number} start
+   * @param {number} end - Exclusivo
+   */
+  async *_iterate(start, end) {
+    if (start >= end) {
+      return;
+    }
+
+    for (let i = this._findChunk(start); i < this.entries.length; i++) {
+      const entry = this.entries[i];
+      if (entry.start >= end) {
+        break;
+      }
+
+      const plaintext = await this._loadChunk(i);
+      yield plaintext.slice(
+        Math.max(start - entry.start, 0),
+        Math.min(end - entry.start, entry.size)
+      );
+    }
+  }
+
+  /**
+   * Busca binária do chunk que contém a posição
+   *
+   * @param {number} position
+   * @returns {number}
+   */
+  _findChunk(position) {
+    let low = 0;
+    let high = this.entries.length - 1;
+
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.entries[mid].start <= position) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Recalcula a posição dos chunks a partir do trailer de padding do chunk final
+   *
+   * Os chunks anteriores ao primeiro com padding têm `chunkSize` bytes; os
+   * seguintes comportam até `chunkSize - 16` bytes de dados, em ordem.
+   *
+   * @throws {SecurityError} - Se o trailer for incompatível com os chunks do arquivo
+   */
+  async _applyPadding() {
+    const lastIndex = this.entries.length - 1;
+    const chunk = await readIndexedChunk(this.handle, this.entries[lastIndex]);
+
+    if (!chunk.isFinal) {
+      throw new TruncationError(
+        `Arquivo truncado: chunk final não encontrado após ${this.entries.length} chunks`
+      );
+    }
+
+    if (!(chunk.flags & CONFIG.FORMAT.CHUNK_FLAGS.PADDED)) {
+      throw new SecurityError('Chunk final sem padding em arquivo com padding', 'CHUNK_SIZE_MISMATCH');
+    }
+
+    const { totalSize, firstPaddedIndex } = parsePaddedChunk(
+      decryptChunk(chunk, this.videoKey, this.videoId, { header: this.header, stripPadding: false })
+    );
+
+    const { chunkSize } = this.header;
+    const capacity = chunkSize - CONFIG.FORMAT.PADDING.TRAILER_SIZE;
+    const paddedData = totalSize - firstPaddedIndex * chunkSize;
+
+    if (firstPaddedIndex > lastIndex || paddedData < 0 ||
+        paddedData > (lastIndex - firstPaddedIndex + 1) * capacity) {
+      throw new SecurityError('Trailer de padding incompatível com os chunks do arquivo', 'CHUNK_SIZE_MISMATCH');
+    }
+
+    this.entries.forEach((entry, i) => {
+      if (i < firstPaddedIndex) {
+        entry.start = i * chunkSize;
+        entry.size = chunkSize;
+      } else {
+        const before = (i - firstPaddedIndex) * capacity;
+        entry.start = firstPaddedIndex * chunkSize + Math.min(paddedData, before);
+        entry.size = Math.min(Math.max(paddedData - before, 0), capacity);
+      }
+    });
+
+    this.size = totalSize;
+  }
+
+  /**
+   * Confere que o último registro é o chunk FINAL autenticado
+   *
+   * Lê o registro direto do arquivo, sem passar pelo cache.
+   *
+   * @throws {TruncationError} - Arquivo sem chunks ou sem o chunk final
+   * @throws {SecurityError} - Falha de autenticação ou lacuna na sequência
+   */
+  async _assertFinalChunk() {
+    const lastIndex = this.entries.length - 1;
+    if (lastIndex < 0) {
+      throw new TruncationError('Arquivo truncado: nenhum chunk após o header');
+    }
+
+    const chunk = await readIndexedChunk(this.handle, this.entries[lastIndex]);
+    if (chunk.index !== lastIndex) {
+      throw new SecurityError(
+        `Lacuna na sequência: esperado chunk ${lastIndex}, recebido ${chunk.index}`,
+        'CHUNK_GAP'
+      );
+    }
+
+    // A flag faz parte do AAD: a decriptação a autentica
+    decryptChunk(chunk, this.videoKey, this.videoId, { header: this.header });
+    if (!chunk.isFinal) {
+      throw new TruncationError(
+        `Arquivo truncado: chunk final não encontrado após ${this.entries.length} chunks`
+      );
+    }
+  }
+
+  /**
+   * Retorna o plaintext de um chunk, usando o cache LRU
+   *
+   * @param {number} chunkIndex
+   * @returns {Promise<Buffer>}
+   */
+  async _loadChunk(chunkIndex) {
+    const cached = this.cache.get(chunkIndex);
+    if (cached) {
+      // Move para o fim (mais recente)
+      this.cache.delete(chunkIndex);
+      this.cache.set(chunkIndex, cached);
+      this.cacheHits++;
+      return cached;
+    }
+
+    this.cacheMisses++;
+
+    const chunk = await readIndexedChunk(this.handle, this.entries[chunkIndex]);
+    if (chunk.index !== chunkIndex) {
+      throw new SecurityError(
+        `Lacuna na sequência: esperado chunk ${chunkIndex}, recebido ${chunk.index}`,
+        'CHUNK_GAP'
+      );
+    }
+
+    const plaintext = decryptChunk(chunk, this.videoKey, this.videoId, {
+      header: this.header || undefined
+    });
+
+    // Chunks comprimidos ou com padding: o tamanho esperado vem do header ou do trailer
+    const expectedSize = this.entries[chunkIndex].size;
+    if (expectedSize !== null && plaintext.length !== expectedSize) {
+      throw new SecurityError(
+        `Chunk ${chunkIndex} tem ${plaintext.length} bytes, esperado ${expectedSize}`,
+        'CHUNK_SIZE_MISMATCH'
+      );
+    }
+
+    // Flag FINAL autenticada: detecta arquivos truncados ou com dados extras
+    if (this.header) {
+      const isLast = chunkIndex === this.entries.length - 1;
+      if (isLast && !chunk.isFinal) {
+        throw new TruncationError(
+          `Arquivo truncado: chunk final não encontrado após ${this.entries.length} chunks`
+        );
+      }
+      if (!isLast && chunk.isFinal) {
+        throw new SecurityError(
+          `Chunk ${chunkIndex + 1} encontrado após o chunk final`,
+          'DATA_AFTER_FINAL'
+        );
+      }
+    }
+
+    this.cache.set(chunkIndex, plaintext);
+    if (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return plaintext;
+  }
+
+  /**
+   * Retorna estatísticas do leitor
+   */
+  getStats() {
+    return {
+      size: this.size,
+      totalChunks: this.totalChunks,
+      cachedChunks: this.cache.size,
+      cacheHits: this.cacheHits,
+      cacheMisses: this.cacheMisses
+    };
+  }
+
+  /**
+   * Fecha o arquivo e descarta o cache
+   */
+  async close() {
+    this.cache.clear();
+    await this.handle.close();
+  }
+}
+
+/**
+ * Valida um intervalo de leitura
+ *
+ * @param {number} offset
+ * @param {number} length
+ * @throws {ValidationError}
+ */
+function validateRange(offset, length) {
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ValidationError('Offset deve ser um inteiro não negativo', 'offset');
+  }
+
+  if (!Number.isInteger(length) || length < 0) {
+    throw new ValidationError('Length deve ser um inteiro não negativo', 'length');
+  }
+}
+
+/**
+ * Lê o header se o arquivo estiver no formato versionado
+ *
+ * @param {fs.promises.FileHandle} handle
+ * @param {number} size - Tamanho do arquivo
+ * @returns {Promise<FileHeader|null>} - null para arquivos legados
+ */
+async function readOptionalHeader(handle, size) {
+  if (size < CONFIG.FORMAT.FIXED_SIZE) {
+    return null;
+  }
+
+  const fixed = await readAt(handle, 0, CONFIG.FORMAT.FIXED_SIZE);
+  if (!FileHeader.hasMagic(fixed)) {
+    return null;
+  }
+
+  return FileHeader.fromBuffer(await readAt(handle, 0, FileHeader.getLength(fixed)));
+}
+
+/**
+ * Percorre os registros de chunks de um arquivo sem índice
+ *
+ * @param {fs.promises.FileHandle} handle
+ * @param {FileHeader|null} header
+ * @param {number} size - Tamanho do arquivo
+ * @returns {Promise<Array<{offset: number, length: number}>>}
+ */
+async function scanRecords(handle, header, size) {
+  const records = [];
+  let position = header ? header.size : 0;
+
+  while (position < size) {
+    if (position + 4 > size) {
+      throw new Error(`Registro de chunk incompleto na posição ${position}`);
+    }
+
+    const recordLength = (await readAt(handle, position, 4)).readUInt32BE(0);
+
+    if (recordLength < CONFIG.HEADER.TOTAL_SIZE || position + 4 + recordLength > size) {
+      throw new Error(`Registro de chunk inválido na posição ${position}`);
+    }
+
+    if (header && recordLength > header.chunkSize + CONFIG.HEADER.TOTAL_SIZE) {
+      throw new Error(
+        `Chunk de ${recordLength} bytes excede o chunkSize do header (${header.chunkSize})`
+      );
+    }
+
+    records.push({ offset: position, length: recordLength - CONFIG.HEADER.TOTAL_SIZE });
+    position += 4 + recordLength;
+  }
+
+  if (header && records.length === 0) {
+    throw new TruncationError('Arquivo truncado: nenhum chunk encontrado');
+  }
+
+  return records;
+}
@@ -5,34 +5,83 @@ export { CONFIG } from './config.js';
 export {
   generateMasterKey,
   deriveVideoKey,
+  deriveSubkey,
   exportMasterKey,
   importMasterKey
 } from './utils/hkdf.js';
 
+export { deriveMasterKeyFromPassphrase, calibrateScryptParams } from './utils/passphrase.js';
+
+// Export envelope encryption
+export {
+  wrapDataKey,
+  unwrapDataKey,
+  resolveVideoKey
+} from './utils/key-wrap.js';
+
+// Export keyring
+export { Keyring, computeMasterKeyId } from './core/keyring.js';
+
+export { KeyProvider, MemoryKeyProvider, FileKeyProvider } from './core/key-provider.js';
+
+export { exportEncryptedKeystore, importEncryptedKeystore } from './core/keystore.js';
+
 // Export chunk cryptography
 export {
   EncryptedChunk,
   encryptChunk,
-  decryptChunk
+  decryptChunk,
+  computeKeyCommitment
 } from './core/chunk-crypto.js';
 
+// Export file format
+export {
+  FileHeader,
+  computeVideoFingerprint
+} from './core/file-header.js';
+
+export {
+  ChunkIndex,
+  readChunkIndex
+} from './core/chunk-index.js';
+
+export { EncryptedVideoReader } from './core/video-reader.js';
+
+export { createVideoRequestHandler, parseRange } from './core/http-handler.js';
+
+export {
+  generateSigningKeyPair,
+  computeKeyId,
+  computeChunkTagsHash,
+  signManifest,
+  verifyManifestSignature
+} from './core/signature.js';
+
+export { MerkleTree, hashChunkLeaf, verifyChunkProof } from './core/merkle.js';
+
 // Export streams
 export {
   EncryptionStream,
   ChunkSerializationStream,
-  TextEncodingStream
+  TextEncodingStream,
+  NDJSONEncodingStream
 } from './core/encryption-stream.js';
 
 export {
   DecryptionStream,
   ChunkDeserializationStream,
-  TextDecodingStream
+  TextDecodingStream,
+  NDJSONDecodingStream
 } from './core/decryption-stream.js';
 
+export { ArmorEncodingStream, ArmorDecodingStream, crc24 } from './core/armor.js';
+
 // Export high-level file operations
 export {
   encryptFile,
   decryptFile,
+  reencryptFile,
+  rewrapKey,
   encryptBuffer,
   decryptBuffer
 } from './core/file-crypto.js';
@@ -40,6 +89,13 @@ export {
 // Export utilities
 export { createAAD, validateAAD } from './utils/aad.js';
 
+export {
+  encodeZ85,
+  decodeZ85,
+  encodeAscii85,
+  decodeAscii85
+} from './utils/base85.js';
+
 // Export security utilities
 export {
   validateMasterKey,
@@ -54,16 +110,24 @@ export {
   RateLimiter,
   ValidationError,
   SecurityError,
+  TruncationError,
+  IntegrityError,
   SECURITY_LIMITS
 } from './utils/security.js';
 
+// Export key usage tracking
+export { KeyUsageTracker } from './utils/key-usage.js';
+
 // Export integrity utilities
 export {
   calculateFileHash,
   calculateBufferHash,
   createManifest,
   validateManifest,
+  verifyManifestMac,
+  canonicalJSON,
   verifyFileIntegrity,
   generateIntegrityReport,
-  HashStream
+  HashStream,
+  ManifestVerificationStream
 } from './utils/integrity.js';
@@ -3,18 +3,23 @@ import crypto from 'crypto';
 /**
  * Cria AAD (Additional Authenticated Data) para um chunk
  * 
- * AAD = HASH(video_id || chunk_index)
+ * Formato legado:    AAD = HASH(video_id || chunk_index)
+ * Formato versionado: AAD = HASH(video_id || chunk_index || flags || header_digest)
  * 
  * Isso protege contra:
  * - Reordenação de chunks
  * - Substituição de chunks entre vídeos
  * - Ataques de replay
+ * - Truncamento (flag FINAL autenticada) e adulteração do header
  * 
  * @param {string} videoId - ID do vídeo
  * @param {number} chunkIndex - Índice do chunk (uint32)
+ * @param {Object} [options]
+ * @param {Buffer} [options.context] - Digest do header (formato versionado)
+ * @param {number} [options.flags] - Flags do chunk (uint8)
  * @returns {Buffer} - AAD (32 bytes)
  */
-export function createAAD(videoId, chunkIndex) {
+export function createAAD(videoId, chunkIndex, options = {}) {
   if (typeof videoId !== 'string' || !videoId) {
     throw new Error('videoId deve ser uma string não vazia');
   }
@@ -28,7 +33,23 @@ export function createAAD(videoId, chunkIndex) {
   const indexBuffer = Buffer.allocUnsafe(4);
   indexBuffer.writeUInt32BE(chunkIndex, 0);
 
-  const combined = Buffer.concat([videoIdBuffer, indexBuffer]);
+  const parts = [videoIdBuffer, indexBuffer];
+
+  if (options.context !== undefined) {
+    const { context, flags = 0 } = options;
+
+    if (!Buffer.isBuffer(context) || context.length !== 32) {
+      throw new Error('context deve ser um Buffer de 32 bytes');
+    }
+
+    if (!Number.isInteger(flags) || flags < 0 || flags > 0xFF) {
+      throw new Error('flags deve ser uint8 (0 a 255)');
+    }
+
+    parts.push(Buffer.from([flags]), context);
+  }
+
+  const combined = Buffer.concat(parts);
 
   // Hash para tamanho fixo e maior segurança
   return crypto.createHash('sha256').update(combined).digest();
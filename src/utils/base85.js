@@ -0,0 +1,199 @@
+/**
+ * Encodings Base85 (Z85 e Ascii85)
+ *
+ * Representam 4 bytes com 5 caracteres (overhead de 25%, contra 33% do
+ * base64). Um grupo final parcial de N bytes gera N + 1 caracteres, como
+ * no Ascii85 da Adobe; o Z85 do ZeroMQ exige múltiplos de 4 bytes, então
+ * o mesmo tratamento é aplicado para aceitar chunks de qualquer tamanho.
+ */
+
+import { ValidationError } from './security.js';
+
+const Z85_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ.-:+=^!/*?&<>()[]{}@%$#';
+const ASCII85_OFFSET = 33; // '!'
+
+const Z85_DECODE = new Map([...Z85_ALPHABET].map((char, value) => [char, value]));
+
+/**
+ * Codifica grupos de 4 bytes em 5 dígitos base 85
+ *
+ * @param {Buffer} buffer
+ * @param {Function} toChar - (dígito) => caractere
+ * @param {boolean} zeroShortcut - Usa 'z' para grupos completos de zeros (Ascii85)
+ * @returns {string}
+ */
+function encodeGroups(buffer, toChar, zeroShortcut) {
+  let output = '';
+
+  for (let offset = 0; offset < buffer.length; offset += 4) {
+    const groupLength = Math.min(4, buffer.length - offset);
+    const group = Buffer.alloc(4);
+    buffer.copy(group, 0, offset, offset + groupLength);
+
+    let value = group.readUInt32BE(0);
+
+    if (zeroShortcut && groupLength === 4 && value === 0) {
+      output += 'z';
+      continue;
+    }
+
+    const digits = new Array(5);
+    for (let i = 4; i >= 0; i--) {
+      digits[i] = toChar(value % 85);
+      value = Math.floor(value / 85);
+    }
+
+    output += digits.slice(0, groupLength + 1).join('');
+  }
+
+  return output;
+}
+
+/**
+ * Decodifica dígitos base 85 em bytes
+ *
+ * @param {number[]} digits
+ * @param {string} name - Nome do encoding (mensagens de erro)
+ * @returns {Buffer}
+ * @throws {ValidationError}
+ */
+function decodeGroups(digits, name) {
+  if (digits.length % 5 === 1) {
+    throw new ValidationError(`${name} inválido: grupo final incompleto`, 'text');
+  }
+
+  const output = Buffer.alloc(Math.floor(digits.length / 5) * 4 + Math.max(digits.length % 5 - 1, 0));
+  let written = 0;
+
+  for (let offset = 0; offset < digits.length; offset += 5) {
+    const groupLength = Math.min(5, digits.length - offset);
+    let value = 0;
+
+    // Grupo parcial: completa com o maior dígito (84) e descarta os bytes extras
+    for (let i = 0; i < 5; i++) {
+      value = value * 85 + (i < groupLength ? digits[offset + i] : 84);
+    }
+
+    if (value > 0xFFFFFFFF) {
+      throw new ValidationError(`${name} inválido: grupo excede 32 bits`, 'text');
+    }
+
+    const group = Buffer.alloc(4);
+    group.writeUInt32BE(value, 0);
+    group.copy(output, written, 0, groupLength - 1);
+    written += groupLength - 1;
+  }
+
+  return output;
+}
+
+/**
+ * Codifica em Z85 (alfabeto do ZeroMQ, seguro em JSON e XML sem escapes de aspas)
+ *
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export function encodeZ85(buffer) {
+  return encodeGroups(buffer, digit => Z85_ALPHABET[digit], false);
+}
+
+/**
+ * Decodifica Z85
+ *
+ * @param {string} text
+ * @returns {Buffer}
+ * @throws {ValidationError} - Caractere fora do alfabeto ou grupo inválido
+ */
+export function decodeZ85(text) {
+  const digits = [...text.replace(/\s+/g, '')].map(char => {
+    const value = Z85_DECODE.get(char);
+    if (value === undefined) {
+      throw new ValidationError(`Z85 inválido: caractere '${char}'`, 'text');
+    }
+    return value;
+  });
+
+  return decodeGroups(digits, 'Z85');
+}
+
+/**
+ * Codifica em Ascii85 (caracteres '!' a 'u', com 'z' para grupos de zeros)
+ *
+ * @param {Buffer} buffer
+ * @returns {string} - Sem os delimitadores <~ ~>
+ */
+export function encodeAscii85(buffer) {
+  return encodeGroups(buffer, digit => String.fromCharCode(digit + ASCII85_OFFSET), true);
+}
+
+/**
+ * Decodifica Ascii85 (aceita os delimitadores <~ ~> e espaços em branco)
+ *
+ * @param {string} text
+ * @returns {Buffer}
+ * @throws {ValidationError} - Caractere fora do alfabeto ou grupo inválido
+ */
+export function decodeAscii85(text) {
+  let body = text.replace(/\s+/g, '');
+  if (body.startsWith('<~')) {
+    body = body.slice(2);
+  }
+  if (body.endsWith('~>')) {
+    body = body.slice(0, -2);
+  }
+
+  const digits = [];
+  for (const char of body) {
+    if (char === 'z') {
+      if (digits.length % 5 !== 0) {
+        throw new ValidationError("Ascii85 inválido: 'z' no meio de um grupo", 'text');
+      }
+      digits.push(0, 0, 0, 0, 0);
+      continue;
+    }
+
+    const value = char.charCodeAt(0) - ASCII85_OFFSET;
+    if (value < 0 || value > 84) {
+      throw new ValidationError(`Ascii85 inválido: caractere '${char}'`, 'text');
+    }
+    digits.push(value);
+  }
+
+  return decodeGroups(digits, 'Ascii85');
+}
+
+/**
+ * Converte Buffer para texto no encoding indicado
+ *
+ * @param {Buffer} buffer
+ * @param {string} encoding - 'base64', 'hex', 'z85' ou 'ascii85'
+ * @returns {string}
+ */
+export function encodeText(buffer, encoding) {
+  switch (encoding) {
+    case 'z85':
+      return encodeZ85(buffer);
+    case 'ascii85':
+      return encodeAscii85(buffer);
+    default:
+      return buffer.toString(encoding);
+  }
+}
+
+/**
+ * Converte texto para Buffer a partir do encoding indicado
+ *
+ * @param {string} text
+ * @param {string} encoding - 'base64', 'hex', 'z85' ou 'ascii85'
+ * @returns {Buffer}
+ */
+export function decodeText(text, encoding) {
+  switch (encoding) {
+    case 'z85':
+      return decodeZ85(text);
+    case 'ascii85':
+      return decodeAscii85(text);
+    default:
+      return Buffer.from(text, encoding);
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Compressão por chunk (antes da criptografia)
+ *
+ * Cada chunk é comprimido de forma independente, para que a leitura com
+ * acesso aleatório continue decriptando apenas os chunks necessários.
+ * O algoritmo é registrado no header (extensão COMPRESSION) e cada chunk
+ * comprimido recebe a flag COMPRESSED, ambos autenticados no AAD.
+ */
+
+import zlib from 'zlib';
+import { CONFIG } from '../config.js';
+import { ValidationError } from './security.js';
+
+const CODECS = {
+  gzip: { compress: zlib.gzipSync, decompress: zlib.gunzipSync },
+  deflate: { compress: zlib.deflateSync, decompress: zlib.inflateSync },
+  brotli: { compress: zlib.brotliCompressSync, decompress: zlib.brotliDecompressSync }
+};
+
+/**
+ * Valida o algoritmo de compressão
+ *
+ * @param {string} algorithm
+ * @throws {ValidationError}
+ */
+export function validateCompression(algorithm) {
+  if (!Object.hasOwn(CONFIG.FORMAT.COMPRESSION, algorithm)) {
+    throw new ValidationError(
+      `Compressão inválida. Use: ${Object.keys(CONFIG.FORMAT.COMPRESSION).join(', ')}`,
+      'compression'
+    );
+  }
+}
+
+/**
+ * Comprime um chunk
+ *
+ * @param {Buffer} data
+ * @param {string} algorithm - 'gzip', 'deflate' ou 'brotli'
+ * @returns {Buffer|null} - null se a compressão não reduz o tamanho
+ *   (o chunk deve ser gravado sem a flag COMPRESSED)
+ */
+export function compressChunk(data, algorithm) {
+  validateCompression(algorithm);
+
+  if (data.length === 0) {
+    return null;
+  }
+
+  const compressed = CODECS[algorithm].compress(data);
+  return compressed.length < data.length ? compressed : null;
+}
+
+/**
+ * Descomprime um chunk
+ *
+ * @param {Buffer} data
+ * @param {string} algorithm - 'gzip', 'deflate' ou 'brotli'
+ * @param {number} maxLength - Tamanho máximo do resultado (chunkSize do header);
+ *   protege contra bombas de descompressão
+ * @returns {Buffer}
+ * @throws {Error} - Se os dados forem inválidos ou excederem maxLength
+ */
+export function decompressChunk(data, algorithm, maxLength) {
+  validateCompression(algorithm);
+
+  try {
+    return CODECS[algorithm].decompress(data, { maxOutputLength: maxLength });
+  } catch (error) {
+    throw new Error(`Falha na descompressão do chunk (${algorithm}): ${error.message}`);
+  }
+}
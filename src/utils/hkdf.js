@@ -34,6 +34,31 @@ export function deriveVideoKey(masterKey, videoId) {
   return videoKey;
 }
 
+/**
+ * Deriva uma subchave para um propósito específico (HKDF-Expand)
+ *
+ * Usada para separar domínios: a chave de origem nunca é usada
+ * diretamente em mais de uma primitiva.
+ *
+ * @param {Buffer} key - Chave de origem (32 bytes)
+ * @param {string} label - Propósito da subchave (ex: 'chunk-index')
+ * @returns {Buffer} - Subchave (32 bytes)
+ */
+export function deriveSubkey(key, label) {
+  validateMasterKey(key);
+
+  if (typeof label !== 'string' || !label) {
+    throw new Error('label deve ser uma string não vazia');
+  }
+
+  const info = Buffer.from(`${CONFIG.HKDF.INFO}:${label}`);
+
+  return crypto.createHmac(CONFIG.HKDF.HASH, key)
+    .update(Buffer.concat([info, Buffer.from([0x01])]))
+    .digest()
+    .slice(0, CONFIG.CRYPTO.KEY_LENGTH);
+}
+
 /**
  * Gera uma master key aleatória
  * 
@@ -6,6 +6,8 @@ import crypto from 'crypto';
 import fs from 'fs';
 import { pipeline } from 'stream/promises';
 import { Transform } from 'stream';
+import { deriveSubkey } from './hkdf.js';
+import { IntegrityError, constantTimeCompare } from './security.js';
 
 /**
  * Calcula hash SHA-256 de um arquivo
@@ -34,10 +36,75 @@ export function calculateBufferHash(buffer) {
   return crypto.createHash('sha256').update(buffer).digest('hex');
 }
 
+/**
+ * Campos do manifest que não fazem parte do conteúdo autenticado
+ */
+const MANIFEST_AUTH_FIELDS = ['checksum', 'mac', 'signature'];
+
+/**
+ * Serializa um valor em JSON canônico (chaves ordenadas recursivamente)
+ *
+ * A ordem das chaves não altera o resultado, permitindo autenticar
+ * objetos reconstruídos ou editados por outras ferramentas.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJSON(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Retorna o conteúdo autenticado do manifest (sem checksum, MAC e assinatura)
+ *
+ * @param {Object} manifest
+ * @returns {Object}
+ */
+export function getManifestBody(manifest) {
+  const body = { ...manifest };
+  for (const field of MANIFEST_AUTH_FIELDS) {
+    delete body[field];
+  }
+  return body;
+}
+
+/**
+ * Calcula o HMAC do manifest com subchave da master key
+ *
+ * @param {Object} body - Conteúdo do manifest
+ * @param {Buffer} masterKey
+ * @returns {string} - HMAC-SHA256 hex
+ */
+function computeManifestMac(body, masterKey) {
+  return crypto
+    .createHmac('sha256', deriveSubkey(masterKey, 'manifest'))
+    .update(canonicalJSON(body))
+    .digest('hex');
+}
+
 /**
  * Cria um manifest com metadados e hash de integridade
- * 
+ *
+ * Com `masterKey`, o manifest é selado com HMAC-SHA256 (campo `mac`),
+ * que só pode ser recalculado por quem possui a chave. O `checksum`
+ * (SHA-256 sem chave) detecta apenas danos acidentais.
+ *
  * @param {Object} options
+ * @param {string} [options.merkleRoot] - Raiz da árvore de Merkle dos chunks
+ * @param {Buffer} [options.masterKey] - Master key para selar o manifest com HMAC
  * @returns {Object} - Manifest
  */
 export function createManifest(options) {
@@ -48,68 +115,104 @@ export function createManifest(options) {
     totalSize,
     originalHash,
     timestamp = Date.now(),
-    version = '1.0.0'
+    version = '1.0.0',
+    merkleRoot,
+    masterKey
   } = options;
 
-  const manifest = {
+  const body = {
     version,
     videoId,
     timestamp,
     totalChunks,
     chunkSize,
     totalSize,
-    originalHash,
-    checksum: null
+    originalHash
   };
 
-  // Calcula checksum do manifest
-  const manifestString = JSON.stringify({
-    version,
-    videoId,
-    timestamp,
-    totalChunks,
-    chunkSize,
-    totalSize,
-    originalHash
-  });
+  // Raiz da árvore de Merkle dos chunks (opcional)
+  if (merkleRoot !== undefined) {
+    body.merkleRoot = merkleRoot;
+  }
 
-  manifest.checksum = crypto
-    .createHash('sha256')
-    .update(manifestString)
-    .digest('hex');
+  const manifest = {
+    ...body,
+    checksum: crypto.createHash('sha256').update(canonicalJSON(body)).digest('hex')
+  };
+
+  if (masterKey !== undefined) {
+    manifest.mac = computeManifestMac(body, masterKey);
+  }
 
   return manifest;
 }
 
 /**
  * Valida um manifest
- * 
+ *
+ * Sem chave, verifica apenas o checksum. Com `masterKey`, exige o campo
+ * `mac` e o verifica em tempo constante.
+ *
  * @param {Object} manifest
+ * @param {Buffer} [masterKey] - Master key usada para selar o manifest
  * @returns {boolean}
  */
-export function validateManifest(manifest) {
+export function validateManifest(manifest, masterKey) {
+  return verifyManifestMac(manifest, masterKey).valid;
+}
+
+/**
+ * Valida um manifest e informa se o resultado é autenticado
+ *
+ * Só a verificação do `mac` com a master key autentica o manifest. O
+ * checksum sem chave pode ser recalculado por quem editar o manifest:
+ * sem `masterKey`, `authenticated` é sempre false.
+ *
+ * @param {Object} manifest
+ * @param {Buffer} [masterKey] - Master key usada para selar o manifest
+ * @returns {{valid: boolean, authenticated: boolean}}
+ */
+export function verifyManifestMac(manifest, masterKey) {
+  const invalid = { valid: false, authenticated: false };
+
   if (!manifest || typeof manifest !== 'object') {
-    return false;
+    return invalid;
   }
 
   const required = ['version', 'videoId', 'timestamp', 'totalChunks', 'chunkSize', 'checksum'];
   for (const field of required) {
     if (!(field in manifest)) {
-      return false;
+      return invalid;
     }
   }
 
-  // Recalcula checksum
-  const manifestCopy = { ...manifest };
-  const expectedChecksum = manifestCopy.checksum;
-  delete manifestCopy.checksum;
+  const body = getManifestBody(manifest);
+
+  if (masterKey !== undefined) {
+    const valid = typeof manifest.mac === 'string' && constantTimeCompare(
+      Buffer.from(manifest.mac, 'hex'),
+      Buffer.from(computeManifestMac(body, masterKey), 'hex')
+    );
+    return { valid, authenticated: valid };
+  }
 
-  const calculatedChecksum = crypto
+  const canonicalChecksum = crypto
     .createHash('sha256')
-    .update(JSON.stringify(manifestCopy))
+    .update(canonicalJSON(body))
     .digest('hex');
 
-  return expectedChecksum === calculatedChecksum;
+  if (manifest.checksum === canonicalChecksum) {
+    return { valid: true, authenticated: false };
+  }
+
+  // Manifests legados: checksum sobre o JSON na ordem original das chaves
+  const { checksum, ...legacyBody } = manifest;
+  const legacyChecksum = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(legacyBody))
+    .digest('hex');
+
+  return { valid: checksum === legacyChecksum, authenticated: false };
 }
 
 /**
@@ -132,6 +235,72 @@ export class HashStream extends Transform {
   }
 }
 
+/**
+ * Stream que verifica o plaintext contra um manifest
+ *
+ * Recebe os buffers decriptados (um por chunk), repassa os dados e, ao
+ * final, compara SHA-256, tamanho total e número de chunks com o manifest.
+ */
+export class ManifestVerificationStream extends Transform {
+  constructor(manifest) {
+    super({ writableObjectMode: true });
+    this.manifest = manifest;
+    this.hash = crypto.createHash('sha256');
+    this.totalSize = 0;
+    this.totalChunks = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.hash.update(chunk);
+    this.totalSize += chunk.length;
+    this.totalChunks++;
+    callback(null, chunk);
+  }
+
+  _flush(callback) {
+    const { originalHash, totalSize, totalChunks } = this.manifest;
+
+    if (this.totalChunks !== totalChunks) {
+      return callback(new IntegrityError(
+        `Número de chunks não confere com o manifest: ${this.totalChunks} (esperado ${totalChunks})`,
+        'totalChunks'
+      ));
+    }
+
+    if (this.totalSize !== totalSize) {
+      return callback(new IntegrityError(
+        `Tamanho não confere com o manifest: ${this.totalSize} bytes (esperado ${totalSize})`,
+        'totalSize'
+      ));
+    }
+
+    const hash = this.hash.digest();
+    if (!constantTimeCompare(hash, Buffer.from(String(originalHash), 'hex'))) {
+      return callback(new IntegrityError('Hash SHA-256 não confere com o manifest', 'originalHash'));
+    }
+
+    callback();
+  }
+}
+
+/**
+ * Valida um manifest antes de usá-lo na verificação pós-decriptação
+ *
+ * @param {Object} manifest
+ * @param {string} videoId
+ * @param {Buffer} masterKey - O manifest deve estar selado com HMAC por esta chave
+ * @throws {IntegrityError}
+ */
+export function assertManifest(manifest, videoId, masterKey) {
+  if (!verifyManifestMac(manifest, masterKey).authenticated) {
+    throw new IntegrityError('Manifest inválido, adulterado ou sem MAC', 'mac');
+  }
+
+  if (manifest.videoId !== videoId) {
+    throw new IntegrityError('Manifest pertence a outro vídeo', 'videoId');
+  }
+}
+
 /**
  * Verifica integridade comparando hashes
  * 
@@ -0,0 +1,119 @@
+/**
+ * Controle de uso de chaves
+ *
+ * Com IVs aleatórios de 96 bits, o NIST SP 800-38D limita cada chave a
+ * 2^32 invocações do AES-GCM. O tracker conta as invocações por chave e
+ * avisa ou recusa quando o orçamento configurado é excedido.
+ *
+ * O controle é opt-in: sem um tracker informado, nada é contado. O
+ * tracker guarda uma entrada por chave enquanto existir; em processos
+ * longos, use um por master key ou lote e persista com export().
+ */
+
+import crypto from 'crypto';
+import { CONFIG } from '../config.js';
+import { SecurityError, ValidationError } from './security.js';
+
+const POLICIES = ['warn', 'refuse'];
+
+/**
+ * Identificador da chave (não permite recuperar a chave)
+ *
+ * @param {Buffer} key
+ * @returns {string}
+ */
+function computeUsageKeyId(key) {
+  return crypto
+    .createHash('sha256')
+    .update(`${CONFIG.FORMAT.MAGIC}:key-usage:`)
+    .update(key)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Contador de invocações por chave (em memória)
+ */
+export class KeyUsageTracker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Invocações permitidas por chave (padrão: 2^32)
+   * @param {string} [options.policy] - 'warn' (padrão) ou 'refuse'
+   * @param {Object} [options.counts] - Contagens salvas por export()
+   */
+  constructor({ limit = CONFIG.CRYPTO.RANDOM_IV_LIMIT, policy = 'warn', counts = {} } = {}) {
+    if (!Number.isSafeInteger(limit) || limit < 1) {
+      throw new ValidationError('limit deve ser um inteiro positivo', 'limit');
+    }
+
+    if (!POLICIES.includes(policy)) {
+      throw new ValidationError(`Política inválida. Use: ${POLICIES.join(', ')}`, 'policy');
+    }
+
+    this.limit = limit;
+    this.policy = policy;
+    this.counts = new Map(Object.entries(counts));
+    this.warned = new Set();
+  }
+
+  /**
+   * Registra invocações de uma chave
+   *
+   * @param {Buffer} key
+   * @param {number} [count]
+   * @returns {number} - Total de invocações da chave
+   * @throws {SecurityError} - Política 'refuse' com orçamento excedido
+   */
+  record(key, count = 1) {
+    const keyId = computeUsageKeyId(key);
+    const total = (this.counts.get(keyId) || 0) + count;
+
+    if (total > this.limit) {
+      const message = `Chave excedeu o orçamento de ${this.limit} invocações com IV aleatório`;
+
+      if (this.policy === 'refuse') {
+        throw new SecurityError(message, 'KEY_USAGE_EXCEEDED');
+      }
+
+      if (!this.warned.has(keyId)) {
+        this.warned.add(keyId);
+        process.emitWarning(`${message}; rotacione a chave ou use nonces por contador`, {
+          code: 'KEY_USAGE_EXCEEDED'
+        });
+      }
+    }
+
+    this.counts.set(keyId, total);
+    return total;
+  }
+
+  /**
+   * Retorna o total de invocações registradas para a chave
+   *
+   * @param {Buffer} key
+   * @returns {number}
+   */
+  getUsage(key) {
+    return this.counts.get(computeUsageKeyId(key)) || 0;
+  }
+
+  /**
+   * Zera o contador de uma chave
+   *
+   * @param {Buffer} key
+   */
+  reset(key) {
+    const keyId = computeUsageKeyId(key);
+    this.counts.delete(keyId);
+    this.warned.delete(keyId);
+  }
+
+  /**
+   * Exporta as contagens para persistência (ver options.counts)
+   *
+   * @returns {Object}
+   */
+  export() {
+    return Object.fromEntries(this.counts);
+  }
+}
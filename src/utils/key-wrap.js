@@ -0,0 +1,158 @@
+/**
+ * Envelope encryption: data keys aleatórias embrulhadas pela master key
+ *
+ * Cada vídeo é criptografado com uma data key aleatória; apenas a versão
+ * embrulhada fica no header (extensão WRAPPED_KEY). Rotacionar a master
+ * key exige reescrever só esse registro (rewrapKey), não os chunks.
+ *
+ * A chave de embrulho (KEK) é uma subchave da chave derivada do vídeo,
+ * o que vincula o registro ao videoId nos dois algoritmos (o AES-KW não
+ * tem AAD).
+ *
+ * Registro: [algoritmo uint8][dados]
+ * - aes-kw (RFC 3394): 40 bytes
+ * - aes-gcm: IV (12) + data key cifrada (32) + tag (16)
+ */
+
+import crypto from 'crypto';
+import { CONFIG } from '../config.js';
+import { deriveVideoKey, deriveSubkey } from './hkdf.js';
+import { validateMasterKey, ValidationError, SecurityError } from './security.js';
+
+const AES_KW_CIPHER = 'id-aes256-wrap';
+const AES_KW_IV = Buffer.from('A6A6A6A6A6A6A6A6', 'hex'); // IV padrão da RFC 3394
+const WRAPPED_SIZES = {
+  'aes-kw': CONFIG.CRYPTO.KEY_LENGTH + 8,
+  'aes-gcm': CONFIG.CRYPTO.IV_LENGTH + CONFIG.CRYPTO.KEY_LENGTH + CONFIG.CRYPTO.AUTH_TAG_LENGTH
+};
+
+/**
+ * Valida o algoritmo de embrulho
+ *
+ * @param {string} algorithm
+ * @throws {ValidationError}
+ */
+export function validateKeyWrap(algorithm) {
+  if (!Object.hasOwn(CONFIG.FORMAT.KEY_WRAP, algorithm)) {
+    throw new ValidationError(
+      `Algoritmo de embrulho inválido. Use: ${Object.keys(CONFIG.FORMAT.KEY_WRAP).join(', ')}`,
+      'keyWrap'
+    );
+  }
+}
+
+/**
+ * Deriva a chave de embrulho (KEK) de um vídeo
+ *
+ * @param {Buffer} masterKey
+ * @param {string} videoId
+ * @returns {Buffer}
+ */
+function deriveWrappingKey(masterKey, videoId) {
+  return deriveSubkey(deriveVideoKey(masterKey, videoId), 'key-wrap');
+}
+
+/**
+ * Embrulha uma data key com a master key
+ *
+ * @param {Buffer} dataKey - Data key do vídeo (32 bytes)
+ * @param {Buffer} masterKey
+ * @param {string} videoId
+ * @param {Object} [options]
+ * @param {string} [options.algorithm] - 'aes-kw' (padrão) ou 'aes-gcm'
+ * @returns {Buffer} - Registro da extensão WRAPPED_KEY
+ */
+export function wrapDataKey(dataKey, masterKey, videoId, { algorithm = 'aes-kw' } = {}) {
+  validateKeyWrap(algorithm);
+  validateMasterKey(dataKey);
+
+  const kek = deriveWrappingKey(masterKey, videoId);
+  let wrapped;
+
+  if (algorithm === 'aes-kw') {
+    const cipher = crypto.createCipheriv(AES_KW_CIPHER, kek, AES_KW_IV);
+    wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  } else {
+    const iv = crypto.randomBytes(CONFIG.CRYPTO.IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', kek, iv, {
+      authTagLength: CONFIG.CRYPTO.AUTH_TAG_LENGTH
+    });
+    const ciphertext = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    wrapped = Buffer.concat([iv, ciphertext, cipher.getAuthTag()]);
+  }
+
+  return Buffer.concat([Buffer.from([CONFIG.FORMAT.KEY_WRAP[algorithm]]), wrapped]);
+}
+
+/**
+ * Identifica o algoritmo de um registro de data key embrulhada
+ *
+ * @param {Buffer} record
+ * @returns {string} - 'aes-kw' ou 'aes-gcm'
+ * @throws {Error} - Se o registro for inválido
+ */
+export function getKeyWrapAlgorithm(record) {
+  const algorithm = Buffer.isBuffer(record) && record.length > 0
+    ? Object.keys(CONFIG.FORMAT.KEY_WRAP).find(name => CONFIG.FORMAT.KEY_WRAP[name] === record[0])
+    : undefined;
+
+  if (!algorithm || record.length !== 1 + WRAPPED_SIZES[algorithm]) {
+    throw new Error('Registro de data key embrulhada inválido');
+  }
+
+  return algorithm;
+}
+
+/**
+ * Desembrulha a data key com a master key
+ *
+ * @param {Buffer} record - Registro gerado por wrapDataKey
+ * @param {Buffer} masterKey
+ * @param {string} videoId
+ * @returns {Buffer} - Data key (32 bytes)
+ * @throws {SecurityError} - KEY_UNWRAP_FAILED se a master key ou o videoId não conferem
+ */
+export function unwrapDataKey(record, masterKey, videoId) {
+  const algorithm = getKeyWrapAlgorithm(record);
+  const kek = deriveWrappingKey(masterKey, videoId);
+  const wrapped = record.slice(1);
+
+  try {
+    if (algorithm === 'aes-kw') {
+      const decipher = crypto.createDecipheriv(AES_KW_CIPHER, kek, AES_KW_IV);
+      return Buffer.concat([decipher.update(wrapped), decipher.final()]);
+    }
+
+    const iv = wrapped.slice(0, CONFIG.CRYPTO.IV_LENGTH);
+    const tag = wrapped.slice(-CONFIG.CRYPTO.AUTH_TAG_LENGTH);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', kek, iv, {
+      authTagLength: CONFIG.CRYPTO.AUTH_TAG_LENGTH
+    });
+    decipher.setAuthTag(tag);
+    return Buffer.concat([
+      decipher.update(wrapped.slice(CONFIG.CRYPTO.IV_LENGTH, -CONFIG.CRYPTO.AUTH_TAG_LENGTH)),
+      decipher.final()
+    ]);
+  } catch {
+    throw new SecurityError(
+      'Falha ao desembrulhar a data key: master key ou videoId incorretos',
+      'KEY_UNWRAP_FAILED'
+    );
+  }
+}
+
+/**
+ * Resolve a chave dos chunks de um arquivo
+ *
+ * Com data key embrulhada no header (envelope), a desembrulha; senão,
+ * deriva a chave do vídeo da master key (deriveVideoKey).
+ *
+ * @param {FileHeader|null} header - Header do arquivo (null para arquivos legados)
+ * @param {Buffer} masterKey
+ * @param {string} videoId
+ * @returns {Buffer} - Chave dos chunks (32 bytes)
+ */
+export function resolveVideoKey(header, masterKey, videoId) {
+  const record = header?.getExtension(CONFIG.FORMAT.EXTENSIONS.WRAPPED_KEY);
+  return record ? unwrapDataKey(record, masterKey, videoId) : deriveVideoKey(masterKey, videoId);
+}
@@ -0,0 +1,230 @@
+/**
+ * Padding para ocultar o tamanho do plaintext
+ *
+ * Os chunks finais do stream são completados até um "bucket" de tamanho
+ * (potência de dois, múltiplo fixo ou Padmé), de modo que arquivos com
+ * tamanhos próximos produzam o mesmo tamanho criptografado.
+ *
+ * Apenas os chunks do fim do stream recebem padding (flag PADDED,
+ * autenticada no AAD). Cada um termina com um trailer de 16 bytes,
+ * também criptografado:
+ *
+ *   [dados][zeros][totalSize uint64 BE][firstPaddedIndex uint32 BE][dataLength uint32 BE]
+ *
+ * `totalSize` e `firstPaddedIndex` permitem que a leitura com acesso
+ * aleatório calcule a posição de todos os chunks decriptando apenas o último.
+ */
+
+import { CONFIG } from '../config.js';
+import { ValidationError } from './security.js';
+
+const { SCHEMES, TARGETS, TRAILER_SIZE } = CONFIG.FORMAT.PADDING;
+
+/**
+ * Normaliza e valida a opção de padding
+ *
+ * @param {string|Object} padding - 'pow2', 'padme' ou
+ *   `{ scheme: 'pow2'|'multiple'|'padme', multiple?: number, target?: 'file'|'chunk' }`
+ * @returns {{scheme: string, multiple: number|null, target: string}}
+ * @throws {ValidationError}
+ */
+export function normalizePadding(padding) {
+  const options = typeof padding === 'string' ? { scheme: padding } : padding;
+
+  if (!options || typeof options !== 'object') {
+    throw new ValidationError('Padding deve ser string ou objeto { scheme, multiple, target }', 'padding');
+  }
+
+  const { scheme, multiple = null, target = 'file' } = options;
+
+  if (!Object.hasOwn(SCHEMES, scheme)) {
+    throw new ValidationError(`Esquema de padding inválido. Use: ${Object.keys(SCHEMES).join(', ')}`, 'padding');
+  }
+
+  if (!Object.hasOwn(TARGETS, target)) {
+    throw new ValidationError(`Alvo de padding inválido. Use: ${Object.keys(TARGETS).join(', ')}`, 'padding');
+  }
+
+  if (scheme === 'multiple') {
+    if (!Number.isInteger(multiple) || multiple < 1 || multiple > 0xFFFFFFFF) {
+      throw new ValidationError('Padding "multiple" requer um inteiro positivo em multiple', 'padding');
+    }
+  } else if (multiple !== null) {
+    throw new ValidationError(`Padding "${scheme}" não aceita multiple`, 'padding');
+  }
+
+  return { scheme, multiple, target };
+}
+
+/**
+ * Calcula o tamanho com padding (bucket) de um comprimento
+ *
+ * @param {number} length
+ * @param {Object} padding - Saída de normalizePadding
+ * @returns {number} - Menor bucket >= length
+ */
+export function paddedLength(length, { scheme, multiple }) {
+  if (length <= 1) {
+    return length;
+  }
+
+  switch (scheme) {
+    case 'pow2':
+      return 2 ** Math.ceil(Math.log2(length));
+
+    case 'multiple':
+      return Math.ceil(length / multiple) * multiple;
+
+    default: {
+      // Padmé (PURBs, Nikitin et al. 2019): overhead máximo de ~12%,
+      // decrescente com o tamanho; vaza O(log log L) bits
+      const exponent = Math.floor(Math.log2(length));
+      const exponentBits = Math.floor(Math.log2(exponent)) + 1;
+      const step = 2 ** (exponent - exponentBits);
+      return Math.ceil(length / step) * step;
+    }
+  }
+}
+
+/**
+ * Serializa a extensão PADDING do header
+ *
+ * @param {Object} padding - Saída de normalizePadding
+ * @returns {Buffer} - [scheme uint8][target uint8][multiple uint32 BE]
+ */
+export function encodePaddingExtension({ scheme, multiple, target }) {
+  const value = Buffer.alloc(6);
+  value.writeUInt8(SCHEMES[scheme], 0);
+  value.writeUInt8(TARGETS[target], 1);
+  value.writeUInt32BE(multiple ?? 0, 2);
+  return value;
+}
+
+/**
+ * Lê a extensão PADDING do header
+ *
+ * @param {Buffer} value
+ * @returns {{scheme: string, multiple: number|null, target: string}}
+ * @throws {Error} - Se a extensão for inválida
+ */
+export function decodePaddingExtension(value) {
+  const findName = (table, id) => Object.keys(table).find(name => table[name] === id);
+  const scheme = value.length === 6 ? findName(SCHEMES, value[0]) : undefined;
+  const target = value.length === 6 ? findName(TARGETS, value[1]) : undefined;
+
+  if (!scheme || !target) {
+    throw new Error('Header inválido: extensão de padding desconhecida');
+  }
+
+  try {
+    return normalizePadding({
+      scheme,
+      target,
+      multiple: scheme === 'multiple' ? value.readUInt32BE(2) : null
+    });
+  } catch {
+    throw new Error('Header inválido: extensão de padding desconhecida');
+  }
+}
+
+/**
+ * Divide o fim do stream em tamanhos de chunk (cada um comporta um trailer)
+ *
+ * @param {number} tailLength - Bytes totais dos chunks com padding
+ * @param {number} chunkSize
+ * @returns {number[]}
+ */
+function splitTail(tailLength, chunkSize) {
+  const sizes = [];
+  let remaining = tailLength;
+
+  while (remaining > 0) {
+    let size = Math.min(chunkSize, remaining);
+    // O último chunk precisa de espaço para o trailer
+    if (remaining - size > 0 && remaining - size < TRAILER_SIZE) {
+      size = remaining - TRAILER_SIZE;
+    }
+    sizes.push(size);
+    remaining -= size;
+  }
+
+  return sizes;
+}
+
+/**
+ * Monta os plaintexts dos chunks com padding do fim do stream
+ *
+ * Os dados restantes ocupam os primeiros chunks (cada um com até
+ * chunkSize - 16 bytes de dados); o restante é padding.
+ *
+ * @param {Buffer} data - Dados ainda não emitidos (até chunkSize bytes)
+ * @param {Object} params
+ * @param {number} params.totalSize - Tamanho total do plaintext
+ * @param {number} params.firstIndex - Índice do primeiro chunk com padding
+ * @param {number} params.chunkSize
+ * @param {Object} params.padding - Saída de normalizePadding
+ * @returns {Buffer[]}
+ */
+export function buildPaddedChunks(data, { totalSize, firstIndex, chunkSize, padding }) {
+  const capacity = chunkSize - TRAILER_SIZE;
+  const dataChunks = Math.max(1, Math.ceil(data.length / capacity));
+  const minimal = data.length + dataChunks * TRAILER_SIZE;
+
+  let sizes;
+  if (padding.target === 'chunk') {
+    // Completa apenas os chunks que contêm os dados restantes
+    sizes = splitTail(Math.min(paddedLength(minimal, padding), dataChunks * chunkSize), chunkSize);
+  } else {
+    // Completa o arquivo inteiro (dados + padding + trailers) até o bucket
+    const emitted = totalSize - data.length;
+    let bucket = paddedLength(emitted + minimal, padding);
+
+    for (;;) {
+      sizes = splitTail(bucket - emitted, chunkSize);
+      if (sizes.reduce((sum, size) => sum + size - TRAILER_SIZE, 0) >= data.length) {
+        break;
+      }
+      bucket = paddedLength(bucket + 1, padding);
+    }
+  }
+
+  let offset = 0;
+  return sizes.map(size => {
+    const dataLength = Math.min(data.length - offset, size - TRAILER_SIZE);
+    const chunk = Buffer.alloc(size);
+
+    data.copy(chunk, 0, offset, offset + dataLength);
+    offset += dataLength;
+
+    chunk.writeBigUInt64BE(BigInt(totalSize), size - TRAILER_SIZE);
+    chunk.writeUInt32BE(firstIndex, size - 8);
+    chunk.writeUInt32BE(dataLength, size - 4);
+    return chunk;
+  });
+}
+
+/**
+ * Remove o padding de um chunk decriptado
+ *
+ * @param {Buffer} plaintext - Plaintext de um chunk com a flag PADDED
+ * @returns {{data: Buffer, totalSize: number, firstPaddedIndex: number}}
+ * @throws {Error} - Se o trailer for inválido
+ */
+export function parsePaddedChunk(plaintext) {
+  if (plaintext.length < TRAILER_SIZE) {
+    throw new Error('Chunk com padding menor que o trailer');
+  }
+
+  const trailerOffset = plaintext.length - TRAILER_SIZE;
+  const dataLength = plaintext.readUInt32BE(plaintext.length - 4);
+
+  if (dataLength > trailerOffset) {
+    throw new Error('Trailer de padding inválido: dados excedem o chunk');
+  }
+
+  return {
+    data: plaintext.slice(0, dataLength),
+    totalSize: Number(plaintext.readBigUInt64BE(trailerOffset)),
+    firstPaddedIndex: plaintext.readUInt32BE(plaintext.length - 8)
+  };
+}
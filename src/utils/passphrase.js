@@ -0,0 +1,179 @@
+/**
+ * Master keys derivadas de passphrase (scrypt)
+ *
+ * Os parâmetros e o salt ficam em um registro auto-descritivo (JSON),
+ * que não é secreto e permite derivar a mesma chave depois:
+ *
+ *   { kdf: 'scrypt', version: 1, N, r, p, salt: <base64> }
+ *
+ * Memória usada pelo scrypt: 128 * N * r bytes; o tempo cresce
+ * linearmente com N e p.
+ */
+
+import crypto from 'crypto';
+import { CONFIG } from '../config.js';
+import { validateMasterKey, ValidationError } from './security.js';
+
+const { KDF, VERSION, SALT_LENGTH, MIN_N, MAX_MEMORY } = CONFIG.PASSPHRASE;
+
+/**
+ * Valida e normaliza a passphrase
+ *
+ * Strings são normalizadas em NFC, para que a mesma passphrase digitada
+ * em sistemas diferentes gere a mesma chave.
+ *
+ * @param {string|Buffer} passphrase
+ * @returns {Buffer}
+ * @throws {ValidationError}
+ */
+function normalizePassphrase(passphrase) {
+  if (typeof passphrase === 'string') {
+    passphrase = Buffer.from(passphrase.normalize('NFC'), 'utf8');
+  }
+
+  if (!Buffer.isBuffer(passphrase) || passphrase.length === 0) {
+    throw new ValidationError('Passphrase deve ser uma string ou Buffer não vazio', 'passphrase');
+  }
+
+  return passphrase;
+}
+
+/**
+ * Valida os parâmetros do scrypt
+ *
+ * @param {Object} params
+ * @param {number} params.N - Custo (potência de 2)
+ * @param {number} params.r - Tamanho do bloco
+ * @param {number} params.p - Paralelização
+ * @throws {ValidationError}
+ */
+export function validateScryptParams({ N, r, p }) {
+  if (!Number.isInteger(N) || N < MIN_N || (N & (N - 1)) !== 0) {
+    throw new ValidationError(`N deve ser uma potência de 2 >= ${MIN_N}`, 'N');
+  }
+
+  if (!Number.isInteger(r) || r < 1) {
+    throw new ValidationError('r deve ser um inteiro positivo', 'r');
+  }
+
+  if (!Number.isInteger(p) || p < 1 || p > 16) {
+    throw new ValidationError('p deve ser um inteiro entre 1 e 16', 'p');
+  }
+
+  if (128 * N * r > MAX_MEMORY) {
+    throw new ValidationError(`Parâmetros exigem mais de ${MAX_MEMORY} bytes de memória`, 'N');
+  }
+}
+
+/**
+ * Executa o scrypt
+ *
+ * @param {Buffer} passphrase
+ * @param {Buffer} salt
+ * @param {Object} params - { N, r, p }
+ * @returns {Promise<Buffer>}
+ */
+function scrypt(passphrase, salt, { N, r, p }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(
+      passphrase,
+      salt,
+      CONFIG.CRYPTO.KEY_LENGTH,
+      { N, r, p, maxmem: 128 * N * r + 2 ** 20 },
+      (error, key) => (error ? reject(error) : resolve(key))
+    );
+  });
+}
+
+/**
+ * Deriva uma master key de uma passphrase
+ *
+ * Sem salt, gera um aleatório (nova chave). Para derivar de novo a mesma
+ * chave, passe o registro retornado como options.
+ *
+ * @param {string|Buffer} passphrase
+ * @param {Object} [options] - Parâmetros ou registro salvo
+ * @param {Buffer|string} [options.salt] - Salt (Buffer ou base64; padrão: 16 bytes aleatórios)
+ * @param {number} [options.N] - Custo (padrão: 2^17)
+ * @param {number} [options.r] - Tamanho do bloco (padrão: 8)
+ * @param {number} [options.p] - Paralelização (padrão: 1)
+ * @returns {Promise<{masterKey: Buffer, record: Object}>}
+ * @throws {ValidationError} - Passphrase, parâmetros ou registro inválidos
+ * @throws {SecurityError} - WEAK_KEY (validateMasterKey)
+ */
+export async function deriveMasterKeyFromPassphrase(passphrase, options = {}) {
+  const {
+    kdf = KDF,
+    version = VERSION,
+    salt = crypto.randomBytes(SALT_LENGTH),
+    N = CONFIG.PASSPHRASE.N,
+    r = CONFIG.PASSPHRASE.R,
+    p = CONFIG.PASSPHRASE.P
+  } = options;
+
+  if (kdf !== KDF || version !== VERSION) {
+    throw new ValidationError(`Registro de passphrase não suportado (${kdf} v${version})`, 'kdf');
+  }
+
+  const saltBuffer = typeof salt === 'string' ? Buffer.from(salt, 'base64') : salt;
+  if (!Buffer.isBuffer(saltBuffer) || saltBuffer.length < SALT_LENGTH) {
+    throw new ValidationError(`Salt deve ter ao menos ${SALT_LENGTH} bytes`, 'salt');
+  }
+
+  validateScryptParams({ N, r, p });
+
+  const masterKey = await scrypt(normalizePassphrase(passphrase), saltBuffer, { N, r, p });
+  validateMasterKey(masterKey);
+
+  return {
+    masterKey,
+    record: { kdf: KDF, version: VERSION, N, r, p, salt: saltBuffer.toString('base64') }
+  };
+}
+
+/**
+ * Escolhe N para que a derivação leve cerca de targetMs nesta máquina
+ *
+ * Mede o scrypt com N mínimo e extrapola (o tempo é linear em N),
+ * respeitando o limite de memória e o N mínimo. Calibre na máquina que
+ * fará a derivação; o resultado vai no registro.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.targetMs] - Tempo alvo (padrão: 1000 ms)
+ * @param {number} [options.r] - Tamanho do bloco (padrão: 8)
+ * @param {number} [options.p] - Paralelização (padrão: 1)
+ * @returns {Promise<{N: number, r: number, p: number, estimatedMs: number}>}
+ */
+export async function calibrateScryptParams(options = {}) {
+  const {
+    targetMs = CONFIG.PASSPHRASE.TARGET_MS,
+    r = CONFIG.PASSPHRASE.R,
+    p = CONFIG.PASSPHRASE.P
+  } = options;
+
+  if (typeof targetMs !== 'number' || !(targetMs > 0)) {
+    throw new ValidationError('targetMs deve ser um número positivo', 'targetMs');
+  }
+
+  validateScryptParams({ N: MIN_N, r, p });
+
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const passphrase = Buffer.from('calibration');
+
+  // Menor de duas medições (a primeira inclui aquecimento)
+  let baseMs = Infinity;
+  for (let i = 0; i < 2; i++) {
+    const start = process.hrtime.bigint();
+    await scrypt(passphrase, salt, { N: MIN_N, r, p });
+    baseMs = Math.min(baseMs, Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  // Maior N cuja estimativa não passa do alvo
+  const maxN = 2 ** Math.floor(Math.log2(MAX_MEMORY / (128 * r)));
+  let N = MIN_N;
+  while (N < maxN && baseMs * (2 * N / MIN_N) <= targetMs) {
+    N *= 2;
+  }
+
+  return { N, r, p, estimatedMs: Math.round(baseMs * (N / MIN_N)) };
+}
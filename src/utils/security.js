@@ -38,6 +38,21 @@ export class SecurityError extends Error {
   }
 }
 
+export class TruncationError extends SecurityError {
+  constructor(message) {
+    super(message, 'TRUNCATED_STREAM');
+    this.name = 'TruncationError';
+  }
+}
+
+export class IntegrityError extends SecurityError {
+  constructor(message, field) {
+    super(message, 'INTEGRITY_MISMATCH');
+    this.name = 'IntegrityError';
+    this.field = field;
+  }
+}
+
 /**
  * Valida master key
  * 
@@ -199,7 +214,7 @@ export function validateEncoding(encoding) {
     throw new ValidationError('Encoding deve ser uma string', 'encoding');
   }
 
-  const validEncodings = ['binary', 'base64', 'hex'];
+  const validEncodings = ['binary', ...CONFIG.ENCODING.SUPPORTED];
   if (!validEncodings.includes(encoding)) {
     throw new ValidationError(
       `Encoding inválido. Use: ${validEncodings.join(', ')}`,
@@ -1,5 +1,6 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
+import crypto from 'crypto';
 import { createAAD, validateAAD } from '../src/utils/aad.js';
 
 test('AAD - deve criar AAD válido', () => {
@@ -67,3 +68,19 @@ test('AAD - validateAAD deve validar corretamente', () => {
   assert.strictEqual(validateAAD(null), false);
   assert.strictEqual(validateAAD('string'), false);
 });
+
+test('AAD - contexto e flags alteram o AAD', () => {
+  const context = crypto.randomBytes(32);
+  const legacy = createAAD('video-123', 0);
+  const versioned = createAAD('video-123', 0, { context });
+  const final = createAAD('video-123', 0, { context, flags: 1 });
+
+  assert.notDeepStrictEqual(legacy, versioned);
+  assert.notDeepStrictEqual(versioned, final);
+  assert.deepStrictEqual(versioned, createAAD('video-123', 0, { context, flags: 0 }));
+});
+
+test('AAD - deve rejeitar contexto inválido', () => {
+  assert.throws(() => createAAD('video-123', 0, { context: Buffer.alloc(16) }), /context deve ser/);
+  assert.throws(() => createAAD('video-123', 0, { context: Buffer.alloc(32), flags: 256 }), /flags deve ser/);
+});
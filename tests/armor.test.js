@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { crc24, ArmorEncodingStream } from '../src/core/armor.js';
+import { encryptFile, decryptFile } from '../src/core/file-crypto.js';
+import { generateMasterKey } from '../src/utils/hkdf.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const testDir = path.join(__dirname, 'temp-armor');
+
+if (!fs.existsSync(testDir)) {
+  fs.mkdirSync(testDir, { recursive: true });
+}
+
+const masterKey = generateMasterKey();
+const testData = crypto.randomBytes(3 * 1024 + 77);
+
+async function createArmored(name, options = {}) {
+  const inputPath = path.join(testDir, `${name}.bin`);
+  const outputPath = path.join(testDir, `${name}.asc`);
+  fs.writeFileSync(inputPath, testData);
+
+  await encryptFile({
+    inputPath,
+    outputPath,
+    masterKey,
+    videoId: name,
+    chunkSize: 1024,
+    encoding: 'armor',
+    ...options
+  });
+
+  return outputPath;
+}
+
+async function decryptArmored(name, inputPath) {
+  const outputPath = path.join(testDir, `${name}.dec`);
+  await decryptFile({ inputPath, outputPath, masterKey, videoId: name });
+  return fs.readFileSync(outputPath);
+}
+
+test('crc24 - valor de verificação do RFC 4880', () => {
+  assert.strictEqual(crc24(Buffer.from('123456789')), 0x21CF02);
+});
+
+for (const width of [64, 76]) {
+  test(`Armor - round-trip com ${width} colunas`, async () => {
+    const name = `armor-${width}`;
+    const armoredPath = await createArmored(name, { armorWidth: width });
+    const lines = fs.readFileSync(armoredPath, 'utf8').trim().split('\n');
+
+    const end = lines.indexOf('-----END KEYRING-VCM ENCRYPTED VIDEO-----');
+
+    assert.strictEqual(lines[0], '-----BEGIN KEYRING-VCM ENCRYPTED VIDEO-----');
+    assert.strictEqual(lines[end + 1], '-----BEGIN KEYRING-VCM LINE CHECKSUMS-----');
+    assert.strictEqual(lines[lines.length - 1], '-----END KEYRING-VCM LINE CHECKSUMS-----');
+    assert.ok(lines.includes('Chunk-Size: 1024'));
+    assert.ok(lines.includes('Version: 1'));
+    assert.match(lines[end - 1], /^=[A-Za-z0-9+/]{4}$/);
+    assert.match(lines[lines.length - 2], /^=[A-Za-z0-9+/]{4}$/);
+
+    // Corpo e checksums: linhas com exatamente `width` colunas (exceto a última)
+    const body = lines.slice(lines.indexOf('') + 1, end - 1);
+    const checksums = lines.slice(end + 3, -2);
+    assert.strictEqual(checksums.join('').length, body.length * 4);
+    for (const block of [body, checksums]) {
+      assert.ok(block.slice(0, -1).every(line => line.length === width));
+      assert.ok(block[block.length - 1].length <= width);
+    }
+
+    assert.deepStrictEqual(await decryptArmored(name, armoredPath), testData);
+  });
+}
+
+test('Armor - tolera CRLF e linhas em branco nas bordas', async () => {
+  const name = 'armor-crlf';
+  const armoredPath = await createArmored(name);
+  const text = fs.readFileSync(armoredPath, 'utf8');
+
+  fs.writeFileSync(armoredPath, '\r\n' + text.replace(/\n/g, '\r\n') + '\r\n\r\n');
+
+  assert.deepStrictEqual(await decryptArmored(name, armoredPath), testData);
+});
+
+test('Armor - CRC24 indica a linha corrompida', async () => {
+  const name = 'armor-corrupt';
+  const armoredPath = await createArmored(name);
+  const lines = fs.readFileSync(armoredPath, 'utf8').split('\n');
+
+  // Linha 10 (índice 9): troca um caractere do base64
+  const original = lines[9];
+  lines[9] = (original[0] === 'A' ? 'B' : 'A') + original.slice(1);
+  fs.writeFileSync(armoredPath, lines.join('\n'));
+
+  await assert.rejects(decryptArmored(name, armoredPath), error => {
+    assert.strictEqual(error.code, 'INTEGRITY_MISMATCH');
+    assert.strictEqual(error.line, 10);
+    assert.match(error.message, /linha 10/);
+    return true;
+  });
+});
+
+test('Armor - bloco de checksums corrompido', async () => {
+  const name = 'armor-checksums';
+  const armoredPath = await createArmored(name);
+  const lines = fs.readFileSync(armoredPath, 'utf8').split('\n');
+
+  const index = lines.indexOf('-----BEGIN KEYRING-VCM LINE CHECKSUMS-----') + 2;
+  lines[index] = (lines[index][0] === 'A' ? 'B' : 'A') + lines[index].slice(1);
+  fs.writeFileSync(armoredPath, lines.join('\n'));
+
+  await assert.rejects(decryptArmored(name, armoredPath), error => {
+    assert.strictEqual(error.code, 'INTEGRITY_MISMATCH');
+    assert.match(error.message, /CRC24 do bloco de checksums não confere/);
+    return true;
+  });
+});
+
+test('Armor - linha removida falha no CRC24 do corpo', async () => {
+  const name = 'armor-missing';
+  const armoredPath = await createArmored(name);
+  const lines = fs.readFileSync(armoredPath, 'utf8').split('\n');
+
+  // Última linha do corpo (antes do CRC24 do corpo)
+  lines.splice(lines.findIndex(line => line.startsWith('=')) - 1, 1);
+  fs.writeFileSync(armoredPath, lines.join('\n'));
+
+  await assert.rejects(decryptArmored(name, armoredPath), /CRC24 do corpo não confere/);
+});
+
+test('Armor - cabeçalho divergente do header binário', async () => {
+  const name = 'armor-header';
+  const armoredPath = await createArmored(name);
+  const text = fs.readFileSync(armoredPath, 'utf8').replace('Chunk-Size: 1024', 'Chunk-Size: 2048');
+  fs.writeFileSync(armoredPath, text);
+
+  await assert.rejects(decryptArmored(name, armoredPath), /cabeçalho Chunk-Size não confere/);
+});
+
+test('Armor - cabeçalho obrigatório ausente', async () => {
+  const name = 'armor-no-header';
+  const armoredPath = await createArmored(name);
+  const text = fs.readFileSync(armoredPath, 'utf8').replace(/^Fingerprint: .*\n/m, '');
+  fs.writeFileSync(armoredPath, text);
+
+  await assert.rejects(decryptArmored(name, armoredPath), /cabeçalho obrigatório Fingerprint ausente/);
+});
+
+test('Armor - marcador final ausente', async () => {
+  const name = 'armor-truncated';
+  const armoredPath = await createArmored(name);
+  const text = fs.readFileSync(armoredPath, 'utf8');
+  fs.writeFileSync(armoredPath, text.slice(0, text.indexOf('-----END')));
+
+  await assert.rejects(decryptArmored(name, armoredPath), { code: 'TRUNCATED_STREAM' });
+});
+
+test('Armor - largura inválida', () => {
+  assert.throws(() => new ArmorEncodingStream({ width: 80 }), { field: 'armorWidth' });
+});
+
+test('Cleanup', () => {
+  if (fs.existsSync(testDir)) {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import {
+  encodeZ85,
+  decodeZ85,
+  encodeAscii85,
+  decodeAscii85
+} from '../src/utils/base85.js';
+import { EncryptedChunk } from '../src/core/chunk-crypto.js';
+import { TextEncodingStream } from '../src/core/encryption-stream.js';
+import { TextDecodingStream } from '../src/core/decryption-stream.js';
+import { validateEncoding } from '../src/utils/security.js';
+
+test('Z85 - vetor de teste da especificação', () => {
+  const data = Buffer.from([0x86, 0x4F, 0xD2, 0x6F, 0xB5, 0x59, 0xF7, 0x5B]);
+
+  assert.strictEqual(encodeZ85(data), 'HelloWorld');
+  assert.deepStrictEqual(decodeZ85('HelloWorld'), data);
+});
+
+test('Ascii85 - vetor de teste conhecido', () => {
+  assert.strictEqual(encodeAscii85(Buffer.from('Man is d')), '9jqo^BlbD-');
+  assert.deepStrictEqual(decodeAscii85('<~9jqo^BlbD-~>'), Buffer.from('Man is d'));
+  assert.strictEqual(encodeAscii85(Buffer.alloc(8)), 'zz');
+  assert.deepStrictEqual(decodeAscii85('zz'), Buffer.alloc(8));
+});
+
+test('Base85 - round-trip com grupos parciais', () => {
+  for (let length = 0; length <= 9; length++) {
+    const data = crypto.randomBytes(length);
+
+    assert.deepStrictEqual(decodeZ85(encodeZ85(data)), data);
+    assert.deepStrictEqual(decodeAscii85(encodeAscii85(data)), data);
+  }
+
+  assert.deepStrictEqual(decodeZ85(encodeZ85(Buffer.alloc(7, 0xFF))), Buffer.alloc(7, 0xFF));
+});
+
+test('Base85 - rejeita entrada inválida', () => {
+  assert.throws(() => decodeZ85('Hello"'), { field: 'text' });
+  assert.throws(() => decodeZ85('HelloW'), /grupo final incompleto/);
+  assert.throws(() => decodeAscii85('9jzqo'), /'z' no meio/);
+  assert.throws(() => decodeAscii85('s8W-"'), /excede 32 bits/);
+});
+
+test('Base85 - overhead menor que base64', () => {
+  const data = crypto.randomBytes(4096);
+
+  assert.strictEqual(encodeZ85(data).length, 5120);
+  assert.ok(encodeZ85(data).length < data.toString('base64').length);
+});
+
+test('EncryptedChunk - toText/fromText em z85 e ascii85', () => {
+  const chunk = new EncryptedChunk(3, crypto.randomBytes(12), crypto.randomBytes(16), crypto.randomBytes(33));
+
+  for (const encoding of ['z85', 'ascii85']) {
+    const restored = EncryptedChunk.fromText(chunk.toText(encoding), encoding);
+    assert.deepStrictEqual(restored.toBuffer(), chunk.toBuffer());
+  }
+
+  validateEncoding('z85');
+  validateEncoding('ascii85');
+  assert.throws(() => validateEncoding('base85'), { field: 'encoding' });
+});
+
+test('TextEncodingStream/TextDecodingStream - z85', async () => {
+  const parts = [crypto.randomBytes(10), crypto.randomBytes(7)];
+  const encoder = new TextEncodingStream('z85');
+  const decoder = new TextDecodingStream('z85');
+  const output = [];
+
+  encoder.pipe(decoder).on('data', chunk => output.push(chunk));
+  parts.forEach(part => encoder.write(part));
+  encoder.end();
+  await new Promise(resolve => decoder.on('end', resolve));
+
+  assert.deepStrictEqual(output, parts);
+});
@@ -4,9 +4,12 @@ import crypto from 'crypto';
 import {
   EncryptedChunk,
   encryptChunk,
-  decryptChunk
+  decryptChunk,
+  computeKeyCommitment
 } from '../src/core/chunk-crypto.js';
+import { FileHeader } from '../src/core/file-header.js';
 import { generateMasterKey, deriveVideoKey } from '../src/utils/hkdf.js';
+import { CONFIG } from '../src/config.js';
 
 test('EncryptedChunk - serialização/deserialização binária', () => {
   const chunk = new EncryptedChunk(
@@ -200,3 +203,136 @@ test('Chunk Crypto - decryptChunk deve validar tipo do chunk', () => {
     /encryptedChunk deve ser instância de EncryptedChunk/
   );
 });
+
+test('EncryptedChunk - flags são serializadas no byte alto do índice', () => {
+  const chunk = new EncryptedChunk(
+    42,
+    crypto.randomBytes(12),
+    crypto.randomBytes(16),
+    Buffer.from('final'),
+    CONFIG.FORMAT.CHUNK_FLAGS.FINAL
+  );
+
+  const restored = EncryptedChunk.fromBuffer(chunk.toBuffer());
+
+  assert.strictEqual(restored.index, 42);
+  assert.strictEqual(restored.flags, CONFIG.FORMAT.CHUNK_FLAGS.FINAL);
+  assert.strictEqual(restored.isFinal, true);
+});
+
+test('Chunk Crypto - flag FINAL é autenticada no formato com header', () => {
+  const masterKey = generateMasterKey();
+  const videoId = 'video-final';
+  const videoKey = deriveVideoKey(masterKey, videoId);
+  const header = FileHeader.create({ videoId });
+
+  const encrypted = encryptChunk(Buffer.from('dados'), videoKey, videoId, 3, {
+    header,
+    flags: CONFIG.FORMAT.CHUNK_FLAGS.FINAL
+  });
+
+  assert.deepStrictEqual(decryptChunk(encrypted, videoKey, videoId, { header }), Buffer.from('dados'));
+
+  // Remover a flag invalida a autenticação
+  encrypted.flags = 0;
+  assert.throws(() => decryptChunk(encrypted, videoKey, videoId, { header }), /Falha na autenticação/);
+});
+
+test('Chunk Crypto - chunk com header não decripta no modo legado', () => {
+  const masterKey = generateMasterKey();
+  const videoId = 'video-downgrade';
+  const videoKey = deriveVideoKey(masterKey, videoId);
+  const header = FileHeader.create({ videoId });
+
+  const encrypted = encryptChunk(Buffer.from('dados'), videoKey, videoId, 0, { header });
+
+  assert.throws(() => decryptChunk(encrypted, videoKey, videoId), /Falha na autenticação/);
+});
+
+test('Chunk Crypto - chunk final pode ser vazio', () => {
+  const masterKey = generateMasterKey();
+  const videoId = 'video-empty';
+  const videoKey = deriveVideoKey(masterKey, videoId);
+  const header = FileHeader.create({ videoId });
+
+  const encrypted = encryptChunk(Buffer.alloc(0), videoKey, videoId, 0, {
+    header,
+    flags: CONFIG.FORMAT.CHUNK_FLAGS.FINAL
+  });
+
+  assert.strictEqual(decryptChunk(encrypted, videoKey, videoId, { header }).length, 0);
+  assert.throws(() => encryptChunk(Buffer.alloc(0), videoKey, videoId, 1, { header }), /não pode estar vazio/);
+});
+
+test('Chunk Crypto - nonce por contador deriva o IV do header', () => {
+  const videoKey = deriveVideoKey(generateMasterKey(), 'video-counter');
+  const header = FileHeader.create({ videoId: 'video-counter', nonce: 'counter' });
+  const prefix = header.getExtension(CONFIG.FORMAT.EXTENSIONS.NONCE_PREFIX);
+
+  const chunk = encryptChunk(Buffer.from('dados'), videoKey, 'video-counter', 7, { header });
+
+  assert.deepStrictEqual(chunk.iv.slice(0, 8), prefix);
+  assert.strictEqual(chunk.iv.readUInt32BE(8), 7);
+  assert.deepStrictEqual(decryptChunk(chunk, videoKey, 'video-counter', { header }), Buffer.from('dados'));
+
+  // IV fora do contador é rejeitado
+  const forged = EncryptedChunk.fromBuffer(chunk.toBuffer());
+  forged.iv = crypto.randomBytes(12);
+  assert.throws(() => decryptChunk(forged, videoKey, 'video-counter', { header }), { code: 'NONCE_MISMATCH' });
+});
+
+test('Chunk Crypto - compromisso de chave rejeita chave diferente', () => {
+  const videoKey = deriveVideoKey(generateMasterKey(), 'video-commit');
+  const otherKey = deriveVideoKey(generateMasterKey(), 'video-commit');
+  const header = FileHeader.create({ videoId: 'video-commit' });
+  header.setExtension(CONFIG.FORMAT.EXTENSIONS.KEY_COMMITMENT, computeKeyCommitment(videoKey));
+
+  assert.strictEqual(header.hasKeyCommitment, true);
+  assert.strictEqual(computeKeyCommitment(videoKey).length, CONFIG.FORMAT.KEY_COMMITMENT_SIZE);
+
+  const chunk = encryptChunk(Buffer.from('dados'), videoKey, 'video-commit', 0, { header });
+  assert.deepStrictEqual(decryptChunk(chunk, videoKey, 'video-commit', { header }), Buffer.from('dados'));
+
+  assert.throws(
+    () => decryptChunk(chunk, otherKey, 'video-commit', { header }),
+    { code: 'KEY_COMMITMENT_MISMATCH' }
+  );
+  assert.throws(
+    () => encryptChunk(Buffer.from('dados'), otherKey, 'video-commit', 1, { header }),
+    { code: 'KEY_COMMITMENT_MISMATCH' }
+  );
+});
+
+test('Chunk Crypto - ChaCha20-Poly1305', () => {
+  const videoKey = deriveVideoKey(generateMasterKey(), 'video-chacha');
+  const plaintext = Buffer.from('dados sem AES-NI');
+
+  const chunk = encryptChunk(plaintext, videoKey, 'video-chacha', 0, { algorithm: 'chacha20-poly1305' });
+  assert.deepStrictEqual(
+    decryptChunk(chunk, videoKey, 'video-chacha', { algorithm: 'chacha20-poly1305' }),
+    plaintext
+  );
+
+  // Cipher errado não autentica
+  assert.throws(() => decryptChunk(chunk, videoKey, 'video-chacha'), /Falha na autenticação/);
+  assert.throws(
+    () => encryptChunk(plaintext, videoKey, 'video-chacha', 0, { algorithm: 'des-ede3' }),
+    { field: 'algorithm' }
+  );
+});
+
+test('Chunk Crypto - cipher do header prevalece', () => {
+  const videoKey = deriveVideoKey(generateMasterKey(), 'video-chacha');
+  const header = FileHeader.create({ videoId: 'video-chacha', algorithm: 'chacha20-poly1305' });
+
+  const chunk = encryptChunk(Buffer.from('dados'), videoKey, 'video-chacha', 0, { header });
+  assert.deepStrictEqual(decryptChunk(chunk, videoKey, 'video-chacha', { header }), Buffer.from('dados'));
+
+  const restored = FileHeader.fromBuffer(header.toBuffer());
+  assert.strictEqual(restored.algorithm, 'chacha20-poly1305');
+
+  assert.throws(
+    () => encryptChunk(Buffer.from('dados'), videoKey, 'video-chacha', 1, { header, algorithm: 'aes-256-gcm' }),
+    { field: 'algorithm' }
+  );
+});
@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  ChunkIndex,
+  readChunkIndex,
+  readIndexedChunk
+} from '../src/core/chunk-index.js';
+import { FileHeader } from '../src/core/file-header.js';
+import { decryptChunk } from '../src/core/chunk-crypto.js';
+import { encryptFile, decryptFile } from '../src/core/file-crypto.js';
+import { generateMasterKey, deriveVideoKey } from '../src/utils/hkdf.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const testDir = path.join(__dirname, 'temp-index');
+
+if (!fs.existsSync(testDir)) {
+  fs.mkdirSync(testDir, { recursive: true });
+}
+
+test('ChunkIndex - serialização/deserialização', () => {
+  const videoKey = deriveVideoKey(generateMasterKey(), 'video-index');
+  const header = FileHeader.create({ videoId: 'video-index' });
+  const index = new ChunkIndex();
+
+  index.add(22, 1024);
+  index.add(22 + 4 + 32 + 1024, 512);
+  index.seal(videoKey, header);
+
+  const restored = ChunkIndex.fromBuffer(index.toBuffer());
+
+  assert.strictEqual(restored.count, 2);
+  assert.deepStrictEqual(restored.getEntry(1), { offset: 22 + 4 + 32 + 1024, length: 512 });
+  assert.doesNotThrow(() => restored.verify(videoKey, header));
+});
+
+test('ChunkIndex - MAC deve detectar adulteração', () => {
+  const videoKey = deriveVideoKey(generateMasterKey(), 'video-index');
+  const header = FileHeader.create({ videoId: 'video-index' });
+  const index = new ChunkIndex();
+
+  index.add(22, 1024);
+  index.seal(videoKey, header);
+
+  const tampered = index.toBuffer();
+  tampered[7] ^= 0x01; // Altera o offset da entrada 0
+
+  assert.throws(
+    () => ChunkIndex.fromBuffer(tampered).verify(videoKey, header),
+    { code: 'INDEX_AUTH_FAILED' }
+  );
+
+  const otherKey = deriveVideoKey(generateMasterKey(), 'video-index');
+  assert.throws(() => index.verify(otherKey, header), { code: 'INDEX_AUTH_FAILED' });
+});
+
+test('encryptFile com index - acesso direto a um chunk', async () => {
+  const inputPath = path.join(testDir, 'indexed.bin');
+  const encryptedPath = path.join(testDir, 'indexed.enc');
+  const decryptedPath = path.join(testDir, 'indexed.dec');
+  const testData = crypto.randomBytes(20 * 1024 + 100);
+  fs.writeFileSync(inputPath, testData);
+
+  const masterKey = generateMasterKey();
+  const videoId = 'video-indexed';
+  const chunkSize = 2048;
+
+  const stats = await encryptFile({
+    inputPath,
+    outputPath: encryptedPath,
+    masterKey,
+    videoId,
+    chunkSize,
+    index: true
+  });
+
+  const videoKey = deriveVideoKey(masterKey, videoId);
+  const { header, index } = await readChunkIndex(encryptedPath, videoKey, videoId);
+
+  assert.strictEqual(index.count, stats.totalChunks);
+
+  // Lê o chunk 7 sem percorrer os anteriores
+  const handle = await fs.promises.open(encryptedPath, 'r');
+  const chunk = await readIndexedChunk(handle, index.getEntry(7));
+  await handle.close();
+
+  assert.strictEqual(chunk.index, 7);
+  assert.deepStrictEqual(
+    decryptChunk(chunk, videoKey, videoId, { header }),
+    testData.slice(7 * chunkSize, 8 * chunkSize)
+  );
+
+  // O arquivo continua decriptável de forma sequencial
+  await decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId });
+  assert.deepStrictEqual(fs.readFileSync(decryptedPath), testData);
+});
+
+test('decryptFile - trailer de índice adulterado deve falhar', async () => {
+  const inputPath = path.join(testDir, 'indexed-tamper.bin');
+  const encryptedPath = path.join(testDir, 'indexed-tamper.enc');
+  const decryptedPath = path.join(testDir, 'indexed-tamper.dec');
+  fs.writeFileSync(inputPath, crypto.randomBytes(5000));
+
+  const masterKey = generateMasterKey();
+  const videoId = 'video-indexed-tamper';
+
+  await encryptFile({ inputPath, outputPath: encryptedPath, masterKey, videoId, chunkSize: 1024, index: true });
+
+  // Altera o tamanho registrado de uma entrada (último byte da entrada 0)
+  const encrypted = fs.readFileSync(encryptedPath);
+  const trailerLength = encrypted.readUInt32BE(encrypted.length - 8);
+  encrypted[encrypted.length - trailerLength + 4 + 11] ^= 0x01;
+  fs.writeFileSync(encryptedPath, encrypted);
+
+  await assert.rejects(
+    decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId }),
+    { code: 'INDEX_AUTH_FAILED' }
+  );
+});
+
+test('encryptFile - index exige encoding binary', async () => {
+  const inputPath = path.join(testDir, 'indexed-text.bin');
+  fs.writeFileSync(inputPath, crypto.randomBytes(2048));
+
+  await assert.rejects(
+    encryptFile({
+      inputPath,
+      outputPath: path.join(testDir, 'indexed-text.enc'),
+      masterKey: generateMasterKey(),
+      videoId: 'video-text',
+      encoding: 'base64',
+      index: true
+    }),
+    /Índice de chunks requer encoding binary/
+  );
+});
+
+test('Cleanup', () => {
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import { compressChunk, decompressChunk, validateCompression } from '../src/utils/compression.js';
+import { FileHeader } from '../src/core/file-header.js';
+import { EncryptionStream } from '../src/core/encryption-stream.js';
+import { decryptChunk, EncryptedChunk } from '../src/core/chunk-crypto.js';
+import { generateMasterKey, deriveVideoKey } from '../src/utils/hkdf.js';
+import { CONFIG } from '../src/config.js';
+
+const compressible = Buffer.from('aula de criptografia '.repeat(200));
+
+for (const algorithm of ['gzip', 'deflate', 'brotli']) {
+  test(`Compressão - round-trip ${algorithm}`, () => {
+    const compressed = compressChunk(compressible, algorithm);
+
+    assert.ok(compressed.length < compressible.length);
+    assert.deepStrictEqual(decompressChunk(compressed, algorithm, compressible.length), compressible);
+  });
+}
+
+test('Compressão - dados incompressíveis não são comprimidos', () => {
+  assert.strictEqual(compressChunk(crypto.randomBytes(1024), 'gzip'), null);
+  assert.strictEqual(compressChunk(Buffer.alloc(0), 'gzip'), null);
+});
+
+test('Compressão - limita o tamanho descomprimido', () => {
+  const bomb = compressChunk(Buffer.alloc(64 * 1024), 'deflate');
+
+  assert.throws(() => decompressChunk(bomb, 'deflate', 1024), /Falha na descompressão/);
+});
+
+test('Compressão - algoritmo inválido', () => {
+  assert.throws(() => validateCompression('lzma'), { field: 'compression' });
+  assert.throws(() => FileHeader.create({ videoId: 'video', compression: 'zstd' }), { field: 'compression' });
+});
+
+test('Compressão - EncryptionStream comprime cada chunk e reporta a razão', async () => {
+  const videoId = 'video-compress';
+  const videoKey = deriveVideoKey(generateMasterKey(), videoId);
+  const header = FileHeader.create({ videoId, chunkSize: 1024 });
+  const stream = new EncryptionStream(videoKey, videoId, { header, compression: 'brotli' });
+
+  const outputs = [];
+  stream.on('data', item => outputs.push(item));
+  stream.end(compressible);
+  await new Promise((resolve, reject) => stream.on('end', resolve).on('error', reject));
+
+  assert.strictEqual(header.compression, 'brotli');
+  assert.strictEqual(FileHeader.fromBuffer(header.toBuffer()).compression, 'brotli');
+
+  const chunks = outputs.filter(item => item instanceof EncryptedChunk);
+  assert.ok(chunks.every(chunk => chunk.flags & CONFIG.FORMAT.CHUNK_FLAGS.COMPRESSED));
+
+  const plaintext = Buffer.concat(chunks.map(chunk => decryptChunk(chunk, videoKey, videoId, { header })));
+  assert.deepStrictEqual(plaintext, compressible);
+
+  const stats = stream.getStats();
+  assert.strictEqual(stats.bytesProcessed, compressible.length);
+  assert.ok(stats.compressionRatio > 1);
+});
+
+test('Compressão - flag COMPRESSED é autenticada', async () => {
+  const videoId = 'video-compress';
+  const videoKey = deriveVideoKey(generateMasterKey(), videoId);
+  const header = FileHeader.create({ videoId, chunkSize: 1024, compression: 'gzip' });
+  const stream = new EncryptionStream(videoKey, videoId, { header });
+
+  const chunks = [];
+  stream.on('data', item => item instanceof EncryptedChunk && chunks.push(item));
+  stream.end(compressible.slice(0, 1000));
+  await new Promise((resolve, reject) => stream.on('end', resolve).on('error', reject));
+
+  const forged = EncryptedChunk.fromBuffer(chunks[0].toBuffer());
+  forged.flags &= ~CONFIG.FORMAT.CHUNK_FLAGS.COMPRESSED;
+
+  assert.throws(() => decryptChunk(forged, videoKey, videoId, { header }), /Falha na autenticação/);
+});
+
+test('Compressão - requer header', () => {
+  const videoKey = deriveVideoKey(generateMasterKey(), 'video');
+
+  assert.throws(() => new EncryptionStream(videoKey, 'video', { compression: 'gzip' }), { field: 'compression' });
+});
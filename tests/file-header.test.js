@@ -0,0 +1,148 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import { FileHeader, computeVideoFingerprint } from '../src/core/file-header.js';
+import { EncryptionStream, ChunkSerializationStream } from '../src/core/encryption-stream.js';
+import { DecryptionStream, ChunkDeserializationStream } from '../src/core/decryption-stream.js';
+import { EncryptedChunk } from '../src/core/chunk-crypto.js';
+import { generateMasterKey, deriveVideoKey } from '../src/utils/hkdf.js';
+import { CONFIG } from '../src/config.js';
+
+async function collect(stream, input) {
+  const output = [];
+  stream.on('data', item => output.push(item));
+  const done = new Promise((resolve, reject) => {
+    stream.on('end', resolve);
+    stream.on('error', reject);
+  });
+
+  for (const item of input) {
+    stream.write(item);
+  }
+  stream.end();
+
+  await done;
+  return output;
+}
+
+test('FileHeader - serialização/deserialização', () => {
+  const header = FileHeader.create({ videoId: 'video-header', chunkSize: 4096 });
+  const buffer = header.toBuffer();
+
+  assert.strictEqual(buffer.length, CONFIG.FORMAT.FIXED_SIZE);
+  assert.strictEqual(buffer.slice(0, 4).toString('ascii'), 'KVCM');
+
+  const restored = FileHeader.fromBuffer(buffer);
+  assert.strictEqual(restored.version, CONFIG.FORMAT.VERSION);
+  assert.strictEqual(restored.algorithm, 'aes-256-gcm');
+  assert.strictEqual(restored.chunkSize, 4096);
+  assert.deepStrictEqual(restored.fingerprint, computeVideoFingerprint('video-header'));
+});
+
+test('FileHeader - deve preservar extensões', () => {
+  const header = FileHeader.create({ videoId: 'video-ext' });
+  header.setExtension(7, Buffer.from('valor'));
+  header.setExtension(9, Buffer.alloc(0));
+
+  const restored = FileHeader.fromBuffer(header.toBuffer());
+
+  assert.deepStrictEqual(restored.getExtension(7), Buffer.from('valor'));
+  assert.deepStrictEqual(restored.getExtension(9), Buffer.alloc(0));
+  assert.strictEqual(restored.size, header.size);
+});
+
+test('FileHeader - deve rejeitar versão e cipher desconhecidos', () => {
+  const buffer = FileHeader.create({ videoId: 'video-v' }).toBuffer();
+
+  const badVersion = Buffer.from(buffer);
+  badVersion.writeUInt8(99, 4);
+  assert.throws(() => FileHeader.fromBuffer(badVersion), /Versão de formato não suportada/);
+
+  const badCipher = Buffer.from(buffer);
+  badCipher.writeUInt8(200, 5);
+  assert.throws(() => FileHeader.fromBuffer(badCipher), /Cipher não suportado/);
+});
+
+test('FileHeader - deve rejeitar extensão truncada', () => {
+  const buffer = FileHeader.create({ videoId: 'video-t' })
+    .setExtension(1, Buffer.alloc(10))
+    .toBuffer();
+
+  // Declara mais bytes de extensão do que o valor contém
+  const truncated = Buffer.from(buffer);
+  truncated.writeUInt16BE(50, CONFIG.FORMAT.FIXED_SIZE + 1);
+
+  assert.throws(() => FileHeader.fromBuffer(truncated), /extensão truncada/);
+});
+
+test('FileHeader - modo de nonce registrado nas extensões', () => {
+  const random = FileHeader.create({ videoId: 'video-nonce' });
+  const counter = FileHeader.create({ videoId: 'video-nonce', nonce: 'counter' });
+
+  assert.strictEqual(random.nonceMode, 'random');
+  assert.strictEqual(counter.nonceMode, 'counter');
+  assert.strictEqual(FileHeader.fromBuffer(counter.toBuffer()).nonceMode, 'counter');
+
+  // Cada header recebe um prefixo novo
+  const other = FileHeader.create({ videoId: 'video-nonce', nonce: 'counter' });
+  assert.notDeepStrictEqual(
+    other.getExtension(CONFIG.FORMAT.EXTENSIONS.NONCE_PREFIX),
+    counter.getExtension(CONFIG.FORMAT.EXTENSIONS.NONCE_PREFIX)
+  );
+
+  const invalid = FileHeader.create({ videoId: 'video-nonce' })
+    .setExtension(CONFIG.FORMAT.EXTENSIONS.NONCE_PREFIX, Buffer.alloc(4));
+  assert.throws(() => FileHeader.fromBuffer(invalid.toBuffer()), /prefixo de nonce/);
+  assert.throws(() => FileHeader.create({ videoId: 'video-nonce', nonce: 'fixed' }), /Modo de nonce inválido/);
+});
+
+test('EncryptionStream - header com nonce por contador não pode ser reutilizado', () => {
+  const videoKey = deriveVideoKey(generateMasterKey(), 'video-nonce');
+  const header = FileHeader.create({ videoId: 'video-nonce', nonce: 'counter' });
+
+  new EncryptionStream(videoKey, 'video-nonce', { header });
+  assert.throws(
+    () => new EncryptionStream(videoKey, 'video-nonce', { header }),
+    { code: 'NONCE_REUSE' }
+  );
+});
+
+test('FileHeader - fingerprint identifica o videoId', () => {
+  const header = FileHeader.create({ videoId: 'video-a' });
+
+  assert.strictEqual(header.matchesVideoId('video-a'), true);
+  assert.strictEqual(header.matchesVideoId('video-b'), false);
+  assert.throws(() => header.assertVideoId('video-b'), { code: 'VIDEO_ID_MISMATCH' });
+});
+
+test('Streams com header - roundtrip e header emitido pelo deserializador', async () => {
+  const masterKey = generateMasterKey();
+  const videoKey = deriveVideoKey(masterKey, 'video-stream');
+  const header = FileHeader.create({ videoId: 'video-stream', chunkSize: 1024 });
+  const plaintext = crypto.randomBytes(3000);
+
+  const encrypted = await collect(new EncryptionStream(videoKey, 'video-stream', { header }), [plaintext]);
+  assert.ok(encrypted[0] instanceof FileHeader);
+
+  const serialized = await collect(new ChunkSerializationStream(), encrypted);
+  const deserializer = new ChunkDeserializationStream();
+  const objects = await collect(deserializer, [Buffer.concat(serialized)]);
+
+  assert.ok(objects[0] instanceof FileHeader);
+  assert.strictEqual(deserializer.header.chunkSize, 1024);
+  assert.ok(objects.slice(1).every(item => item instanceof EncryptedChunk));
+
+  const decrypted = await collect(new DecryptionStream(videoKey, 'video-stream'), objects);
+  assert.deepStrictEqual(Buffer.concat(decrypted), plaintext);
+});
+
+test('DecryptionStream - deve rejeitar header de outro vídeo', async () => {
+  const masterKey = generateMasterKey();
+  const videoKey = deriveVideoKey(masterKey, 'video-1');
+  const header = FileHeader.create({ videoId: 'video-2' });
+
+  await assert.rejects(
+    collect(new DecryptionStream(videoKey, 'video-1'), [header]),
+    /pertence a outro vídeo/
+  );
+});
@@ -4,7 +4,8 @@ import {
   generateMasterKey,
   deriveVideoKey,
   exportMasterKey,
-  importMasterKey
+  importMasterKey,
+  deriveSubkey
 } from '../src/utils/hkdf.js';
 import { CONFIG } from '../src/config.js';
 
@@ -95,3 +96,16 @@ test('HKDF - deriveVideoKey deve validar videoId', () => {
     /Video ID é obrigatório/
   );
 });
+
+test('deriveSubkey - subchaves independentes por propósito', () => {
+  const key = generateMasterKey();
+
+  const a = deriveSubkey(key, 'chunk-index');
+  const b = deriveSubkey(key, 'manifest');
+
+  assert.strictEqual(a.length, 32);
+  assert.deepStrictEqual(a, deriveSubkey(key, 'chunk-index'));
+  assert.notDeepStrictEqual(a, b);
+  assert.notDeepStrictEqual(a, key);
+  assert.throws(() => deriveSubkey(key, ''), /label deve ser/);
+});
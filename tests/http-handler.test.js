@@ -0,0 +1,241 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createVideoRequestHandler, parseRange } from '../src/core/http-handler.js';
+import { encryptFile } from '../src/core/file-crypto.js';
+import { EncryptedVideoReader } from '../src/core/video-reader.js';
+import { generateMasterKey } from '../src/utils/hkdf.js';
+import { RateLimiter } from '../src/utils/security.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const testDir = path.join(__dirname, 'temp-http');
+
+const masterKey = generateMasterKey();
+const testData = crypto.randomBytes(5 * 1024 + 123);
+let handler;
+let server;
+let baseUrl;
+
+before(async () => {
+  fs.mkdirSync(testDir, { recursive: true });
+
+  const inputPath = path.join(testDir, 'video.bin');
+  fs.writeFileSync(inputPath, testData);
+  await encryptFile({
+    inputPath,
+    outputPath: path.join(testDir, 'video-http.enc'),
+    masterKey,
+    videoId: 'video-http',
+    chunkSize: 1024,
+    index: true
+  });
+
+  handler = createVideoRequestHandler({
+    masterKey,
+    resolveFile: (videoId) => {
+      const filePath = path.join(testDir, `${videoId}.enc`);
+      return fs.existsSync(filePath) ? filePath : null;
+    },
+    rateLimiter: new RateLimiter(1000, 60000)
+  });
+
+  server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/videos`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await handler.close();
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
+
+test('parseRange - formatos suportados', () => {
+  assert.deepStrictEqual(parseRange('bytes=0-99', 1000), { start: 0, end: 99 });
+  assert.deepStrictEqual(parseRange('bytes=900-', 1000), { start: 900, end: 999 });
+  assert.deepStrictEqual(parseRange('bytes=-100', 1000), { start: 900, end: 999 });
+  assert.deepStrictEqual(parseRange('bytes=500-5000', 1000), { start: 500, end: 999 });
+  assert.strictEqual(parseRange('bytes=1000-', 1000), -1);
+  assert.strictEqual(parseRange('bytes=-0', 1000), -1);
+  assert.strictEqual(parseRange('bytes=0-1,5-9', 1000), null);
+  assert.strictEqual(parseRange('items=0-1', 1000), null);
+  assert.strictEqual(parseRange('bytes=9-1', 1000), null);
+});
+
+test('GET - deve servir o vídeo completo', async () => {
+  const response = await fetch(`${baseUrl}/video-http`);
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('accept-ranges'), 'bytes');
+  assert.strictEqual(response.headers.get('content-length'), String(testData.length));
+  assert.deepStrictEqual(Buffer.from(await response.arrayBuffer()), testData);
+});
+
+test('GET com Range - deve responder 206 com o intervalo', async () => {
+  const response = await fetch(`${baseUrl}/video-http`, { headers: { Range: 'bytes=1000-3047' } });
+
+  assert.strictEqual(response.status, 206);
+  assert.strictEqual(response.headers.get('content-range'), `bytes 1000-3047/${testData.length}`);
+  assert.strictEqual(response.headers.get('content-length'), '2048');
+  assert.deepStrictEqual(Buffer.from(await response.arrayBuffer()), testData.slice(1000, 3048));
+});
+
+test('GET com Range não satisfazível - deve responder 416', async () => {
+  const response = await fetch(`${baseUrl}/video-http`, {
+    headers: { Range: `bytes=${testData.length}-` }
+  });
+
+  assert.strictEqual(response.status, 416);
+  assert.strictEqual(response.headers.get('content-range'), `bytes */${testData.length}`);
+  await response.arrayBuffer();
+});
+
+test('If-Range - intervalo só é respeitado se o ETag confere', async () => {
+  const { headers } = await fetch(`${baseUrl}/video-http`, { method: 'HEAD' });
+  const etag = headers.get('etag');
+
+  const matching = await fetch(`${baseUrl}/video-http`, {
+    headers: { Range: 'bytes=0-9', 'If-Range': etag }
+  });
+  assert.strictEqual(matching.status, 206);
+  await matching.arrayBuffer();
+
+  const stale = await fetch(`${baseUrl}/video-http`, {
+    headers: { Range: 'bytes=0-9', 'If-Range': '"outro-etag"' }
+  });
+  assert.strictEqual(stale.status, 200);
+  assert.deepStrictEqual(Buffer.from(await stale.arrayBuffer()), testData);
+});
+
+test('HEAD - deve retornar headers sem corpo', async () => {
+  const response = await fetch(`${baseUrl}/video-http`, {
+    method: 'HEAD',
+    headers: { Range: 'bytes=-100' }
+  });
+
+  assert.strictEqual(response.status, 206);
+  assert.strictEqual(response.headers.get('content-length'), '100');
+  assert.strictEqual((await response.arrayBuffer()).byteLength, 0);
+});
+
+test('Erros - 404, 400 e 405', async () => {
+  const missing = await fetch(`${baseUrl}/nao-existe`);
+  assert.strictEqual(missing.status, 404);
+
+  const invalid = await fetch(`${baseUrl}/${encodeURIComponent('video inválido')}`);
+  assert.strictEqual(invalid.status, 400);
+
+  const method = await fetch(`${baseUrl}/video-http`, { method: 'POST' });
+  assert.strictEqual(method.status, 405);
+  assert.strictEqual(method.headers.get('allow'), 'GET, HEAD');
+});
+
+test('Arquivo truncado - responde 500 sem Content-Length parcial', async () => {
+  const filePath = path.join(testDir, 'video-truncated.enc');
+  await encryptFile({
+    inputPath: path.join(testDir, 'video.bin'),
+    outputPath: filePath,
+    masterKey,
+    videoId: 'video-truncated',
+    chunkSize: 1024
+  });
+
+  // Remove o último registro (123 bytes de plaintext), no limite de um chunk
+  const encrypted = fs.readFileSync(filePath);
+  fs.writeFileSync(filePath, encrypted.slice(0, encrypted.length - (4 + 32 + 123)));
+
+  const response = await fetch(`${baseUrl}/video-truncated`);
+  assert.strictEqual(response.status, 500);
+  assert.strictEqual(response.headers.get('content-length'), '0');
+  await response.arrayBuffer();
+});
+
+test('RateLimiter - deve responder 429 ao exceder o limite', async () => {
+  const handler = createVideoRequestHandler({
+    masterKey,
+    resolveFile: () => path.join(testDir, 'video-http.enc'),
+    rateLimiter: new RateLimiter(1, 60000)
+  });
+  const limited = http.createServer(handler);
+  await new Promise(resolve => limited.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${limited.address().port}/video-http`;
+
+  try {
+    const first = await fetch(url, { method: 'HEAD' });
+    const second = await fetch(url, { method: 'HEAD' });
+
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(second.status, 429);
+  } finally {
+    await new Promise(resolve => limited.close(resolve));
+    await handler.close();
+  }
+});
+
+test('Leitores - reaproveitados entre requisições até o arquivo mudar', async () => {
+  for (const name of ['video-cache-a', 'video-cache-b']) {
+    await encryptFile({
+      inputPath: path.join(testDir, 'video.bin'),
+      outputPath: path.join(testDir, `${name}.enc`),
+      masterKey,
+      videoId: name,
+      chunkSize: 1024
+    });
+  }
+
+  const cached = createVideoRequestHandler({
+    masterKey,
+    resolveFile: (videoId) => path.join(testDir, `${videoId}.enc`),
+    maxOpenReaders: 1
+  });
+  const cachedServer = http.createServer(cached);
+  await new Promise(resolve => cachedServer.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${cachedServer.address().port}`;
+
+  const open = EncryptedVideoReader.open;
+  let opened = 0;
+  EncryptedVideoReader.open = (options) => {
+    opened++;
+    return open.call(EncryptedVideoReader, options);
+  };
+
+  const fetchRange = async (videoId, range) => {
+    const response = await fetch(`${url}/${videoId}`, { headers: { Range: range } });
+    assert.strictEqual(response.status, 206);
+    return Buffer.from(await response.arrayBuffer());
+  };
+
+  try {
+    assert.deepStrictEqual(await fetchRange('video-cache-a', 'bytes=0-99'), testData.slice(0, 100));
+    assert.deepStrictEqual(await fetchRange('video-cache-a', 'bytes=2000-2999'), testData.slice(2000, 3000));
+    assert.strictEqual(opened, 1);
+
+    // Arquivo alterado (novo ETag): o leitor é reaberto
+    const future = new Date(Date.now() + 60000);
+    fs.utimesSync(path.join(testDir, 'video-cache-a.enc'), future, future);
+    await fetchRange('video-cache-a', 'bytes=0-9');
+    assert.strictEqual(opened, 2);
+
+    // maxOpenReaders: 1 → abrir outro vídeo descarta o primeiro
+    await fetchRange('video-cache-b', 'bytes=0-9');
+    await fetchRange('video-cache-a', 'bytes=0-9');
+    assert.strictEqual(opened, 4);
+  } finally {
+    EncryptedVideoReader.open = open;
+    await new Promise(resolve => cachedServer.close(resolve));
+    await cached.close();
+  }
+});
+
+test('createVideoRequestHandler - deve validar opções', () => {
+  assert.throws(() => createVideoRequestHandler({ masterKey }), /resolveFile deve ser uma função/);
+  assert.throws(
+    () => createVideoRequestHandler({ masterKey, resolveFile: () => null, maxOpenReaders: 0 }),
+    { field: 'maxOpenReaders' }
+  );
+});
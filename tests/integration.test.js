@@ -4,12 +4,22 @@ import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { pipeline } from 'stream/promises';
 import {
   encryptFile,
   decryptFile,
   encryptBuffer,
   decryptBuffer,
-  generateMasterKey
+  generateMasterKey,
+  deriveVideoKey,
+  EncryptionStream,
+  ChunkSerializationStream,
+  FileHeader,
+  TruncationError,
+  calculateBufferHash,
+  createManifest,
+  validateManifest,
+  IntegrityError
 } from '../src/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -172,6 +182,24 @@ test('Buffer Crypto - encriptação/decriptação em memória', async () => {
   assert.deepStrictEqual(decrypted, testData);
 });
 
+test('Buffer Crypto - detecta chunks removidos do fim', async () => {
+  const data = crypto.randomBytes(5 * 1024);
+  const masterKey = generateMasterKey();
+  const videoId = 'test-buffer-truncated';
+
+  const chunks = await encryptBuffer({ data, masterKey, videoId, chunkSize: 1024 });
+  assert.ok(FileHeader.hasMagic(chunks[0]));
+
+  await assert.rejects(
+    decryptBuffer({ chunks: chunks.slice(0, 3), masterKey, videoId }),
+    TruncationError
+  );
+  await assert.rejects(decryptBuffer({ chunks: chunks.slice(0, 1), masterKey, videoId }), TruncationError);
+
+  // Sem o header os chunks não autenticam
+  await assert.rejects(decryptBuffer({ chunks: chunks.slice(1, 3), masterKey, videoId }), /Falha na autenticação/);
+});
+
 test('File Crypto - chave errada deve falhar', async () => {
   const inputPath = path.join(testDir, 'test-wrongkey.bin');
   const encryptedPath = path.join(testDir, 'test-wrongkey.enc');
@@ -202,6 +230,7 @@ test('File Crypto - chave errada deve falhar', async () => {
     }),
     /Falha na autenticação/
   );
+  assert.strictEqual(fs.existsSync(decryptedPath), false);
 
   // Cleanup
   fs.unlinkSync(inputPath);
@@ -291,6 +320,565 @@ test('File Crypto - validação de chunkSize customizado', async () => {
   fs.unlinkSync(inputPath);
 });
 
+test('File Crypto - arquivo começa com header versionado', async () => {
+  const inputPath = path.join(testDir, 'test-header.bin');
+  const encryptedPath = path.join(testDir, 'test-header.enc');
+
+  fs.writeFileSync(inputPath, crypto.randomBytes(4096));
+  const masterKey = generateMasterKey();
+
+  await encryptFile({
+    inputPath,
+    outputPath: encryptedPath,
+    masterKey,
+    videoId: 'test-video-header',
+    chunkSize: 2048
+  });
+
+  const encrypted = fs.readFileSync(encryptedPath);
+  const header = FileHeader.fromBuffer(encrypted.slice(0, FileHeader.getLength(encrypted)));
+
+  assert.strictEqual(header.chunkSize, 2048);
+  assert.strictEqual(header.algorithm, 'aes-256-gcm');
+  assert.ok(header.matchesVideoId('test-video-header'));
+
+  fs.unlinkSync(inputPath);
+  fs.unlinkSync(encryptedPath);
+});
+
+test('File Crypto - encoding detectado automaticamente pelo header', async () => {
+  const inputPath = path.join(testDir, 'test-detect.bin');
+  const decryptedPath = path.join(testDir, 'test-detect.dec');
+  const testData = crypto.randomBytes(20 * 1024);
+  fs.writeFileSync(inputPath, testData);
+
+  const masterKey = generateMasterKey();
+  const videoId = 'test-video-detect';
+
+  for (const encoding of ['binary', 'base64', 'hex']) {
+    const encryptedPath = path.join(testDir, `test-detect.${encoding}`);
+    await encryptFile({ inputPath, outputPath: encryptedPath, masterKey, videoId, encoding });
+
+    // Sem informar encoding
+    await decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId });
+    assert.deepStrictEqual(fs.readFileSync(decryptedPath), testData);
+
+    fs.unlinkSync(encryptedPath);
+  }
+
+  fs.unlinkSync(inputPath);
+  fs.unlinkSync(decryptedPath);
+});
+
+test('File Crypto - deve ler arquivos legados sem header', async () => {
+  const legacyPath = path.join(testDir, 'test-legacy.enc');
+  const decryptedPath = path.join(testDir, 'test-legacy.dec');
+  const testData = crypto.randomBytes(30 * 1024);
+
+  const masterKey = generateMasterKey();
+  const videoId = 'test-video-legacy';
+  const videoKey = deriveVideoKey(masterKey, videoId);
+
+  // Formato 1.0: apenas chunks com prefixo de tamanho
+  const encryptionStream = new EncryptionStream(videoKey, videoId, { chunkSize: 8192 });
+  const writing = pipeline(
+    encryptionStream,
+    new ChunkSerializationStream(),
+    fs.createWriteStream(legacyPath)
+  );
+  encryptionStream.end(testData);
+  await writing;
+
+  assert.strictEqual(FileHeader.hasMagic(fs.readFileSync(legacyPath)), false);
+
+  await decryptFile({ inputPath: legacyPath, outputPath: decryptedPath, masterKey, videoId });
+  assert.deepStrictEqual(fs.readFileSync(decryptedPath), testData);
+
+  fs.unlinkSync(legacyPath);
+  fs.unlinkSync(decryptedPath);
+});
+
+test('File Crypto - videoId diferente do header deve falhar', async () => {
+  const inputPath = path.join(testDir, 'test-fingerprint.bin');
+  const encryptedPath = path.join(testDir, 'test-fingerprint.enc');
+  const decryptedPath = path.join(testDir, 'test-fingerprint.dec');
+  fs.writeFileSync(inputPath, crypto.randomBytes(2048));
+
+  const masterKey = generateMasterKey();
+
+  await encryptFile({ inputPath, outputPath: encryptedPath, masterKey, videoId: 'video-original' });
+
+  await assert.rejects(
+    decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId: 'video-outro' }),
+    { code: 'VIDEO_ID_MISMATCH' }
+  );
+
+  fs.unlinkSync(inputPath);
+  fs.unlinkSync(encryptedPath);
+  if (fs.existsSync(decryptedPath)) {
+    fs.unlinkSync(decryptedPath);
+  }
+});
+
+test('File Crypto - arquivo truncado deve falhar com TruncationError', async () => {
+  const inputPath = path.join(testDir, 'test-truncated.bin');
+  const encryptedPath = path.join(testDir, 'test-truncated.enc');
+  const decryptedPath = path.join(testDir, 'test-truncated.dec');
+  fs.writeFileSync(inputPath, crypto.randomBytes(10 * 1024));
+
+  const masterKey = generateMasterKey();
+  const videoId = 'test-video-truncated';
+
+  const encStats = await encryptFile({
+    inputPath,
+    outputPath: encryptedPath,
+    masterKey,
+    videoId,
+    chunkSize: 2048
+  });
+  assert.strictEqual(encStats.totalChunks, 5);
+
+  // Remove o último chunk (4 bytes de tamanho + 32 de header + 2048 de dados)
+  const encrypted = fs.readFileSync(encryptedPath);
+  fs.writeFileSync(encryptedPath, encrypted.slice(0, encrypted.length - (4 + 32 + 2048)));
+
+  await assert.rejects(
+    decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId }),
+    (error) => error instanceof TruncationError && error.code === 'TRUNCATED_STREAM'
+  );
+
+  // Nenhum plaintext parcial fica em disco (nem o temporário)
+  assert.deepStrictEqual(
+    fs.readdirSync(testDir).filter(name => name.startsWith('test-truncated.dec')),
+    []
+  );
+
+  // Apenas o header
+  fs.writeFileSync(encryptedPath, encrypted.slice(0, FileHeader.getLength(encrypted)));
+  await assert.rejects(
+    decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId }),
+    TruncationError
+  );
+
+  fs.unlinkSync(inputPath);
+  fs.unlinkSync(encryptedPath);
+  if (fs.existsSync(decryptedPath)) {
+    fs.unlinkSync(decryptedPath);
+  }
+});
+
+test('File Crypto - arquivo vazio gera chunk final autenticado', async () => {
+  const inputPath = path.join(testDir, 'test-empty.bin');
+  const encryptedPath = path.join(testDir, 'test-empty.enc');
+  const decryptedPath = path.join(testDir, 'test-empty.dec');
+  fs.writeFileSync(inputPath, Buffer.alloc(0));
+
+  const masterKey = generateMasterKey();
+  const videoId = 'test-video-empty';
+
+  const encStats = await encryptFile({ inputPath, outputPath: encryptedPath, masterKey, videoId });
+  assert.strictEqual(encStats.totalChunks, 1);
+  assert.strictEqual(encStats.bytesProcessed, 0);
+
+  const decStats = await decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId });
+  assert.strictEqual(decStats.chunksProcessed, 1);
+  assert.strictEqual(fs.readFileSync(decryptedPath).length, 0);
+
+  fs.unlinkSync(inputPath);
+  fs.unlinkSync(encryptedPath);
+  fs.unlinkSync(decryptedPath);
+});
+
+test('File Crypto - arquivo legado vazio (sem header nem chunks) continua legível', async () => {
+  const encryptedPath = path.join(testDir, 'test-legacy-empty.enc');
+  const decryptedPath = path.join(testDir, 'test-legacy-empty.dec');
+
+  // Antes do header, um vídeo vazio era criptografado como zero chunks
+  fs.writeFileSync(encryptedPath, Buffer.alloc(0));
+
+  const masterKey = generateMasterKey();
+  const videoId = 'test-video-legacy-empty';
+
+  const stats = await decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId });
+  assert.strictEqual(stats.chunksProcessed, 0);
+  assert.strictEqual(fs.readFileSync(decryptedPath).length, 0);
+  assert.strictEqual((await decryptBuffer({ chunks: [], masterKey, videoId })).length, 0);
+
+  fs.unlinkSync(encryptedPath);
+  fs.unlinkSync(decryptedPath);
+});
+
+test('File Crypto - tamanho múltiplo do chunk mantém o último chunk como final', async () => {
+  const inputPath = path.join(testDir, 'test-exact.bin');
+  const encryptedPath = path.join(testDir, 'test-exact.enc');
+  const decryptedPath = path.join(testDir, 'test-exact.dec');
+  const testData = crypto.randomBytes(4 * 1024);
+  fs.writeFileSync(inputPath, testData);
+
+  const masterKey = generateMasterKey();
+  const videoId = 'test-video-exact';
+
+  const encStats = await encryptFile({ inputPath, outputPath: encryptedPath, masterKey, videoId, chunkSize: 1024 });
+  assert.strictEqual(encStats.totalChunks, 4);
+
+  await decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId });
+  assert.deepStrictEqual(fs.readFileSync(decryptedPath), testData);
+
+  fs.unlinkSync(inputPath);
+  fs.unlinkSync(encryptedPath);
+  fs.unlinkSync(decryptedPath);
+});
+
+test('File Crypto - manifest gerado durante a criptografia', async () => {
+  const inputPath = path.join(testDir, 'test-manifest.bin');
+  const encryptedPath = path.join(testDir, 'test-manifest.enc');
+  const manifestPath = path.join(testDir, 'test-manifest.json');
+
+  const testData = crypto.randomBytes(3 * 1024 + 10);
+  fs.writeFileSync(inputPath, testData);
+
+  const stats = await encryptFile({
+    inputPath,
+    outputPath: encryptedPath,
+    masterKey: generateMasterKey(),
+    videoId: 'test-video-manifest',
+    chunkSize: 1024,
+    manifestPath
+  });
+
+  const { manifest } = stats;
+  assert.ok(validateManifest(manifest));
+  assert.ok(manifest.mac);
+  assert.strictEqual(manifest.videoId, 'test-video-manifest');
+  assert.strictEqual(manifest.originalHash, calculateBufferHash(testData));
+  assert.strictEqual(manifest.totalSize, testData.length);
+  assert.strictEqual(manifest.totalChunks, stats.totalChunks);
+  assert.strictEqual(manifest.chunkSize, 1024);
+
+  // Sidecar contém o mesmo manifest
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(manifestPath, 'utf8')), manifest);
+
+  // Sem a opção, nenhum manifest é gerado
+  const plain = await encryptFile({
+    inputPath,
+    outputPath: encryptedPath,
+    masterKey: generateMasterKey(),
+    videoId: 'test-video-manifest'
+  });
+  assert.strictEqual(plain.manifest, undefined);
+});
+
+test('File Crypto - decryptFile verifica o plaintext contra o manifest', async () => {
+  const inputPath = path.join(testDir, 'test-verify.bin');
+  const encryptedPath = path.join(testDir, 'test-verify.enc');
+  const decryptedPath = path.join(testDir, 'test-verify.dec');
+
+  const testData = crypto.randomBytes(4 * 1024 + 77);
+  fs.writeFileSync(inputPath, testData);
+
+  const masterKey = generateMasterKey();
+  const videoId = 'test-video-verify';
+
+  const { manifest } = await encryptFile({
+    inputPath,
+    outputPath: encryptedPath,
+    masterKey,
+    videoId,
+    chunkSize: 1024,
+    manifest: true
+  });
+
+  const stats = await decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId, manifest });
+  assert.strictEqual(stats.manifestVerified, true);
+  assert.deepStrictEqual(fs.readFileSync(decryptedPath), testData);
+
+  // Manifest válido, mas de outro conteúdo: a saída não é criada
+  fs.unlinkSync(decryptedPath);
+  const otherManifest = createManifest({
+    ...manifest,
+    originalHash: calculateBufferHash(Buffer.from('outro')),
+    masterKey
+  });
+  await assert.rejects(
+    decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId, manifest: otherManifest }),
+    (error) => error instanceof IntegrityError && error.field === 'originalHash'
+  );
+  assert.strictEqual(fs.existsSync(decryptedPath), false);
+
+  const wrongCount = createManifest({ ...manifest, totalChunks: manifest.totalChunks + 1, masterKey });
+  await assert.rejects(
+    decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId, manifest: wrongCount }),
+    { code: 'INTEGRITY_MISMATCH', field: 'totalChunks' }
+  );
+
+  // Manifest adulterado é rejeitado antes de decriptar
+  await assert.rejects(
+    decryptFile({
+      inputPath: encryptedPath,
+      outputPath: decryptedPath,
+      masterKey,
+      videoId,
+      manifest: { ...manifest, totalSize: manifest.totalSize + 1 }
+    }),
+    { field: 'mac' }
+  );
+
+  // Manifest sem MAC (apenas checksum) não é aceito
+  const unsealed = createManifest({ ...manifest });
+  assert.ok(validateManifest(unsealed));
+  await assert.rejects(
+    decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId, manifest: unsealed }),
+    { field: 'mac' }
+  );
+});
+
+test('Buffer Crypto - decryptBuffer verifica o manifest', async () => {
+  const data = crypto.randomBytes(3000);
+  const masterKey = generateMasterKey();
+  const videoId = 'test-buffer-verify';
+
+  const chunks = await encryptBuffer({ data, masterKey, videoId, chunkSize: 1024 });
+  const manifest = createManifest({
+    videoId,
+    totalChunks: chunks.length - 1,
+    chunkSize: 1024,
+    totalSize: data.length,
+    originalHash: calculateBufferHash(data),
+    masterKey
+  });
+
+  assert.deepStrictEqual(await decryptBuffer({ chunks, masterKey, videoId, manifest }), data);
+
+  await assert.rejects(
+    decryptBuffer({ chunks, masterKey, videoId, manifest: createManifest({ ...manifest, totalSize: 10, masterKey }) }),
+    { field: 'totalSize' }
+  );
+
+  await assert.rejects(
+    decryptBuffer({ chunks, masterKey, videoId: 'outro-video', manifest }),
+    { field: 'videoId' }
+  );
+});
+
+test('File Crypto - modo de nonce por contador', async () => {
+  const inputPath = path.join(testDir, 'test-counter.bin');
+  const encryptedPath = path.join(testDir, 'test-counter.enc');
+  const decryptedPath = path.join(testDir, 'test-counter.dec');
+
+  const testData = crypto.randomBytes(3 * 1024 + 500);
+  fs.writeFileSync(inputPath, testData);
+
+  const masterKey = generateMasterKey();
+  const videoId = 'test-video-counter';
+
+  await encryptFile({
+    inputPath,
+    outputPath: encryptedPath,
+    masterKey,
+    videoId,
+    chunkSize: 1024,
+    nonce: 'counter'
+  });
+
+  const encrypted = fs.readFileSync(encryptedPath);
+  const header = FileHeader.fromBuffer(encrypted.slice(0, FileHeader.getLength(encrypted)));
+  assert.strictEqual(header.nonceMode, 'counter');
+
+  await decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId });
+  assert.deepStrictEqual(fs.readFileSync(decryptedPath), testData);
+});
+
+test('File Crypto - compromisso de chave no header', async () => {
+  const inputPath = path.join(testDir, 'test-commit.bin');
+  const encryptedPath = path.join(testDir, 'test-commit.enc');
+  const decryptedPath = path.join(testDir, 'test-commit.dec');
+
+  const testData = crypto.randomBytes(2 * 1024 + 100);
+  fs.writeFileSync(inputPath, testData);
+
+  const masterKey = generateMasterKey();
+  const videoId = 'test-video-commit';
+
+  await encryptFile({
+    inputPath,
+    outputPath: encryptedPath,
+    masterKey,
+    videoId,
+    chunkSize: 1024,
+    keyCommitment: true
+  });
+
+  const encrypted = fs.readFileSync(encryptedPath);
+  const header = FileHeader.fromBuffer(encrypted.slice(0, FileHeader.getLength(encrypted)));
+  assert.strictEqual(header.hasKeyCommitment, true);
+
+  await assert.rejects(
+    decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey: generateMasterKey(), videoId }),
+    { code: 'KEY_COMMITMENT_MISMATCH' }
+  );
+
+  await decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId });
+  assert.deepStrictEqual(fs.readFileSync(decryptedPath), testData);
+});
+
+test('File Crypto - ChaCha20-Poly1305 detectado pelo header', async () => {
+  const inputPath = path.join(testDir, 'test-chacha.bin');
+  const encryptedPath = path.join(testDir, 'test-chacha.enc');
+  const decryptedPath = path.join(testDir, 'test-chacha.dec');
+
+  const testData = crypto.randomBytes(3 * 1024 + 17);
+  fs.writeFileSync(inputPath, testData);
+
+  const masterKey = generateMasterKey();
+  const videoId = 'test-video-chacha';
+
+  await encryptFile({
+    inputPath,
+    outputPath: encryptedPath,
+    masterKey,
+    videoId,
+    chunkSize: 1024,
+    index: true,
+    algorithm: 'chacha20-poly1305'
+  });
+
+  const encrypted = fs.readFileSync(encryptedPath);
+  const header = FileHeader.fromBuffer(encrypted.slice(0, FileHeader.getLength(encrypted)));
+  assert.strictEqual(header.algorithm, 'chacha20-poly1305');
+
+  // Decriptação sem indicar o cipher
+  await decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId });
+  assert.deepStrictEqual(fs.readFileSync(decryptedPath), testData);
+});
+
+test('Buffer Crypto - ChaCha20-Poly1305', async () => {
+  const data = crypto.randomBytes(5000);
+  const masterKey = generateMasterKey();
+  const videoId = 'buffer-chacha';
+
+  const chunks = await encryptBuffer({ data, masterKey, videoId, chunkSize: 1024, algorithm: 'chacha20-poly1305' });
+
+  // O cipher é registrado no header
+  assert.strictEqual(FileHeader.fromBuffer(chunks[0]).algorithm, 'chacha20-poly1305');
+  assert.deepStrictEqual(await decryptBuffer({ chunks, masterKey, videoId }), data);
+});
+
+test('File Crypto - compressão por chunk', async () => {
+  const inputPath = path.join(testDir, 'test-compress.bin');
+  const encryptedPath = path.join(testDir, 'test-compress.enc');
+  const decryptedPath = path.join(testDir, 'test-compress.dec');
+
+  // Metade compressível, metade aleatória (chunks aleatórios ficam sem compressão)
+  const testData = Buffer.concat([
+    Buffer.from('slide '.repeat(1024)),
+    crypto.randomBytes(4096)
+  ]);
+  fs.writeFileSync(inputPath, testData);
+
+  const masterKey = generateMasterKey();
+  const videoId = 'test-video-compress';
+
+  const stats = await encryptFile({
+    inputPath,
+    outputPath: encryptedPath,
+    masterKey,
+    videoId,
+    chunkSize: 1024,
+    compression: 'deflate'
+  });
+
+  assert.ok(stats.compressionRatio > 1);
+  assert.ok(fs.statSync(encryptedPath).size < testData.length);
+
+  await decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId });
+  assert.deepStrictEqual(fs.readFileSync(decryptedPath), testData);
+});
+
+test('File Crypto - padding oculta o tamanho do plaintext', async () => {
+  const masterKey = generateMasterKey();
+  const videoId = 'test-video-padding';
+  const sizes = [];
+
+  for (const [name, length] of [['a', 3000], ['b', 3050]]) {
+    const inputPath = path.join(testDir, `test-padding-${name}.bin`);
+    const encryptedPath = path.join(testDir, `test-padding-${name}.enc`);
+    const decryptedPath = path.join(testDir, `test-padding-${name}.dec`);
+
+    const testData = crypto.randomBytes(length);
+    fs.writeFileSync(inputPath, testData);
+
+    const stats = await encryptFile({
+      inputPath,
+      outputPath: encryptedPath,
+      masterKey,
+      videoId,
+      chunkSize: 1024,
+      padding: 'padme',
+      manifest: true
+    });
+
+    assert.strictEqual(stats.bytesProcessed, length);
+    assert.ok(stats.paddingBytes > 0);
+    sizes.push(fs.statSync(encryptedPath).size);
+
+    await decryptFile({
+      inputPath: encryptedPath,
+      outputPath: decryptedPath,
+      masterKey,
+      videoId,
+      manifest: stats.manifest
+    });
+    assert.deepStrictEqual(fs.readFileSync(decryptedPath), testData);
+  }
+
+  assert.strictEqual(sizes[0], sizes[1]);
+});
+
+for (const encoding of ['z85', 'ascii85']) {
+  test(`File Crypto - encoding ${encoding} detectado pelo header`, async () => {
+    const inputPath = path.join(testDir, `test-${encoding}.bin`);
+    const encryptedPath = path.join(testDir, `test-${encoding}.enc`);
+    const decryptedPath = path.join(testDir, `test-${encoding}.dec`);
+
+    const testData = crypto.randomBytes(2 * 1024 + 3);
+    fs.writeFileSync(inputPath, testData);
+
+    const masterKey = generateMasterKey();
+    const videoId = `test-video-${encoding}`;
+
+    await encryptFile({ inputPath, outputPath: encryptedPath, masterKey, videoId, chunkSize: 1024, encoding });
+    await decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId });
+
+    assert.deepStrictEqual(fs.readFileSync(decryptedPath), testData);
+  });
+}
+
+test('File Crypto - encoding json (NDJSON) detectado pelo header', async () => {
+  const inputPath = path.join(testDir, 'test-json.bin');
+  const encryptedPath = path.join(testDir, 'test-json.ndjson');
+  const decryptedPath = path.join(testDir, 'test-json.dec');
+
+  const testData = crypto.randomBytes(3 * 1024 + 1);
+  fs.writeFileSync(inputPath, testData);
+
+  const masterKey = generateMasterKey();
+  const videoId = 'test-video-json';
+
+  await encryptFile({ inputPath, outputPath: encryptedPath, masterKey, videoId, chunkSize: 1024, encoding: 'json' });
+
+  const lines = fs.readFileSync(encryptedPath, 'utf8').trim().split('\n');
+  assert.strictEqual(lines.length, 5);
+  assert.strictEqual(JSON.parse(lines[2]).index, 1);
+
+  await decryptFile({ inputPath: encryptedPath, outputPath: decryptedPath, masterKey, videoId });
+  assert.deepStrictEqual(fs.readFileSync(decryptedPath), testData);
+
+  await assert.rejects(
+    encryptFile({ inputPath, outputPath: encryptedPath, masterKey, videoId, encoding: 'json', index: true }),
+    { field: 'index' }
+  );
+});
+
 // Cleanup do diretório de testes após todos os testes
 test('Cleanup', () => {
   if (fs.existsSync(testDir)) {
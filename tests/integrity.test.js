@@ -9,10 +9,13 @@ import {
   calculateBufferHash,
   createManifest,
   validateManifest,
+  verifyManifestMac,
+  canonicalJSON,
   HashStream,
   verifyFileIntegrity,
   generateIntegrityReport
 } from '../src/utils/integrity.js';
+import { generateMasterKey } from '../src/utils/hkdf.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -137,6 +140,78 @@ test('validateManifest - deve rejeitar manifest inválido', () => {
   assert.strictEqual(validateManifest(manifest2), false);
 });
 
+test('canonicalJSON - ordem das chaves não altera o resultado', () => {
+  assert.strictEqual(
+    canonicalJSON({ b: 1, a: { d: [1, 'x'], c: null } }),
+    canonicalJSON({ a: { c: null, d: [1, 'x'] }, b: 1 })
+  );
+  assert.strictEqual(canonicalJSON({ b: 1, a: 2, u: undefined }), '{"a":2,"b":1}');
+});
+
+test('validateManifest - MAC com master key', () => {
+  const masterKey = generateMasterKey();
+  const manifest = createManifest({
+    videoId: 'test-mac',
+    totalChunks: 3,
+    chunkSize: 1024,
+    totalSize: 3072,
+    originalHash: 'hash123',
+    masterKey
+  });
+
+  assert.strictEqual(manifest.mac.length, 64);
+  assert.strictEqual(validateManifest(manifest, masterKey), true);
+
+  // Reordenar as chaves não invalida o manifest
+  const reordered = Object.fromEntries(Object.entries(manifest).reverse());
+  assert.strictEqual(validateManifest(reordered, masterKey), true);
+
+  // Editar e recalcular o checksum não basta sem a chave
+  const forged = createManifest({ ...manifest, totalSize: 1 });
+  forged.mac = manifest.mac;
+  assert.strictEqual(validateManifest(forged), true);
+  assert.strictEqual(validateManifest(forged, masterKey), false);
+
+  // Chave errada ou manifest sem MAC
+  assert.strictEqual(validateManifest(manifest, generateMasterKey()), false);
+  assert.strictEqual(validateManifest({ ...manifest, mac: undefined }, masterKey), false);
+});
+
+test('validateManifest - aceita checksum legado (ordem original das chaves)', () => {
+  const legacy = {
+    version: '1.0.0',
+    videoId: 'legacy',
+    timestamp: 1700000000000,
+    totalChunks: 1,
+    chunkSize: 1024,
+    totalSize: 10,
+    originalHash: 'abc'
+  };
+  legacy.checksum = crypto.createHash('sha256').update(JSON.stringify(legacy)).digest('hex');
+
+  assert.strictEqual(validateManifest(legacy), true);
+});
+
+test('verifyManifestMac - só o MAC autentica o manifest', () => {
+  const masterKey = generateMasterKey();
+  const manifest = createManifest({
+    videoId: 'test-verify-mac',
+    totalChunks: 1,
+    chunkSize: 1024,
+    totalSize: 10,
+    originalHash: 'hash123',
+    masterKey
+  });
+
+  assert.deepStrictEqual(verifyManifestMac(manifest, masterKey), { valid: true, authenticated: true });
+
+  // Checksum recalculado após edição: válido sem a chave, mas não autenticado
+  const forged = createManifest({ ...manifest, totalSize: 1 });
+  assert.deepStrictEqual(verifyManifestMac(forged), { valid: true, authenticated: false });
+  assert.deepStrictEqual(verifyManifestMac(forged, masterKey), { valid: false, authenticated: false });
+  assert.deepStrictEqual(verifyManifestMac(null), { valid: false, authenticated: false });
+});
+
 test('HashStream - deve calcular hash durante streaming', async () => {
   const testData = Buffer.from('streaming hash test data');
   const hashStream = new HashStream('sha256');
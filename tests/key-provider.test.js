@@ -0,0 +1,264 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  KeyProvider,
+  MemoryKeyProvider,
+  FileKeyProvider,
+  Keyring,
+  computeMasterKeyId,
+  encryptFile,
+  decryptFile,
+  encryptBuffer,
+  decryptBuffer,
+  createManifest,
+  reencryptFile,
+  rewrapKey,
+  generateMasterKey,
+  exportMasterKey,
+  EncryptedVideoReader,
+  unwrapDataKey
+} from '../src/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const testDir = path.join(__dirname, 'temp-key-provider');
+
+if (!fs.existsSync(testDir)) {
+  fs.mkdirSync(testDir, { recursive: true });
+}
+
+const testData = crypto.randomBytes(3 * 1024 + 51);
+
+async function createEncrypted(name, keySource, options = {}) {
+  const inputPath = path.join(testDir, `${name}.bin`);
+  const outputPath = path.join(testDir, `${name}.enc`);
+  fs.writeFileSync(inputPath, testData);
+
+  await encryptFile({ inputPath, outputPath, videoId: name, chunkSize: 1024, ...keySource, ...options });
+  return outputPath;
+}
+
+async function decryptToBuffer(inputPath, keySource, videoId) {
+  const outputPath = `${inputPath}.dec`;
+  await decryptFile({ inputPath, outputPath, videoId, ...keySource });
+  return fs.readFileSync(outputPath);
+}
+
+/**
+ * Substituto local de um KMS: a master key nunca sai do provider e
+ * getKey não é suportado
+ */
+class WrapOnlyProvider extends KeyProvider {
+  constructor() {
+    super();
+    this.inner = new MemoryKeyProvider(generateMasterKey());
+    this.calls = [];
+  }
+
+  async wrap(dataKey, context) {
+    this.calls.push('wrap');
+    return this.inner.wrap(dataKey, context);
+  }
+
+  async unwrap(record, context) {
+    this.calls.push('unwrap');
+    return this.inner.unwrap(record, context);
+  }
+}
+
+test('KeyProvider - classe base exige getKey', async () => {
+  await assert.rejects(new KeyProvider().getKey(null), /getKey não implementado/);
+});
+
+test('MemoryKeyProvider - chave atual e chaves por key id', async () => {
+  const masterKey = generateMasterKey();
+  const provider = new MemoryKeyProvider(masterKey);
+  const keyId = computeMasterKeyId(masterKey);
+
+  assert.deepStrictEqual(await provider.getKey(null), { keyId, key: masterKey });
+  assert.deepStrictEqual(await provider.getKey(keyId), { keyId, key: masterKey });
+  await assert.rejects(provider.getKey('0000000000000000'), { code: 'KEY_NOT_FOUND' });
+
+  const { keyId: wrappedBy, record } = await provider.wrap(crypto.randomBytes(32), { videoId: 'video' });
+  assert.strictEqual(wrappedBy, keyId);
+  assert.deepStrictEqual(
+    await provider.unwrap(record, { videoId: 'video', keyId }),
+    unwrapDataKey(record, masterKey, 'video')
+  );
+
+  await assert.rejects(new MemoryKeyProvider().getKey(null), { code: 'NO_ACTIVE_KEY' });
+});
+
+test('MemoryKeyProvider - encryptFile, decryptFile e EncryptedVideoReader', async () => {
+  const keyring = Keyring.generate();
+  const keyProvider = new MemoryKeyProvider(keyring);
+  const filePath = await createEncrypted('memory', { keyProvider });
+
+  // Arquivo compatível com o keyring e com a master key avulsa
+  assert.deepStrictEqual(await decryptToBuffer(filePath, { keyProvider }, 'memory'), testData);
+  assert.deepStrictEqual(await decryptToBuffer(filePath, { keyring }, 'memory'), testData);
+  assert.deepStrictEqual(
+    await decryptToBuffer(filePath, { masterKey: keyring.getActiveKey().key }, 'memory'),
+    testData
+  );
+
+  const reader = await EncryptedVideoReader.open({ filePath, keyProvider, videoId: 'memory' });
+  try {
+    assert.strictEqual(reader.header.keyId, keyring.activeKeyId);
+    assert.deepStrictEqual(await reader.read(10, 2000), testData.slice(10, 2010));
+  } finally {
+    await reader.close();
+  }
+});
+
+test('MemoryKeyProvider - encryptBuffer e decryptBuffer', async () => {
+  const keyring = Keyring.generate();
+  const keyProvider = new MemoryKeyProvider(keyring);
+  const chunks = await encryptBuffer({ data: testData, keyProvider, videoId: 'memory-buffer', chunkSize: 1024 });
+  const manifest = createManifest({
+    videoId: 'memory-buffer',
+    totalChunks: chunks.length - 1,
+    chunkSize: 1024,
+    totalSize: testData.length,
+    originalHash: crypto.createHash('sha256').update(testData).digest('hex'),
+    masterKey: keyring.getActiveKey().key
+  });
+
+  assert.deepStrictEqual(
+    await decryptBuffer({ chunks, keyProvider, videoId: 'memory-buffer', manifest }),
+    testData
+  );
+
+  await assert.rejects(
+    decryptBuffer({ chunks, keyProvider: new MemoryKeyProvider(generateMasterKey()), videoId: 'memory-buffer' }),
+    { code: 'KEY_NOT_FOUND' }
+  );
+});
+
+test('FileKeyProvider - arquivo com uma master key', async () => {
+  const masterKey = generateMasterKey();
+  const keyPath = path.join(testDir, 'master.key');
+  fs.writeFileSync(keyPath, `${exportMasterKey(masterKey)}\n`);
+
+  const keyProvider = new FileKeyProvider(keyPath);
+  assert.deepStrictEqual(await keyProvider.getKey(null), { keyId: computeMasterKeyId(masterKey), key: masterKey });
+  await assert.rejects(keyProvider.getKey('0000000000000000'), { code: 'KEY_NOT_FOUND' });
+
+  const filePath = await createEncrypted('file-single', { keyProvider }, { envelope: 'aes-gcm' });
+  assert.deepStrictEqual(await decryptToBuffer(filePath, { keyProvider }, 'file-single'), testData);
+
+  fs.writeFileSync(keyPath, 'not-hex');
+  await assert.rejects(keyProvider.getKey(null), /Arquivo de chave inválido/);
+  await assert.rejects(new FileKeyProvider(path.join(testDir, 'missing.key')).getKey(null), { code: 'KEY_NOT_FOUND' });
+});
+
+test('FileKeyProvider - diretório com rotação pelo arquivo active', async () => {
+  const keyDir = path.join(testDir, 'keys');
+  const keyProvider = new FileKeyProvider(keyDir);
+
+  const oldKeyId = await keyProvider.addKey(generateMasterKey());
+  assert.strictEqual(fs.statSync(path.join(keyDir, `${oldKeyId}.key`)).mode & 0o777, 0o600);
+
+  const oldFile = await createEncrypted('file-dir-old', { keyProvider });
+
+  const newKeyId = await keyProvider.addKey(generateMasterKey(), { activate: false });
+  assert.strictEqual((await keyProvider.getKey(null)).keyId, oldKeyId);
+
+  await keyProvider.activate(newKeyId);
+  assert.strictEqual((await keyProvider.getKey(null)).keyId, newKeyId);
+
+  // Arquivo antigo continua legível pelo key id do header
+  assert.deepStrictEqual(await decryptToBuffer(oldFile, { keyProvider }, 'file-dir-old'), testData);
+
+  await reencryptFile({ inputPath: oldFile, outputPath: oldFile, keyProvider, videoId: 'file-dir-old' });
+  const reader = await EncryptedVideoReader.open({ filePath: oldFile, keyProvider, videoId: 'file-dir-old' });
+  try {
+    assert.strictEqual(reader.header.keyId, newKeyId);
+  } finally {
+    await reader.close();
+  }
+
+  await assert.rejects(keyProvider.getKey('../../etc/pass'), { field: 'keyId' });
+  await assert.rejects(keyProvider.activate('0000000000000000'), { code: 'KEY_NOT_FOUND' });
+
+  const inactive = new FileKeyProvider(path.join(testDir, 'keys-inactive'));
+  await inactive.addKey(generateMasterKey(), { activate: false });
+  await assert.rejects(inactive.getKey(null), { code: 'NO_ACTIVE_KEY' });
+});
+
+test('KeyProvider - adaptador sem getKey usa apenas wrap/unwrap (envelope)', async () => {
+  const keyProvider = new WrapOnlyProvider();
+  const filePath = await createEncrypted('wrap-only', { keyProvider }, { envelope: true });
+
+  assert.deepStrictEqual(await decryptToBuffer(filePath, { keyProvider }, 'wrap-only'), testData);
+
+  await rewrapKey({ filePath, keyProvider, videoId: 'wrap-only' });
+  assert.deepStrictEqual(keyProvider.calls, ['wrap', 'unwrap', 'unwrap', 'wrap']);
+  assert.deepStrictEqual(await decryptToBuffer(filePath, { keyProvider }, 'wrap-only'), testData);
+
+  // Sem envelope a chave precisa ser exportável
+  await assert.rejects(createEncrypted('wrap-only-plain', { keyProvider }), /getKey não implementado/);
+});
+
+test('KeyProvider - manifest com envelope não exige getKey', async () => {
+  const keyProvider = new WrapOnlyProvider();
+  const inputPath = path.join(testDir, 'wrap-only-manifest.bin');
+  const filePath = path.join(testDir, 'wrap-only-manifest.enc');
+  fs.writeFileSync(inputPath, testData);
+
+  // O manifest é selado com a data key, desembrulhada pelo provider
+  const { manifest } = await encryptFile({
+    inputPath,
+    outputPath: filePath,
+    keyProvider,
+    videoId: 'wrap-only-manifest',
+    chunkSize: 1024,
+    envelope: true,
+    manifest: true
+  });
+
+  const outputPath = `${filePath}.dec`;
+  const stats = await decryptFile({ inputPath: filePath, outputPath, keyProvider, videoId: 'wrap-only-manifest', manifest });
+  assert.strictEqual(stats.manifestVerified, true);
+  assert.deepStrictEqual(fs.readFileSync(outputPath), testData);
+  assert.deepStrictEqual(keyProvider.calls, ['wrap', 'unwrap']);
+
+  await assert.rejects(
+    decryptFile({
+      inputPath: filePath,
+      outputPath,
+      keyProvider,
+      videoId: 'wrap-only-manifest',
+      manifest: { ...manifest, totalSize: 1 }
+    }),
+    { field: 'mac' }
+  );
+});
+
+test('KeyProvider - validação da fonte de chaves', async () => {
+  const keyProvider = new MemoryKeyProvider(generateMasterKey());
+
+  await assert.rejects(
+    createEncrypted('invalid-both', { keyProvider, masterKey: generateMasterKey() }),
+    { field: 'keyProvider' }
+  );
+  await assert.rejects(createEncrypted('invalid-shape', { keyProvider: { getKey() {} } }), { field: 'keyProvider' });
+  await assert.rejects(
+    reencryptFile({
+      inputPath: path.join(testDir, 'memory.enc'),
+      outputPath: path.join(testDir, 'memory.new.enc'),
+      keyProvider,
+      oldMasterKey: generateMasterKey(),
+      videoId: 'memory'
+    }),
+    { field: 'keyProvider' }
+  );
+});
+
+test('Cleanup', () => {
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import { KeyUsageTracker } from '../src/utils/key-usage.js';
+import { encryptChunk } from '../src/core/chunk-crypto.js';
+import { generateMasterKey, deriveVideoKey } from '../src/utils/hkdf.js';
+import * as api from '../src/index.js';
+
+test('KeyUsageTracker - conta invocações por chave', () => {
+  const tracker = new KeyUsageTracker({ limit: 10 });
+  const keyA = generateMasterKey();
+  const keyB = generateMasterKey();
+
+  tracker.record(keyA);
+  tracker.record(keyA, 3);
+  tracker.record(keyB);
+
+  assert.strictEqual(tracker.getUsage(keyA), 4);
+  assert.strictEqual(tracker.getUsage(keyB), 1);
+
+  tracker.reset(keyA);
+  assert.strictEqual(tracker.getUsage(keyA), 0);
+});
+
+test('KeyUsageTracker - política refuse recusa após o orçamento', () => {
+  const tracker = new KeyUsageTracker({ limit: 2, policy: 'refuse' });
+  const videoKey = deriveVideoKey(generateMasterKey(), 'video-budget');
+  const options = { usageTracker: tracker };
+
+  encryptChunk(Buffer.from('a'), videoKey, 'video-budget', 0, options);
+  encryptChunk(Buffer.from('b'), videoKey, 'video-budget', 1, options);
+
+  assert.throws(
+    () => encryptChunk(Buffer.from('c'), videoKey, 'video-budget', 2, options),
+    { code: 'KEY_USAGE_EXCEEDED' }
+  );
+  assert.strictEqual(tracker.getUsage(videoKey), 2);
+});
+
+test('KeyUsageTracker - política warn emite um aviso por chave', async () => {
+  const tracker = new KeyUsageTracker({ limit: 1 });
+  const key = generateMasterKey();
+  const warnings = [];
+  const onWarning = (warning) => warnings.push(warning);
+
+  process.on('warning', onWarning);
+  try {
+    tracker.record(key);
+    tracker.record(key);
+    tracker.record(key);
+    await new Promise(resolve => setImmediate(resolve));
+  } finally {
+    process.off('warning', onWarning);
+  }
+
+  assert.strictEqual(tracker.getUsage(key), 3);
+  assert.strictEqual(warnings.filter(w => w.code === 'KEY_USAGE_EXCEEDED').length, 1);
+});
+
+test('KeyUsageTracker - export/import das contagens', () => {
+  const key = crypto.randomBytes(32);
+  const tracker = new KeyUsageTracker();
+  tracker.record(key, 5);
+
+  const restored = new KeyUsageTracker({ counts: tracker.export() });
+  assert.strictEqual(restored.getUsage(key), 5);
+
+  // O export não contém a chave
+  assert.ok(!JSON.stringify(tracker.export()).includes(key.toString('hex')));
+});
+
+test('KeyUsageTracker - controle é opt-in (sem tracker global)', () => {
+  assert.strictEqual('defaultKeyUsageTracker' in api, false);
+
+  // Sem usageTracker, encryptChunk funciona sem contar as invocações
+  const videoKey = deriveVideoKey(generateMasterKey(), 'video-opt-in');
+  const chunk = encryptChunk(Buffer.from('a'), videoKey, 'video-opt-in', 0);
+  assert.strictEqual(chunk.index, 0);
+});
+
+test('KeyUsageTracker - deve validar opções', () => {
+  assert.throws(() => new KeyUsageTracker({ policy: 'ignore' }), /Política inválida/);
+  assert.throws(() => new KeyUsageTracker({ limit: 0 }), /limit deve ser/);
+});
@@ -0,0 +1,184 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  encryptFile,
+  decryptFile,
+  reencryptFile,
+  rewrapKey,
+  wrapDataKey,
+  unwrapDataKey,
+  resolveVideoKey,
+  generateMasterKey,
+  deriveVideoKey,
+  FileHeader,
+  EncryptedVideoReader,
+  CONFIG
+} from '../src/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const testDir = path.join(__dirname, 'temp-key-wrap');
+
+if (!fs.existsSync(testDir)) {
+  fs.mkdirSync(testDir, { recursive: true });
+}
+
+const testData = crypto.randomBytes(4 * 1024 + 77);
+
+async function createEncrypted(name, masterKey, options = {}) {
+  const inputPath = path.join(testDir, `${name}.bin`);
+  const outputPath = path.join(testDir, `${name}.enc`);
+  fs.writeFileSync(inputPath, testData);
+
+  await encryptFile({ inputPath, outputPath, masterKey, videoId: name, chunkSize: 1024, ...options });
+  return outputPath;
+}
+
+async function decryptToBuffer(inputPath, masterKey, videoId) {
+  const outputPath = `${inputPath}.dec`;
+  await decryptFile({ inputPath, outputPath, masterKey, videoId });
+  return fs.readFileSync(outputPath);
+}
+
+for (const algorithm of ['aes-kw', 'aes-gcm']) {
+  test(`Key wrap - round-trip ${algorithm}`, () => {
+    const masterKey = generateMasterKey();
+    const dataKey = crypto.randomBytes(32);
+    const record = wrapDataKey(dataKey, masterKey, 'video', { algorithm });
+
+    assert.strictEqual(record.length, algorithm === 'aes-kw' ? 41 : 61);
+    assert.deepStrictEqual(unwrapDataKey(record, masterKey, 'video'), dataKey);
+
+    assert.throws(() => unwrapDataKey(record, generateMasterKey(), 'video'), { code: 'KEY_UNWRAP_FAILED' });
+    assert.throws(() => unwrapDataKey(record, masterKey, 'other-video'), { code: 'KEY_UNWRAP_FAILED' });
+  });
+}
+
+test('Key wrap - algoritmo e registro inválidos', () => {
+  const masterKey = generateMasterKey();
+
+  assert.throws(
+    () => wrapDataKey(crypto.randomBytes(32), masterKey, 'video', { algorithm: 'rsa' }),
+    { field: 'keyWrap' }
+  );
+  assert.throws(() => unwrapDataKey(Buffer.from([1, 2, 3]), masterKey, 'video'), /Registro de data key/);
+});
+
+test('Key wrap - resolveVideoKey sem envelope usa deriveVideoKey', () => {
+  const masterKey = generateMasterKey();
+  const header = FileHeader.create({ videoId: 'video' });
+
+  assert.deepStrictEqual(resolveVideoKey(header, masterKey, 'video'), deriveVideoKey(masterKey, 'video'));
+  assert.deepStrictEqual(resolveVideoKey(null, masterKey, 'video'), deriveVideoKey(masterKey, 'video'));
+});
+
+test('Key wrap - data key embrulhada não entra no AAD do header', () => {
+  const header = FileHeader.create({ videoId: 'video' });
+  const context = header.getAADContext();
+
+  header.setExtension(CONFIG.FORMAT.EXTENSIONS.WRAPPED_KEY, wrapDataKey(crypto.randomBytes(32), generateMasterKey(), 'video'));
+
+  assert.deepStrictEqual(header.getAADContext(), context);
+  assert.strictEqual(FileHeader.fromBuffer(header.toBuffer()).keyWrap, 'aes-kw');
+});
+
+test('Envelope - encryptFile e decryptFile com data key aleatória', async () => {
+  const masterKey = generateMasterKey();
+  const videoId = 'envelope-basic';
+  const filePath = await createEncrypted(videoId, masterKey, { envelope: 'aes-gcm' });
+
+  const reader = await EncryptedVideoReader.open({ filePath, masterKey, videoId });
+  try {
+    assert.strictEqual(reader.header.keyWrap, 'aes-gcm');
+    assert.notDeepStrictEqual(reader.videoKey, deriveVideoKey(masterKey, videoId));
+  } finally {
+    await reader.close();
+  }
+
+  assert.deepStrictEqual(await decryptToBuffer(filePath, masterKey, videoId), testData);
+  await assert.rejects(decryptToBuffer(filePath, generateMasterKey(), videoId), { code: 'KEY_UNWRAP_FAILED' });
+});
+
+test('Envelope - rewrapKey reescreve apenas o header', async () => {
+  const oldMasterKey = generateMasterKey();
+  const newMasterKey = generateMasterKey();
+  const videoId = 'envelope-rewrap';
+  const filePath = await createEncrypted(videoId, oldMasterKey, {
+    envelope: true,
+    index: true,
+    keyCommitment: true
+  });
+  const before = fs.readFileSync(filePath);
+
+  const result = await rewrapKey({ filePath, oldMasterKey, newMasterKey, videoId });
+  const after = fs.readFileSync(filePath);
+
+  assert.strictEqual(result.keyWrap, 'aes-kw');
+  assert.strictEqual(after.length, before.length);
+  assert.deepStrictEqual(after.slice(result.headerSize), before.slice(result.headerSize));
+  assert.notDeepStrictEqual(after.slice(0, result.headerSize), before.slice(0, result.headerSize));
+
+  assert.deepStrictEqual(await decryptToBuffer(filePath, newMasterKey, videoId), testData);
+  await assert.rejects(decryptToBuffer(filePath, oldMasterKey, videoId), { code: 'KEY_UNWRAP_FAILED' });
+
+  const reader = await EncryptedVideoReader.open({ filePath, masterKey: newMasterKey, videoId });
+  try {
+    assert.deepStrictEqual(await reader.read(1000, 2000), testData.slice(1000, 3000));
+  } finally {
+    await reader.close();
+  }
+});
+
+test('Envelope - rewrapKey com master key antiga incorreta não altera o arquivo', async () => {
+  const masterKey = generateMasterKey();
+  const videoId = 'envelope-wrong-key';
+  const filePath = await createEncrypted(videoId, masterKey, { envelope: true });
+  const before = fs.readFileSync(filePath);
+
+  await assert.rejects(
+    rewrapKey({ filePath, oldMasterKey: generateMasterKey(), newMasterKey: generateMasterKey(), videoId }),
+    { code: 'KEY_UNWRAP_FAILED' }
+  );
+  assert.deepStrictEqual(fs.readFileSync(filePath), before);
+});
+
+test('Envelope - rewrapKey exige envelope e encoding binary', async () => {
+  const masterKey = generateMasterKey();
+  const plain = await createEncrypted('envelope-none', masterKey);
+  const text = await createEncrypted('envelope-text', masterKey, { envelope: true, encoding: 'base64' });
+
+  await assert.rejects(
+    rewrapKey({ filePath: plain, oldMasterKey: masterKey, newMasterKey: generateMasterKey(), videoId: 'envelope-none' }),
+    /não usa envelope/
+  );
+  await assert.rejects(
+    rewrapKey({ filePath: text, oldMasterKey: masterKey, newMasterKey: generateMasterKey(), videoId: 'envelope-text' }),
+    /encoding binary/
+  );
+});
+
+test('Envelope - reencryptFile gera nova data key embrulhada', async () => {
+  const oldMasterKey = generateMasterKey();
+  const newMasterKey = generateMasterKey();
+  const videoId = 'envelope-reencrypt';
+  const inputPath = await createEncrypted(videoId, oldMasterKey, { envelope: 'aes-gcm' });
+  const outputPath = path.join(testDir, `${videoId}.new.enc`);
+
+  await reencryptFile({ inputPath, outputPath, oldMasterKey, newMasterKey, videoId });
+
+  const reader = await EncryptedVideoReader.open({ filePath: outputPath, masterKey: newMasterKey, videoId });
+  try {
+    assert.strictEqual(reader.header.keyWrap, 'aes-gcm');
+  } finally {
+    await reader.close();
+  }
+  assert.deepStrictEqual(await decryptToBuffer(outputPath, newMasterKey, videoId), testData);
+});
+
+test('Cleanup', () => {
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
@@ -0,0 +1,260 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  Keyring,
+  computeMasterKeyId,
+  encryptFile,
+  decryptFile,
+  encryptBuffer,
+  decryptBuffer,
+  reencryptFile,
+  rewrapKey,
+  generateMasterKey,
+  FileHeader,
+  EncryptedVideoReader,
+  CONFIG
+} from '../src/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const testDir = path.join(__dirname, 'temp-keyring');
+
+if (!fs.existsSync(testDir)) {
+  fs.mkdirSync(testDir, { recursive: true });
+}
+
+const testData = crypto.randomBytes(4 * 1024 + 33);
+
+async function createEncrypted(name, keySource, options = {}) {
+  const inputPath = path.join(testDir, `${name}.bin`);
+  const outputPath = path.join(testDir, `${name}.enc`);
+  fs.writeFileSync(inputPath, testData);
+
+  await encryptFile({ inputPath, outputPath, videoId: name, chunkSize: 1024, ...keySource, ...options });
+  return outputPath;
+}
+
+async function decryptToBuffer(inputPath, keySource, videoId) {
+  const outputPath = `${inputPath}.dec`;
+  await decryptFile({ inputPath, outputPath, videoId, ...keySource });
+  return fs.readFileSync(outputPath);
+}
+
+test('Keyring - computeMasterKeyId é determinístico e não expõe a chave', () => {
+  const masterKey = generateMasterKey();
+  const keyId = computeMasterKeyId(masterKey);
+
+  assert.match(keyId, /^[0-9a-f]{16}$/);
+  assert.strictEqual(computeMasterKeyId(masterKey), keyId);
+  assert.notStrictEqual(computeMasterKeyId(generateMasterKey()), keyId);
+  assert.ok(!masterKey.toString('hex').includes(keyId));
+});
+
+test('Keyring - ciclo de vida das chaves', () => {
+  const keyring = Keyring.generate();
+  const first = keyring.activeKeyId;
+  const second = keyring.generateKey();
+
+  assert.strictEqual(keyring.activeKeyId, second);
+  assert.deepStrictEqual(
+    keyring.list().map(({ keyId, state }) => [keyId, state]),
+    [[first, 'decrypt-only'], [second, 'active']]
+  );
+  assert.ok(Buffer.isBuffer(keyring.getKey(first)));
+
+  keyring.setState(first, 'retired');
+  assert.throws(() => keyring.getKey(first), { code: 'KEY_RETIRED' });
+
+  keyring.setState(first, 'decrypt-only');
+  assert.ok(Buffer.isBuffer(keyring.getKey(first)));
+
+  keyring.destroy(first);
+  assert.throws(() => keyring.getKey(first), { code: 'KEY_DESTROYED' });
+  assert.throws(() => keyring.activate(first), /destruída/);
+
+  keyring.setState(second, 'decrypt-only');
+  assert.strictEqual(keyring.activeKeyId, null);
+  assert.throws(() => keyring.getActiveKey(), { code: 'NO_ACTIVE_KEY' });
+  assert.throws(() => keyring.getKey('0000000000000000'), { code: 'KEY_NOT_FOUND' });
+});
+
+test('Keyring - addKey valida chave, estado e duplicatas', () => {
+  const keyring = new Keyring();
+  const masterKey = generateMasterKey();
+  const createdAt = new Date('2024-01-01T00:00:00Z');
+
+  const keyId = keyring.addKey(masterKey, { state: 'active', createdAt });
+  assert.strictEqual(keyId, computeMasterKeyId(masterKey));
+  assert.strictEqual(keyring.list()[0].createdAt, createdAt.toISOString());
+
+  assert.throws(() => keyring.addKey(masterKey), /já está no keyring/);
+  assert.throws(() => keyring.addKey(generateMasterKey(), { state: 'pending' }), { field: 'state' });
+  assert.throws(() => keyring.addKey(generateMasterKey(), { state: 'destroyed' }), { field: 'state' });
+  assert.throws(() => keyring.addKey(Buffer.alloc(16)), /Master key/);
+});
+
+test('Keyring - save e load com arquivo criptografado', async () => {
+  const wrappingKey = generateMasterKey();
+  const keyring = Keyring.generate();
+  const old = keyring.activeKeyId;
+  keyring.generateKey();
+  keyring.destroy(old);
+
+  const filePath = path.join(testDir, 'keyring.json');
+  await keyring.save(filePath, wrappingKey);
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const data = JSON.parse(content);
+  assert.strictEqual(data.format, CONFIG.KEYRING.FILE_FORMAT);
+  assert.strictEqual(data.version, CONFIG.KEYRING.FILE_VERSION);
+  assert.ok(!content.includes(keyring.activeKeyId));
+  assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+
+  const loaded = await Keyring.load(filePath, wrappingKey);
+  assert.deepStrictEqual(loaded.list(), keyring.list());
+  assert.deepStrictEqual(loaded.getActiveKey(), keyring.getActiveKey());
+  assert.throws(() => loaded.getKey(old), { code: 'KEY_DESTROYED' });
+});
+
+test('Keyring - load rejeita chave incorreta, adulteração e formato inválido', async () => {
+  const wrappingKey = generateMasterKey();
+  const filePath = path.join(testDir, 'keyring-invalid.json');
+  await Keyring.generate().save(filePath, wrappingKey);
+
+  await assert.rejects(Keyring.load(filePath, generateMasterKey()), { code: 'KEYRING_DECRYPTION_FAILED' });
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const ciphertext = Buffer.from(data.ciphertext, 'base64');
+  ciphertext[0] ^= 1;
+  assert.throws(
+    () => Keyring.deserialize({ ...data, ciphertext: ciphertext.toString('base64') }, wrappingKey),
+    { code: 'KEYRING_DECRYPTION_FAILED' }
+  );
+  assert.throws(() => Keyring.deserialize({ ...data, version: 99 }, wrappingKey), /Keyring inválido/);
+
+  fs.writeFileSync(filePath, '{ not json');
+  await assert.rejects(Keyring.load(filePath, wrappingKey), /JSON malformado/);
+});
+
+test('Keyring - encryptFile grava o key id e decryptFile escolhe a chave', async () => {
+  const keyring = Keyring.generate();
+  const oldKeyId = keyring.activeKeyId;
+  const oldFile = await createEncrypted('keyring-old', { keyring }, { envelope: true });
+
+  keyring.generateKey();
+  const newFile = await createEncrypted('keyring-new', { keyring }, { encoding: 'base64' });
+
+  const reader = await EncryptedVideoReader.open({ filePath: oldFile, keyring, videoId: 'keyring-old' });
+  try {
+    assert.strictEqual(reader.header.keyId, oldKeyId);
+    assert.deepStrictEqual(await reader.read(100, 500), testData.slice(100, 600));
+  } finally {
+    await reader.close();
+  }
+
+  assert.deepStrictEqual(await decryptToBuffer(oldFile, { keyring }, 'keyring-old'), testData);
+  assert.deepStrictEqual(await decryptToBuffer(newFile, { keyring }, 'keyring-new'), testData);
+
+  // Master key avulsa: confere o key id
+  assert.deepStrictEqual(
+    await decryptToBuffer(oldFile, { masterKey: keyring.getKey(oldKeyId) }, 'keyring-old'),
+    testData
+  );
+  await assert.rejects(
+    decryptToBuffer(oldFile, { masterKey: keyring.getActiveKey().key }, 'keyring-old'),
+    { code: 'KEY_ID_MISMATCH' }
+  );
+
+  keyring.setState(oldKeyId, 'retired');
+  await assert.rejects(decryptToBuffer(oldFile, { keyring }, 'keyring-old'), { code: 'KEY_RETIRED' });
+});
+
+test('Keyring - encryptBuffer grava o key id e decryptBuffer escolhe a chave', async () => {
+  const keyring = Keyring.generate();
+  const oldKeyId = keyring.activeKeyId;
+  const chunks = await encryptBuffer({ data: testData, keyring, videoId: 'keyring-buffer', chunkSize: 1024 });
+
+  assert.strictEqual(FileHeader.fromBuffer(chunks[0]).keyId, oldKeyId);
+
+  // Após a rotação, a chave antiga continua escolhida pelo key id
+  keyring.generateKey();
+  assert.deepStrictEqual(await decryptBuffer({ chunks, keyring, videoId: 'keyring-buffer' }), testData);
+  assert.deepStrictEqual(
+    await decryptBuffer({ chunks, masterKey: keyring.getKey(oldKeyId), videoId: 'keyring-buffer' }),
+    testData
+  );
+  await assert.rejects(
+    decryptBuffer({ chunks, masterKey: keyring.getActiveKey().key, videoId: 'keyring-buffer' }),
+    { code: 'KEY_ID_MISMATCH' }
+  );
+});
+
+test('Keyring - key id não entra no AAD do header', () => {
+  const header = FileHeader.create({ videoId: 'video' });
+  const context = header.getAADContext();
+
+  header.setExtension(CONFIG.FORMAT.EXTENSIONS.KEY_ID, crypto.randomBytes(8));
+  assert.deepStrictEqual(header.getAADContext(), context);
+  assert.strictEqual(FileHeader.create({ videoId: 'video' }).keyId, null);
+});
+
+test('Keyring - masterKey e keyring são mutuamente exclusivos', async () => {
+  const keyring = Keyring.generate();
+
+  await assert.rejects(
+    createEncrypted('keyring-both', { keyring, masterKey: generateMasterKey() }),
+    /apenas uma de/
+  );
+  await assert.rejects(createEncrypted('keyring-type', { keyring: {} }), { field: 'keyring' });
+});
+
+test('Keyring - reencryptFile e rewrapKey migram para a chave ativa', async () => {
+  const keyring = Keyring.generate();
+  const reencrypted = await createEncrypted('keyring-reencrypt', { keyring });
+  const rewrapped = await createEncrypted('keyring-rewrap', { keyring }, { envelope: 'aes-gcm' });
+  const oldKeyId = keyring.activeKeyId;
+
+  const newKeyId = keyring.generateKey();
+
+  await reencryptFile({ inputPath: reencrypted, outputPath: reencrypted, keyring, videoId: 'keyring-reencrypt' });
+  await rewrapKey({ filePath: rewrapped, keyring, videoId: 'keyring-rewrap' });
+
+  // Arquivos migrados não dependem mais da chave antiga
+  keyring.destroy(oldKeyId);
+
+  for (const [filePath, videoId] of [[reencrypted, 'keyring-reencrypt'], [rewrapped, 'keyring-rewrap']]) {
+    const reader = await EncryptedVideoReader.open({ filePath, keyring, videoId });
+    try {
+      assert.strictEqual(reader.header.keyId, newKeyId);
+    } finally {
+      await reader.close();
+    }
+    assert.deepStrictEqual(await decryptToBuffer(filePath, { keyring }, videoId), testData);
+  }
+});
+
+test('Keyring - rewrapKey com master keys atualiza o key id', async () => {
+  const keyring = Keyring.generate();
+  const filePath = await createEncrypted('keyring-rewrap-keys', { keyring }, { envelope: true });
+  const newMasterKey = generateMasterKey();
+
+  await rewrapKey({
+    filePath,
+    oldMasterKey: keyring.getActiveKey().key,
+    newMasterKey,
+    videoId: 'keyring-rewrap-keys'
+  });
+
+  assert.deepStrictEqual(
+    await decryptToBuffer(filePath, { masterKey: newMasterKey }, 'keyring-rewrap-keys'),
+    testData
+  );
+});
+
+test('Cleanup', () => {
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
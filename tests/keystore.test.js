@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import {
+  exportEncryptedKeystore,
+  importEncryptedKeystore,
+  generateMasterKey,
+  computeMasterKeyId,
+  canonicalJSON,
+  CONFIG
+} from '../src/index.js';
+
+// Parâmetros mínimos para manter os testes rápidos
+const FAST = { N: CONFIG.PASSPHRASE.MIN_N, r: 8, p: 1 };
+
+test('Keystore - exporta e importa a master key', async () => {
+  const masterKey = generateMasterKey();
+  const json = await exportEncryptedKeystore(masterKey, 'senha forte', FAST);
+  const keystore = JSON.parse(json);
+
+  assert.strictEqual(keystore.format, CONFIG.KEYSTORE.FORMAT);
+  assert.strictEqual(keystore.version, CONFIG.KEYSTORE.VERSION);
+  assert.strictEqual(keystore.keyId, computeMasterKeyId(masterKey));
+  assert.strictEqual(keystore.crypto.cipher, 'aes-256-ctr');
+  assert.strictEqual(keystore.crypto.kdf.kdf, 'scrypt');
+  assert.strictEqual(keystore.crypto.kdf.N, FAST.N);
+  assert.ok(!json.includes(masterKey.toString('hex')));
+  assert.ok(!json.includes(masterKey.toString('base64')));
+
+  assert.deepStrictEqual(await importEncryptedKeystore(json, 'senha forte'), masterKey);
+  assert.deepStrictEqual(await importEncryptedKeystore(keystore, 'senha forte'), masterKey);
+});
+
+test('Keystore - senha incorreta gera WRONG_PASSWORD', async () => {
+  const json = await exportEncryptedKeystore(generateMasterKey(), 'senha forte', FAST);
+
+  await assert.rejects(importEncryptedKeystore(json, 'senha fraca'), {
+    name: 'SecurityError',
+    code: 'WRONG_PASSWORD'
+  });
+});
+
+test('Keystore - arquivo corrompido é distinto de senha incorreta', async () => {
+  const keystore = JSON.parse(await exportEncryptedKeystore(generateMasterKey(), 'senha forte', FAST));
+
+  const ciphertext = Buffer.from(keystore.crypto.ciphertext, 'base64');
+  ciphertext[0] ^= 1;
+  const damaged = { ...keystore, crypto: { ...keystore.crypto, ciphertext: ciphertext.toString('base64') } };
+  await assert.rejects(importEncryptedKeystore(damaged, 'senha forte'), {
+    name: 'IntegrityError',
+    field: 'checksum'
+  });
+  await assert.rejects(importEncryptedKeystore({ ...keystore, keyId: '0000000000000000' }, 'senha forte'), {
+    name: 'IntegrityError'
+  });
+
+  await assert.rejects(importEncryptedKeystore('{ not json', 'senha forte'), /JSON malformado/);
+  await assert.rejects(importEncryptedKeystore({ ...keystore, version: 99 }, 'senha forte'), /Keystore inválido/);
+  const { mac, ...noMac } = keystore.crypto;
+  await assert.rejects(importEncryptedKeystore({ ...keystore, crypto: noMac }, 'senha forte'), /Keystore inválido/);
+});
+
+test('Keystore - conteúdo adulterado com checksum recalculado falha no MAC', async () => {
+  const masterKey = generateMasterKey();
+  const keystore = JSON.parse(await exportEncryptedKeystore(masterKey, 'senha forte', FAST));
+  const other = JSON.parse(await exportEncryptedKeystore(generateMasterKey(), 'senha forte', FAST));
+
+  // Troca o ciphertext e recalcula o checksum: só o MAC (com a senha) detecta
+  const { checksum, ...body } = { ...keystore, crypto: { ...keystore.crypto, ciphertext: other.crypto.ciphertext } };
+  const forged = { ...body, checksum: crypto.createHash('sha256').update(canonicalJSON(body)).digest('hex') };
+
+  await assert.rejects(importEncryptedKeystore(forged, 'senha forte'), { code: 'WRONG_PASSWORD' });
+});
+
+test('Keystore - valida entradas', async () => {
+  await assert.rejects(exportEncryptedKeystore(Buffer.alloc(16), 'senha', FAST), /Master key/);
+  await assert.rejects(exportEncryptedKeystore(generateMasterKey(), '', FAST), { field: 'passphrase' });
+  await assert.rejects(exportEncryptedKeystore(generateMasterKey(), 'senha', { ...FAST, N: 1024 }), { field: 'N' });
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MerkleTree, hashChunkLeaf, verifyChunkProof } from '../src/core/merkle.js';
+import { encryptChunk, EncryptedChunk } from '../src/core/chunk-crypto.js';
+import { ChunkDeserializationStream } from '../src/core/decryption-stream.js';
+import { encryptFile } from '../src/core/file-crypto.js';
+import { validateManifest } from '../src/utils/integrity.js';
+import { generateMasterKey, deriveVideoKey } from '../src/utils/hkdf.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const testDir = path.join(__dirname, 'temp-merkle');
+
+if (!fs.existsSync(testDir)) {
+  fs.mkdirSync(testDir, { recursive: true });
+}
+
+function createChunks(count) {
+  const videoKey = deriveVideoKey(generateMasterKey(), 'video-merkle');
+  return Array.from({ length: count }, (_, i) =>
+    encryptChunk(crypto.randomBytes(64), videoKey, 'video-merkle', i)
+  );
+}
+
+test('MerkleTree - provas válidas para qualquer número de folhas', async () => {
+  for (let count = 1; count <= 9; count++) {
+    const chunks = createChunks(count);
+    const tree = await MerkleTree.fromChunks(chunks);
+    const manifest = { merkleRoot: tree.root, totalChunks: count };
+
+    assert.strictEqual(tree.leafCount, count);
+    assert.match(tree.root, /^[0-9a-f]{64}$/);
+
+    for (const chunk of chunks) {
+      assert.ok(verifyChunkProof(chunk, tree.getProof(chunk.index), manifest), `${count}/${chunk.index}`);
+    }
+  }
+
+  // Uma folha: a raiz é o próprio hash do chunk
+  const [single] = createChunks(1);
+  assert.strictEqual((await MerkleTree.fromChunks([single])).root, hashChunkLeaf(single).toString('hex'));
+});
+
+test('verifyChunkProof - deve rejeitar chunk, posição ou árvore incorretos', async () => {
+  const chunks = createChunks(6);
+  const tree = await MerkleTree.fromChunks(chunks);
+  const manifest = { merkleRoot: tree.root, totalChunks: 6 };
+  const proof = tree.getProof(2);
+
+  // Ciphertext adulterado
+  const tampered = EncryptedChunk.fromBuffer(chunks[2].toBuffer());
+  tampered.ciphertext[0] ^= 0x01;
+  assert.strictEqual(verifyChunkProof(tampered, proof, manifest), false);
+
+  // Chunk de outra posição com a prova do chunk 2
+  assert.strictEqual(verifyChunkProof(chunks[3], proof, manifest), false);
+  assert.strictEqual(verifyChunkProof(chunks[3], { ...proof, index: 3 }, manifest), false);
+
+  // Total de folhas diferente do manifest
+  assert.strictEqual(verifyChunkProof(chunks[2], { ...proof, leafCount: 7 }, manifest), false);
+
+  // Irmãos faltando ou sobrando
+  assert.strictEqual(verifyChunkProof(chunks[2], { ...proof, siblings: proof.siblings.slice(1) }, manifest), false);
+  assert.strictEqual(
+    verifyChunkProof(chunks[2], { ...proof, siblings: [...proof.siblings, proof.siblings[0]] }, manifest),
+    false
+  );
+
+  // Outra raiz
+  assert.strictEqual(verifyChunkProof(chunks[2], proof, { ...manifest, merkleRoot: 'f'.repeat(64) }), false);
+  assert.throws(() => tree.getProof(6), /fora da árvore/);
+  assert.throws(() => new MerkleTree([]), /ao menos uma folha/);
+});
+
+test('encryptFile com merkle - raiz no manifest e verificação por relays', async () => {
+  const inputPath = path.join(testDir, 'merkle.bin');
+  const encryptedPath = path.join(testDir, 'merkle.enc');
+  fs.writeFileSync(inputPath, crypto.randomBytes(7 * 1024 + 5));
+
+  const masterKey = generateMasterKey();
+  const stats = await encryptFile({
+    inputPath,
+    outputPath: encryptedPath,
+    masterKey,
+    videoId: 'video-merkle',
+    chunkSize: 1024,
+    manifest: true,
+    merkle: true
+  });
+
+  const { manifest, merkleTree } = stats;
+  assert.strictEqual(manifest.merkleRoot, merkleTree.root);
+  assert.strictEqual(merkleTree.leafCount, manifest.totalChunks);
+  assert.ok(validateManifest(manifest, masterKey));
+
+  // O relay lê os chunks do arquivo (sem a chave) e verifica cada um isoladamente
+  const chunks = [];
+  for await (const item of fs.createReadStream(encryptedPath).pipe(new ChunkDeserializationStream())) {
+    if (item instanceof EncryptedChunk) {
+      chunks.push(item);
+    }
+  }
+
+  for (const chunk of chunks) {
+    assert.ok(verifyChunkProof(chunk, merkleTree.getProof(chunk.index), manifest));
+  }
+
+  // A árvore pode ser reconstruída a partir do arquivo
+  const rebuilt = await MerkleTree.fromChunks(
+    fs.createReadStream(encryptedPath).pipe(new ChunkDeserializationStream())
+  );
+  assert.strictEqual(rebuilt.root, manifest.merkleRoot);
+});
+
+test('Cleanup', () => {
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
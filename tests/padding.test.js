@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import {
+  normalizePadding,
+  paddedLength,
+  buildPaddedChunks,
+  parsePaddedChunk
+} from '../src/utils/padding.js';
+import { FileHeader } from '../src/core/file-header.js';
+import { EncryptionStream } from '../src/core/encryption-stream.js';
+import { DecryptionStream } from '../src/core/decryption-stream.js';
+import { decryptChunk, EncryptedChunk } from '../src/core/chunk-crypto.js';
+import { generateMasterKey, deriveVideoKey } from '../src/utils/hkdf.js';
+import { CONFIG } from '../src/config.js';
+
+const chunkSize = 1024;
+
+async function encrypt(data, options) {
+  const videoId = 'video-padding';
+  const videoKey = deriveVideoKey(generateMasterKey(), videoId);
+  const header = FileHeader.create({ videoId, chunkSize });
+  const stream = new EncryptionStream(videoKey, videoId, { header, ...options });
+
+  const outputs = [];
+  stream.on('data', item => outputs.push(item));
+  stream.end(data);
+  await new Promise((resolve, reject) => stream.on('end', resolve).on('error', reject));
+
+  const chunks = outputs.filter(item => item instanceof EncryptedChunk);
+  const fileSize = chunks.reduce((sum, chunk) => sum + chunk.ciphertext.length, 0);
+  return { videoId, videoKey, header, outputs, chunks, fileSize, stats: stream.getStats() };
+}
+
+test('Padding - buckets', () => {
+  const pow2 = normalizePadding('pow2');
+  assert.strictEqual(paddedLength(1000, pow2), 1024);
+  assert.strictEqual(paddedLength(1024, pow2), 1024);
+  assert.strictEqual(paddedLength(1025, pow2), 2048);
+
+  const multiple = normalizePadding({ scheme: 'multiple', multiple: 4096 });
+  assert.strictEqual(paddedLength(1, multiple), 1);
+  assert.strictEqual(paddedLength(4097, multiple), 8192);
+
+  // Padmé: 1000 = 0b1111101000 → E=9, S=4, múltiplo de 32
+  const padme = normalizePadding('padme');
+  assert.strictEqual(paddedLength(1000, padme), 1024);
+  assert.strictEqual(paddedLength(1_000_000, padme), 1_015_808);
+  assert.ok(paddedLength(123_456_789, padme) / 123_456_789 < 1.12);
+});
+
+test('Padding - opções inválidas', () => {
+  assert.throws(() => normalizePadding('random'), { field: 'padding' });
+  assert.throws(() => normalizePadding({ scheme: 'multiple' }), { field: 'padding' });
+  assert.throws(() => normalizePadding({ scheme: 'pow2', multiple: 16 }), { field: 'padding' });
+  assert.throws(() => normalizePadding({ scheme: 'pow2', target: 'stream' }), { field: 'padding' });
+  assert.throws(
+    () => FileHeader.create({ videoId: 'video', padding: 'pow2', compression: 'gzip' }),
+    { field: 'padding' }
+  );
+});
+
+test('Padding - chunks montados comportam dados e trailer', () => {
+  const padding = normalizePadding('pow2');
+
+  // Dados restantes de um chunk inteiro não cabem com o trailer: dois chunks
+  const data = crypto.randomBytes(chunkSize);
+  const chunks = buildPaddedChunks(data, { totalSize: 5 * chunkSize, firstIndex: 4, chunkSize, padding });
+  const total = 4 * chunkSize + chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+
+  assert.strictEqual(total, paddedLength(total, padding));
+  assert.ok(chunks.every(chunk => chunk.length <= chunkSize));
+
+  const parsed = chunks.map(parsePaddedChunk);
+  assert.deepStrictEqual(Buffer.concat(parsed.map(part => part.data)), data);
+  assert.ok(parsed.every(part => part.totalSize === 5 * chunkSize && part.firstPaddedIndex === 4));
+});
+
+for (const scheme of ['pow2', 'padme']) {
+  test(`Padding - tamanhos próximos produzem o mesmo arquivo (${scheme})`, async () => {
+    const a = await encrypt(crypto.randomBytes(5000), { padding: scheme });
+    const b = await encrypt(crypto.randomBytes(5100), { padding: scheme });
+
+    assert.strictEqual(a.fileSize, b.fileSize);
+    assert.strictEqual(a.chunks.length, b.chunks.length);
+    assert.strictEqual(a.header.padding.scheme, scheme);
+  });
+}
+
+test('Padding - target chunk completa apenas o chunk final', async () => {
+  const data = crypto.randomBytes(3 * chunkSize + 100);
+  const { chunks, stats } = await encrypt(data, { padding: { scheme: 'pow2', target: 'chunk' } });
+
+  assert.strictEqual(chunks.length, 4);
+  assert.strictEqual(chunks[3].ciphertext.length, 128);
+  assert.ok(chunks.slice(0, 3).every(chunk => !(chunk.flags & CONFIG.FORMAT.CHUNK_FLAGS.PADDED)));
+  assert.strictEqual(stats.paddingBytes, 28);
+});
+
+test('Padding - DecryptionStream remove o padding e stats reportam o overhead', async () => {
+  const data = crypto.randomBytes(3 * chunkSize + 100);
+  const { videoId, videoKey, outputs, fileSize, stats } = await encrypt(data, {
+    padding: { scheme: 'multiple', multiple: 8192 }
+  });
+
+  assert.strictEqual(fileSize, 8192);
+  assert.strictEqual(stats.bytesProcessed, data.length);
+  assert.strictEqual(stats.paddingBytes, 8192 - data.length);
+  assert.strictEqual(stats.paddingOverhead, (8192 - data.length) / data.length);
+
+  const decryption = new DecryptionStream(videoKey, videoId);
+  const parts = [];
+  decryption.on('data', part => parts.push(part));
+  outputs.forEach(item => decryption.write(item));
+  decryption.end();
+  await new Promise((resolve, reject) => decryption.on('end', resolve).on('error', reject));
+
+  assert.deepStrictEqual(Buffer.concat(parts), data);
+  assert.strictEqual(decryption.getStats().bytesProcessed, data.length);
+});
+
+test('Padding - stream vazio', async () => {
+  const { videoId, videoKey, header, chunks } = await encrypt(Buffer.alloc(0), { padding: 'pow2' });
+
+  assert.strictEqual(chunks.length, 1);
+  assert.strictEqual(chunks[0].ciphertext.length, CONFIG.FORMAT.PADDING.TRAILER_SIZE);
+  assert.strictEqual(decryptChunk(chunks[0], videoKey, videoId, { header }).length, 0);
+});
+
+test('Padding - flag PADDED é autenticada', async () => {
+  const { videoId, videoKey, header, chunks } = await encrypt(crypto.randomBytes(100), { padding: 'pow2' });
+
+  const forged = EncryptedChunk.fromBuffer(chunks[0].toBuffer());
+  forged.flags &= ~CONFIG.FORMAT.CHUNK_FLAGS.PADDED;
+
+  assert.throws(() => decryptChunk(forged, videoKey, videoId, { header }), /Falha na autenticação/);
+});
+
+test('Padding - requer header e é incompatível com compressão', () => {
+  const videoKey = deriveVideoKey(generateMasterKey(), 'video');
+
+  assert.throws(() => new EncryptionStream(videoKey, 'video', { padding: 'pow2' }), { field: 'padding' });
+  assert.throws(
+    () => new EncryptionStream(videoKey, 'video', {
+      header: FileHeader.create({ videoId: 'video' }),
+      padding: 'pow2',
+      compression: 'gzip'
+    }),
+    { field: 'padding' }
+  );
+});
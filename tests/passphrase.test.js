@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import {
+  deriveMasterKeyFromPassphrase,
+  calibrateScryptParams,
+  computeMasterKeyId,
+  encryptBuffer,
+  decryptBuffer,
+  CONFIG
+} from '../src/index.js';
+
+// Parâmetros mínimos para manter os testes rápidos
+const FAST = { N: CONFIG.PASSPHRASE.MIN_N, r: 8, p: 1 };
+
+test('Passphrase - deriva master key com registro auto-descritivo', async () => {
+  const { masterKey, record } = await deriveMasterKeyFromPassphrase('correct horse battery staple', FAST);
+
+  assert.strictEqual(masterKey.length, CONFIG.CRYPTO.KEY_LENGTH);
+  assert.deepStrictEqual(Object.keys(record), ['kdf', 'version', 'N', 'r', 'p', 'salt']);
+  assert.strictEqual(record.kdf, 'scrypt');
+  assert.strictEqual(Buffer.from(record.salt, 'base64').length, CONFIG.PASSPHRASE.SALT_LENGTH);
+
+  const expected = crypto.scryptSync(
+    'correct horse battery staple',
+    Buffer.from(record.salt, 'base64'),
+    32,
+    { N: FAST.N, r: FAST.r, p: FAST.p }
+  );
+  assert.deepStrictEqual(masterKey, expected);
+});
+
+test('Passphrase - o registro (JSON) re-deriva a mesma chave', async () => {
+  const { masterKey, record } = await deriveMasterKeyFromPassphrase('passphrase', FAST);
+  const stored = JSON.parse(JSON.stringify(record));
+
+  const again = await deriveMasterKeyFromPassphrase('passphrase', stored);
+  assert.deepStrictEqual(again.masterKey, masterKey);
+  assert.deepStrictEqual(again.record, record);
+
+  const wrong = await deriveMasterKeyFromPassphrase('passphrasE', stored);
+  assert.notStrictEqual(computeMasterKeyId(wrong.masterKey), computeMasterKeyId(masterKey));
+
+  // A chave derivada é uma master key comum
+  const chunks = await encryptBuffer({ data: Buffer.from('conteúdo'), masterKey, videoId: 'video', usageTracker: null });
+  const restored = await decryptBuffer({ chunks, masterKey: again.masterKey, videoId: 'video' });
+  assert.strictEqual(restored.toString(), 'conteúdo');
+});
+
+test('Passphrase - salts diferentes geram chaves diferentes', async () => {
+  const a = await deriveMasterKeyFromPassphrase('mesma passphrase', FAST);
+  const b = await deriveMasterKeyFromPassphrase('mesma passphrase', FAST);
+
+  assert.notStrictEqual(a.record.salt, b.record.salt);
+  assert.notDeepStrictEqual(a.masterKey, b.masterKey);
+});
+
+test('Passphrase - normaliza Unicode (NFC)', async () => {
+  const salt = crypto.randomBytes(16);
+  const composed = await deriveMasterKeyFromPassphrase('ma\u00e7\u00e3', { ...FAST, salt });
+  const decomposed = await deriveMasterKeyFromPassphrase('mac\u0327a\u0303', { ...FAST, salt });
+
+  assert.deepStrictEqual(composed.masterKey, decomposed.masterKey);
+});
+
+test('Passphrase - padrões seguros', async () => {
+  const { record } = await deriveMasterKeyFromPassphrase('padrões', { salt: crypto.randomBytes(16) });
+
+  assert.strictEqual(record.N, 2 ** 17);
+  assert.strictEqual(record.r, 8);
+  assert.strictEqual(record.p, 1);
+});
+
+test('Passphrase - rejeita parâmetros, salt e registro inválidos', async () => {
+  await assert.rejects(deriveMasterKeyFromPassphrase('', FAST), { field: 'passphrase' });
+  await assert.rejects(deriveMasterKeyFromPassphrase(null, FAST), { field: 'passphrase' });
+  await assert.rejects(deriveMasterKeyFromPassphrase('x', { ...FAST, N: 1024 }), { field: 'N' });
+  await assert.rejects(deriveMasterKeyFromPassphrase('x', { ...FAST, N: 20000 }), { field: 'N' });
+  await assert.rejects(deriveMasterKeyFromPassphrase('x', { ...FAST, r: 0 }), { field: 'r' });
+  await assert.rejects(deriveMasterKeyFromPassphrase('x', { ...FAST, p: 0 }), { field: 'p' });
+  await assert.rejects(deriveMasterKeyFromPassphrase('x', { N: 2 ** 24, r: 8, p: 1 }), /memória/);
+  await assert.rejects(deriveMasterKeyFromPassphrase('x', { ...FAST, salt: Buffer.alloc(8) }), { field: 'salt' });
+  await assert.rejects(deriveMasterKeyFromPassphrase('x', { ...FAST, kdf: 'pbkdf2' }), { field: 'kdf' });
+  await assert.rejects(deriveMasterKeyFromPassphrase('x', { ...FAST, version: 2 }), { field: 'kdf' });
+});
+
+test('Passphrase - calibração respeita o alvo e o mínimo', async () => {
+  const fast = await calibrateScryptParams({ targetMs: 1 });
+  assert.strictEqual(fast.N, CONFIG.PASSPHRASE.MIN_N);
+
+  const calibrated = await calibrateScryptParams({ targetMs: 300 });
+  assert.ok(calibrated.N >= CONFIG.PASSPHRASE.MIN_N);
+  assert.strictEqual(calibrated.N & (calibrated.N - 1), 0);
+  assert.ok(calibrated.N === CONFIG.PASSPHRASE.MIN_N || calibrated.estimatedMs <= 300);
+  assert.strictEqual(calibrated.r, 8);
+
+  await assert.rejects(calibrateScryptParams({ targetMs: 0 }), { field: 'targetMs' });
+});
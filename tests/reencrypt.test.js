@@ -0,0 +1,184 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import {
+  encryptFile,
+  decryptFile,
+  reencryptFile,
+  generateMasterKey,
+  deriveVideoKey,
+  EncryptionStream,
+  ChunkSerializationStream,
+  TextEncodingStream,
+  FileHeader,
+  EncryptedVideoReader
+} from '../src/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const testDir = path.join(__dirname, 'temp-reencrypt');
+
+if (!fs.existsSync(testDir)) {
+  fs.mkdirSync(testDir, { recursive: true });
+}
+
+const testData = crypto.randomBytes(5 * 1024 + 123);
+
+async function createEncrypted(name, masterKey, options = {}) {
+  const inputPath = path.join(testDir, `${name}.bin`);
+  const outputPath = path.join(testDir, `${name}.enc`);
+  fs.writeFileSync(inputPath, testData);
+
+  await encryptFile({ inputPath, outputPath, masterKey, videoId: name, chunkSize: 1024, ...options });
+  return outputPath;
+}
+
+async function decryptToBuffer(inputPath, masterKey, videoId) {
+  const outputPath = `${inputPath}.dec`;
+  await decryptFile({ inputPath, outputPath, masterKey, videoId });
+  return fs.readFileSync(outputPath);
+}
+
+test('reencryptFile - rotaciona a master key', async () => {
+  const oldMasterKey = generateMasterKey();
+  const newMasterKey = generateMasterKey();
+  const videoId = 'reencrypt-rotate';
+  const inputPath = await createEncrypted(videoId, oldMasterKey);
+  const outputPath = path.join(testDir, `${videoId}.new.enc`);
+
+  const stats = await reencryptFile({ inputPath, outputPath, oldMasterKey, newMasterKey, videoId });
+
+  assert.strictEqual(stats.before.bytesProcessed, testData.length);
+  assert.strictEqual(stats.after.bytesProcessed, testData.length);
+  assert.strictEqual(stats.before.chunkSize, 1024);
+  assert.strictEqual(stats.after.chunkSize, 1024);
+  assert.strictEqual(stats.after.encoding, 'binary');
+  assert.strictEqual(stats.after.fileSize, fs.statSync(outputPath).size);
+
+  assert.deepStrictEqual(await decryptToBuffer(outputPath, newMasterKey, videoId), testData);
+  await assert.rejects(decryptToBuffer(outputPath, oldMasterKey, videoId), /Falha na autenticação/);
+  assert.deepStrictEqual(fs.readdirSync(testDir).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('reencryptFile - novo chunk size e encoding, no mesmo arquivo', async () => {
+  const oldMasterKey = generateMasterKey();
+  const newMasterKey = generateMasterKey();
+  const videoId = 'reencrypt-rechunk';
+  const inputPath = await createEncrypted(videoId, oldMasterKey, { encoding: 'armor' });
+
+  const stats = await reencryptFile({
+    inputPath,
+    outputPath: inputPath,
+    oldMasterKey,
+    newMasterKey,
+    videoId,
+    newChunkSize: 2048,
+    newEncoding: 'z85'
+  });
+
+  assert.strictEqual(stats.before.encoding, 'armor');
+  assert.strictEqual(stats.before.chunksProcessed, 6);
+  assert.strictEqual(stats.after.encoding, 'z85');
+  assert.strictEqual(stats.after.totalChunks, 3);
+  assert.deepStrictEqual(await decryptToBuffer(inputPath, newMasterKey, videoId), testData);
+});
+
+test('reencryptFile - mantém cipher, índice e compromisso de chave', async () => {
+  const oldMasterKey = generateMasterKey();
+  const newMasterKey = generateMasterKey();
+  const videoId = 'reencrypt-format';
+  const inputPath = await createEncrypted(videoId, oldMasterKey, {
+    algorithm: 'chacha20-poly1305',
+    index: true,
+    keyCommitment: true
+  });
+  const outputPath = path.join(testDir, `${videoId}.new.enc`);
+
+  await reencryptFile({ inputPath, outputPath, oldMasterKey, newMasterKey, videoId });
+
+  const reader = await EncryptedVideoReader.open({ filePath: outputPath, masterKey: newMasterKey, videoId });
+  try {
+    assert.strictEqual(reader.header.algorithm, 'chacha20-poly1305');
+    assert.ok(reader.header.hasKeyCommitment);
+    assert.deepStrictEqual(await reader.read(0, testData.length), testData);
+  } finally {
+    await reader.close();
+  }
+});
+
+test('reencryptFile - chave antiga incorreta não altera o destino', async () => {
+  const oldMasterKey = generateMasterKey();
+  const videoId = 'reencrypt-wrong-key';
+  const inputPath = await createEncrypted(videoId, oldMasterKey);
+  const before = fs.readFileSync(inputPath);
+
+  await assert.rejects(
+    reencryptFile({
+      inputPath,
+      outputPath: inputPath,
+      oldMasterKey: generateMasterKey(),
+      newMasterKey: generateMasterKey(),
+      videoId
+    }),
+    /Falha na autenticação/
+  );
+
+  assert.deepStrictEqual(fs.readFileSync(inputPath), before);
+  assert.deepStrictEqual(fs.readdirSync(testDir).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('reencryptFile - videoId de outro arquivo', async () => {
+  const oldMasterKey = generateMasterKey();
+  const inputPath = await createEncrypted('reencrypt-owner', oldMasterKey);
+
+  await assert.rejects(
+    reencryptFile({
+      inputPath,
+      outputPath: path.join(testDir, 'other.enc'),
+      oldMasterKey,
+      newMasterKey: generateMasterKey(),
+      videoId: 'reencrypt-other'
+    }),
+    { code: 'VIDEO_ID_MISMATCH' }
+  );
+});
+
+test('reencryptFile - migra arquivo legado em base64 (encoding informado)', async () => {
+  const oldMasterKey = generateMasterKey();
+  const newMasterKey = generateMasterKey();
+  const videoId = 'reencrypt-legacy-base64';
+  const inputPath = path.join(testDir, `${videoId}.enc`);
+  const outputPath = path.join(testDir, `${videoId}.new.enc`);
+
+  // Formato legado: chunks sem header, em base64
+  await pipeline(
+    Readable.from([testData]),
+    new EncryptionStream(deriveVideoKey(oldMasterKey, videoId), videoId, { chunkSize: 1024 }),
+    new ChunkSerializationStream(),
+    new TextEncodingStream('base64'),
+    fs.createWriteStream(inputPath)
+  );
+
+  const stats = await reencryptFile({
+    inputPath,
+    outputPath,
+    oldMasterKey,
+    newMasterKey,
+    videoId,
+    encoding: 'base64'
+  });
+
+  assert.strictEqual(stats.before.encoding, 'base64');
+  assert.strictEqual(stats.after.encoding, 'base64');
+  assert.ok(FileHeader.hasMagic(Buffer.from(fs.readFileSync(outputPath, 'utf8').split('\n')[0], 'base64')));
+  assert.deepStrictEqual(await decryptToBuffer(outputPath, newMasterKey, videoId), testData);
+});
+
+test('Cleanup', () => {
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  generateSigningKeyPair,
+  computeKeyId,
+  computeChunkTagsHash,
+  signManifest,
+  verifyManifestSignature
+} from '../src/core/signature.js';
+import { ChunkDeserializationStream } from '../src/core/decryption-stream.js';
+import { encryptFile, encryptBuffer } from '../src/core/file-crypto.js';
+import { createManifest, validateManifest } from '../src/utils/integrity.js';
+import { generateMasterKey } from '../src/utils/hkdf.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const testDir = path.join(__dirname, 'temp-signature');
+
+if (!fs.existsSync(testDir)) {
+  fs.mkdirSync(testDir, { recursive: true });
+}
+
+function sampleManifest(masterKey) {
+  return createManifest({
+    videoId: 'video-signed',
+    totalChunks: 4,
+    chunkSize: 1024,
+    totalSize: 4000,
+    originalHash: 'a'.repeat(64),
+    masterKey
+  });
+}
+
+test('signManifest - assinatura verificável com a chave pública', () => {
+  const { publicKey, privateKey, keyId } = generateSigningKeyPair();
+  const masterKey = generateMasterKey();
+  const signed = signManifest(sampleManifest(masterKey), privateKey);
+
+  assert.strictEqual(signed.signature.algorithm, 'ed25519');
+  assert.strictEqual(signed.signature.keyId, keyId);
+  assert.strictEqual(verifyManifestSignature(signed, publicKey), true);
+
+  // PEM também é aceito
+  const pem = publicKey.export({ type: 'spki', format: 'pem' });
+  assert.strictEqual(verifyManifestSignature(signed, pem), true);
+
+  // A assinatura não invalida checksum nem MAC
+  assert.strictEqual(validateManifest(signed), true);
+  assert.strictEqual(validateManifest(signed, masterKey), true);
+});
+
+test('verifyManifestSignature - deve rejeitar adulteração e chave errada', () => {
+  const { privateKey } = generateSigningKeyPair();
+  const signed = signManifest(sampleManifest(), privateKey);
+
+  assert.strictEqual(verifyManifestSignature({ ...signed, totalSize: 1 }, privateKey), false);
+  assert.strictEqual(
+    verifyManifestSignature({ ...signed, signature: { ...signed.signature, keyId: 'outro' } }, privateKey),
+    false
+  );
+  assert.strictEqual(verifyManifestSignature(signed, generateSigningKeyPair().publicKey), false);
+  assert.strictEqual(verifyManifestSignature(sampleManifest(), privateKey), false);
+});
+
+test('verifyManifestSignature - seleciona a chave pelo keyId', () => {
+  const publisher = generateSigningKeyPair();
+  const other = generateSigningKeyPair();
+  const signed = signManifest(sampleManifest(), publisher.privateKey);
+
+  const trusted = {
+    [publisher.keyId]: publisher.publicKey,
+    [other.keyId]: other.publicKey
+  };
+
+  assert.strictEqual(verifyManifestSignature(signed, trusted), true);
+  assert.strictEqual(verifyManifestSignature(signed, { [other.keyId]: other.publicKey }), false);
+});
+
+test('signManifest - deve validar a chave', () => {
+  const { publicKey } = generateSigningKeyPair();
+  const { privateKey: rsaKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 });
+
+  assert.throws(() => signManifest(sampleManifest(), publicKey), /Chave deve ser do tipo private/);
+  assert.throws(() => signManifest(sampleManifest(), rsaKey), /Chave deve ser Ed25519/);
+  assert.throws(() => signManifest(sampleManifest(), 'não é PEM'), /Chave privada inválida/);
+  assert.strictEqual(computeKeyId(publicKey).length, 16);
+});
+
+test('computeChunkTagsHash - vincula a assinatura ao arquivo criptografado', async () => {
+  const inputPath = path.join(testDir, 'signed.bin');
+  const encryptedPath = path.join(testDir, 'signed.enc');
+  fs.writeFileSync(inputPath, crypto.randomBytes(5000));
+
+  const masterKey = generateMasterKey();
+  const stats = await encryptFile({
+    inputPath,
+    outputPath: encryptedPath,
+    masterKey,
+    videoId: 'video-signed',
+    chunkSize: 1024,
+    manifest: true
+  });
+
+  const { publicKey, privateKey } = generateSigningKeyPair();
+  const signed = signManifest(stats.manifest, privateKey, { chunkTagsHash: stats.chunkTagsHash });
+
+  // O nó de entrega recalcula o hash a partir do arquivo, sem a master key
+  const chunkTagsHash = await computeChunkTagsHash(
+    fs.createReadStream(encryptedPath).pipe(new ChunkDeserializationStream())
+  );
+
+  assert.strictEqual(chunkTagsHash, stats.chunkTagsHash);
+  assert.strictEqual(verifyManifestSignature(signed, publicKey, { chunkTagsHash }), true);
+  assert.strictEqual(
+    verifyManifestSignature(signed, publicKey, { chunkTagsHash: 'f'.repeat(64) }),
+    false
+  );
+
+  // Buffers de EncryptedChunk.toBuffer() (registros do encryptBuffer sem o header e o prefixo de tamanho)
+  const [, ...records] = await encryptBuffer({ data: Buffer.from('dados'), masterKey, videoId: 'video-signed' });
+  const hash = await computeChunkTagsHash(records.map(record => record.slice(4)));
+  assert.match(hash, /^[0-9a-f]{64}$/);
+});
+
+test('Cleanup', () => {
+  fs.rmSync(testDir, { recursive: true, force: true });
+});
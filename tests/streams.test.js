@@ -2,9 +2,20 @@ import { test } from 'node:test';
 import assert from 'node:assert';
 import crypto from 'crypto';
 import { Readable, Writable, pipeline } from 'stream';
-import { EncryptionStream, ChunkSerializationStream, TextEncodingStream } from '../src/core/encryption-stream.js';
-import { DecryptionStream, ChunkDeserializationStream, TextDecodingStream } from '../src/core/decryption-stream.js';
+import {
+  EncryptionStream,
+  ChunkSerializationStream,
+  TextEncodingStream,
+  NDJSONEncodingStream
+} from '../src/core/encryption-stream.js';
+import {
+  DecryptionStream,
+  ChunkDeserializationStream,
+  TextDecodingStream,
+  NDJSONDecodingStream
+} from '../src/core/decryption-stream.js';
 import { EncryptedChunk } from '../src/core/chunk-crypto.js';
+import { FileHeader } from '../src/core/file-header.js';
 import { generateMasterKey, deriveVideoKey } from '../src/utils/hkdf.js';
 
 test('ChunkSerializationStream - deve rejeitar input não-EncryptedChunk', async () => {
@@ -169,3 +180,145 @@ test('DecryptionStream - getStats deve retornar estatísticas corretas', async (
   assert.strictEqual(stats.chunksProcessed, 1);
   assert.strictEqual(stats.bytesProcessed, plaintext.length);
 });
+
+async function encryptToChunks(videoKey, videoId, plaintext, chunkSize = 1024) {
+  const encryptionStream = new EncryptionStream(videoKey, videoId, { chunkSize });
+  const chunks = [];
+
+  encryptionStream.on('data', chunk => chunks.push(chunk));
+  encryptionStream.end(plaintext);
+  await new Promise(resolve => encryptionStream.on('end', resolve));
+
+  return chunks;
+}
+
+async function decryptChunks(decryptionStream, chunks) {
+  const output = [];
+
+  return new Promise((resolve, reject) => {
+    decryptionStream.on('data', data => output.push(data));
+    decryptionStream.on('end', () => resolve(Buffer.concat(output)));
+    decryptionStream.on('error', reject);
+
+    for (const chunk of chunks) {
+      decryptionStream.write(chunk);
+    }
+    decryptionStream.end();
+  });
+}
+
+test('DecryptionStream - deve rejeitar lacuna na sequência', async () => {
+  const videoKey = deriveVideoKey(generateMasterKey(), 'test-video');
+  const chunks = await encryptToChunks(videoKey, 'test-video', crypto.randomBytes(4096));
+
+  await assert.rejects(
+    decryptChunks(new DecryptionStream(videoKey, 'test-video'), [chunks[0], chunks[2], chunks[3]]),
+    { code: 'CHUNK_GAP' }
+  );
+
+  // O primeiro chunk também deve ser o índice 0
+  await assert.rejects(
+    decryptChunks(new DecryptionStream(videoKey, 'test-video'), chunks.slice(1)),
+    { code: 'CHUNK_GAP' }
+  );
+});
+
+test('DecryptionStream - deve rejeitar chunk duplicado', async () => {
+  const videoKey = deriveVideoKey(generateMasterKey(), 'test-video');
+  const chunks = await encryptToChunks(videoKey, 'test-video', crypto.randomBytes(4096));
+
+  await assert.rejects(
+    decryptChunks(new DecryptionStream(videoKey, 'test-video'), [chunks[0], chunks[1], chunks[1]]),
+    { code: 'CHUNK_DUPLICATE' }
+  );
+});
+
+test('DecryptionStream - modo relaxed aceita lacunas mas rejeita reordenação', async () => {
+  const videoKey = deriveVideoKey(generateMasterKey(), 'test-video');
+  const plaintext = crypto.randomBytes(4096);
+  const chunks = await encryptToChunks(videoKey, 'test-video', plaintext);
+
+  const sparse = await decryptChunks(
+    new DecryptionStream(videoKey, 'test-video', { sequence: 'relaxed' }),
+    [chunks[1], chunks[3]]
+  );
+  assert.deepStrictEqual(sparse, Buffer.concat([plaintext.slice(1024, 2048), plaintext.slice(3072)]));
+
+  await assert.rejects(
+    decryptChunks(
+      new DecryptionStream(videoKey, 'test-video', { sequence: 'relaxed' }),
+      [chunks[0], chunks[2], chunks[1]]
+    ),
+    { code: 'CHUNK_REORDERED' }
+  );
+
+  await assert.rejects(
+    decryptChunks(
+      new DecryptionStream(videoKey, 'test-video', { sequence: 'relaxed' }),
+      [chunks[0], chunks[2], chunks[0]]
+    ),
+    { code: 'CHUNK_DUPLICATE' }
+  );
+});
+
+test('DecryptionStream - deve rejeitar modo de sequência inválido', () => {
+  const videoKey = deriveVideoKey(generateMasterKey(), 'test-video');
+
+  assert.throws(
+    () => new DecryptionStream(videoKey, 'test-video', { sequence: 'any' }),
+    /Modo de sequência inválido/
+  );
+});
+
+test('NDJSONEncodingStream/NDJSONDecodingStream - round-trip com header', async () => {
+  const videoId = 'test-video';
+  const videoKey = deriveVideoKey(generateMasterKey(), videoId);
+  const header = FileHeader.create({ videoId, chunkSize: 1024 });
+  const plaintext = crypto.randomBytes(2500);
+
+  const encryptionStream = new EncryptionStream(videoKey, videoId, { header });
+  const encoder = new NDJSONEncodingStream();
+  const lines = [];
+
+  encryptionStream.pipe(encoder).on('data', text => lines.push(text));
+  encryptionStream.end(plaintext);
+  await new Promise(resolve => encoder.on('end', resolve));
+
+  const records = lines.join('').trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(records.length, 4);
+  assert.strictEqual(records[0].chunkSize, 1024);
+  assert.deepStrictEqual(Object.keys(records[1]), ['index', 'flags', 'iv', 'tag', 'ciphertext', 'size']);
+  assert.strictEqual(records[3].flags, 1);
+
+  // CRLF, linhas em branco e base64 padrão
+  const text = lines.join('').split('\n').join('\r\n\r\n')
+    .replace(records[1].iv, Buffer.from(records[1].iv, 'base64url').toString('base64'));
+
+  const decoder = new NDJSONDecodingStream();
+  const decryptionStream = new DecryptionStream(videoKey, videoId);
+  const output = [];
+
+  decoder.pipe(decryptionStream).on('data', part => output.push(part));
+  decoder.end(text);
+  await new Promise((resolve, reject) => decryptionStream.on('end', resolve).on('error', reject));
+
+  assert.deepStrictEqual(Buffer.concat(output), plaintext);
+});
+
+test('NDJSONDecodingStream - erro indica a linha', async () => {
+  const chunk = new EncryptedChunk(0, crypto.randomBytes(12), crypto.randomBytes(16), Buffer.from('dados'));
+  const valid = JSON.stringify(chunk);
+  const decoder = new NDJSONDecodingStream();
+
+  decoder.resume();
+  await assert.rejects(
+    new Promise((resolve, reject) => {
+      decoder.on('error', reject).on('end', resolve);
+      decoder.end(`${valid}\n\n{"index":1,"iv":"!!","tag":"","ciphertext":""}\n`);
+    }),
+    /linha 3: Chunk JSON inválido: iv deve ser base64url/
+  );
+
+  assert.throws(() => EncryptedChunk.fromJSON({ ...chunk.toJSON(), size: 99 }), /size 99/);
+  assert.deepStrictEqual(EncryptedChunk.fromJSON(chunk.toJSON()).toBuffer(), chunk.toBuffer());
+});
@@ -0,0 +1,222 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EncryptedVideoReader } from '../src/core/video-reader.js';
+import { pipeline } from 'stream/promises';
+import { encryptFile } from '../src/core/file-crypto.js';
+import { EncryptionStream, ChunkSerializationStream } from '../src/core/encryption-stream.js';
+import { FileHeader } from '../src/core/file-header.js';
+import { generateMasterKey, deriveVideoKey } from '../src/utils/hkdf.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const testDir = path.join(__dirname, 'temp-reader');
+
+if (!fs.existsSync(testDir)) {
+  fs.mkdirSync(testDir, { recursive: true });
+}
+
+const masterKey = generateMasterKey();
+const chunkSize = 1024;
+const testData = crypto.randomBytes(10 * chunkSize + 300);
+
+async function createEncrypted(name, options = {}) {
+  const inputPath = path.join(testDir, `${name}.bin`);
+  const outputPath = path.join(testDir, `${name}.enc`);
+  fs.writeFileSync(inputPath, options.data || testData);
+
+  await encryptFile({
+    inputPath,
+    outputPath,
+    masterKey,
+    videoId: name,
+    chunkSize,
+    index: options.index,
+    compression: options.compression,
+    padding: options.padding
+  });
+
+  return outputPath;
+}
+
+async function collect(stream) {
+  const parts = [];
+  for await (const part of stream) {
+    parts.push(part);
+  }
+  return Buffer.concat(parts);
+}
+
+for (const index of [true, false]) {
+  test(`EncryptedVideoReader - read() em qualquer posição (index: ${index})`, async () => {
+    const videoId = `reader-${index}`;
+    const filePath = await createEncrypted(videoId, { index });
+    const reader = await EncryptedVideoReader.open({ filePath, masterKey, videoId });
+
+    try {
+      assert.strictEqual(reader.size, testData.length);
+      assert.strictEqual(reader.totalChunks, 11);
+
+      // Dentro de um chunk, cruzando fronteiras e no fim do arquivo
+      assert.deepStrictEqual(await reader.read(10, 100), testData.slice(10, 110));
+      assert.deepStrictEqual(await reader.read(1000, 3000), testData.slice(1000, 4000));
+      assert.deepStrictEqual(await reader.read(10000, 1000), testData.slice(10000));
+      assert.strictEqual((await reader.read(testData.length, 10)).length, 0);
+    } finally {
+      await reader.close();
+    }
+  });
+}
+
+test('EncryptedVideoReader - createReadStream com intervalo inclusivo', async () => {
+  const filePath = await createEncrypted('reader-stream', { index: true });
+  const reader = await EncryptedVideoReader.open({ filePath, masterKey, videoId: 'reader-stream' });
+
+  try {
+    assert.deepStrictEqual(
+      await collect(reader.createReadStream({ start: 500, end: 5499 })),
+      testData.slice(500, 5500)
+    );
+    assert.deepStrictEqual(await collect(reader.createReadStream()), testData);
+  } finally {
+    await reader.close();
+  }
+});
+
+test('EncryptedVideoReader - cache LRU de chunks', async () => {
+  const filePath = await createEncrypted('reader-cache', { index: true });
+  const reader = await EncryptedVideoReader.open({
+    filePath,
+    masterKey,
+    videoId: 'reader-cache',
+    cacheSize: 2
+  });
+
+  try {
+    await reader.read(0, 10);      // chunk 0 (miss)
+    await reader.read(1024, 10);   // chunk 1 (miss)
+    await reader.read(20, 10);     // chunk 0 (hit)
+    await reader.read(2048, 10);   // chunk 2 (miss, descarta chunk 1)
+    await reader.read(30, 10);     // chunk 0 (hit)
+    await reader.read(1030, 10);   // chunk 1 (miss)
+
+    const stats = reader.getStats();
+    assert.strictEqual(stats.cacheHits, 2);
+    assert.strictEqual(stats.cacheMisses, 4);
+    assert.strictEqual(stats.cachedChunks, 2);
+  } finally {
+    await reader.close();
+  }
+});
+
+test('EncryptedVideoReader - arquivo legado sem header', async () => {
+  const filePath = path.join(testDir, 'reader-legacy.enc');
+
+  // EncryptionStream sem header gera registros [tamanho][chunk] no formato legado
+  await pipeline(
+    [testData],
+    new EncryptionStream(deriveVideoKey(masterKey, 'reader-legacy'), 'reader-legacy', { chunkSize }),
+    new ChunkSerializationStream(),
+    fs.createWriteStream(filePath)
+  );
+
+  const reader = await EncryptedVideoReader.open({ filePath, masterKey, videoId: 'reader-legacy' });
+
+  try {
+    assert.deepStrictEqual(await reader.read(2000, 5000), testData.slice(2000, 7000));
+  } finally {
+    await reader.close();
+  }
+});
+
+test('EncryptedVideoReader - deve detectar arquivo truncado', async () => {
+  const filePath = await createEncrypted('reader-truncated');
+  const encrypted = fs.readFileSync(filePath);
+
+  // Remove o último registro (300 bytes de plaintext)
+  fs.writeFileSync(filePath, encrypted.slice(0, encrypted.length - (4 + 32 + 300)));
+
+  // Detectado na abertura: o `size` não pode refletir o arquivo truncado
+  await assert.rejects(
+    EncryptedVideoReader.open({ filePath, masterKey, videoId: 'reader-truncated' }),
+    { code: 'TRUNCATED_STREAM' }
+  );
+
+  // Apenas o header
+  fs.writeFileSync(filePath, encrypted.slice(0, FileHeader.getLength(encrypted)));
+  await assert.rejects(
+    EncryptedVideoReader.open({ filePath, masterKey, videoId: 'reader-truncated' }),
+    { code: 'TRUNCATED_STREAM' }
+  );
+});
+
+test('EncryptedVideoReader - deve rejeitar videoId e chave incorretos', async () => {
+  const filePath = await createEncrypted('reader-auth', { index: true });
+
+  await assert.rejects(
+    EncryptedVideoReader.open({ filePath, masterKey, videoId: 'outro-video' }),
+    { code: 'VIDEO_ID_MISMATCH' }
+  );
+
+  await assert.rejects(
+    EncryptedVideoReader.open({ filePath, masterKey: generateMasterKey(), videoId: 'reader-auth' }),
+    { code: 'INDEX_AUTH_FAILED' }
+  );
+});
+
+test('EncryptedVideoReader - deve validar parâmetros', async () => {
+  const filePath = await createEncrypted('reader-params');
+
+  await assert.rejects(
+    EncryptedVideoReader.open({ filePath, masterKey, videoId: 'reader-params', cacheSize: 0 }),
+    /cacheSize deve ser um inteiro positivo/
+  );
+
+  const reader = await EncryptedVideoReader.open({ filePath, masterKey, videoId: 'reader-params' });
+
+  try {
+    await assert.rejects(reader.read(-1, 10), /Offset deve ser/);
+    await assert.rejects(reader.read(0, 1.5), /Length deve ser/);
+  } finally {
+    await reader.close();
+  }
+});
+
+test('EncryptedVideoReader - arquivo comprimido', async () => {
+  const data = Buffer.from('legenda da aula '.repeat(1000));
+  const filePath = await createEncrypted('reader-compressed', { data, index: true, compression: 'gzip' });
+  const reader = await EncryptedVideoReader.open({ filePath, masterKey, videoId: 'reader-compressed' });
+
+  try {
+    assert.strictEqual(reader.size, data.length);
+    assert.deepStrictEqual(await reader.read(1500, 2000), data.slice(1500, 3500));
+    assert.deepStrictEqual(await reader.read(data.length - 10, 100), data.slice(-10));
+    assert.deepStrictEqual(await collect(reader.createReadStream()), data);
+  } finally {
+    await reader.close();
+  }
+});
+
+for (const target of ['file', 'chunk']) {
+  test(`EncryptedVideoReader - arquivo com padding (target: ${target})`, async () => {
+    const videoId = `reader-padded-${target}`;
+    const filePath = await createEncrypted(videoId, { index: true, padding: { scheme: 'pow2', target } });
+    const reader = await EncryptedVideoReader.open({ filePath, masterKey, videoId });
+
+    try {
+      assert.strictEqual(reader.size, testData.length);
+      assert.deepStrictEqual(await reader.read(9 * chunkSize + 500, 2000), testData.slice(9 * chunkSize + 500));
+      assert.deepStrictEqual(await reader.read(testData.length, 10), Buffer.alloc(0));
+      assert.deepStrictEqual(await collect(reader.createReadStream()), testData);
+    } finally {
+      await reader.close();
+    }
+  });
+}
+
+test('Cleanup', () => {
+  fs.rmSync(testDir, { recursive: true, force: true });
+});